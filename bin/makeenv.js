@@ -1,9 +1,21 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const {makeEnv, generateTemplate, setDefaults} = require('../src/index.js');
-
-const args = process.argv.slice(2);
+const {
+    makeEnv, checkEnv, lintTemplate, runWithEnv, watchEnv, explainTemplate, generateTemplate, generateDocs, setDefaults,
+    loadPlugin, getProfiles,
+    parseTemplateFile, rekeyTemplate, generateKey, encryptValue, decryptValue,
+} = require('../src/index.js');
+const {loadKey, getKeyId} = require('../src/encryption.js');
+const {writeFileAtomic} = require('../src/files.js');
+const {inferDocsFormat} = require('../src/docs.js');
+
+// Everything after "--" is the command of run mode
+const separator = process.argv.indexOf('--', 2);
+const args = process.argv.slice(2, separator === -1 ? undefined : separator);
+const commandArgs = separator === -1 ? [] : process.argv.slice(separator + 1);
 
 function printUsage() {
     console.log(`
@@ -11,38 +23,200 @@ makeenv - Generate .env files from JSON, YAML, or TOML templates
 
 Usage:
   npx makeenv <template-file> [output-file] [options]
-  npx makeenv --generate [env-file] <output-template>
+  npx makeenv --generate [env-file...] <output-template> [--from-env <prefix>]
   npx makeenv --set-defaults <template-file>
+  npx makeenv <template-file> [env-file] --check [--json] [--show-values]
+  npx makeenv <template-file> --explain [--json] [--visible-chars <n>]
+  npx makeenv --lint <template-file...> [--json]
+  npx makeenv <template-file> [output-file] --example
+  npx makeenv <template-file> [output-file] --docs [--format markdown|html]
+  npx makeenv run <template-file> [--profile <name>] [--no-override] -- <command> [args...]
+  npx makeenv <template-file> [output-file] --watch [-- <command> [args...]]
+  npx makeenv --generate-key [key-file]
+  npx makeenv --encrypt <value|-> [--key-file <path>]
+  npx makeenv --decrypt <value|-> [--key-file <path>]
+  npx makeenv --rekey <template-file> --new-key-file <path> [--key-file <path>]
+  npx makeenv --rotate-key <template-file> --key-file <path>
 
 Arguments:
   template-file  Path to template file (.json, .yaml, .yml, .toml, .tml)
-  output-file    Path to output file (default: .env)
+  output-file    Path to output file (default: .env), or - for stdout;
+                 files are replaced atomically with owner-only (0600)
+                 permissions, also when they existed with looser ones
+  run            Resolve the template and run the command with the variables
+                 in its environment instead of writing a file; signals are
+                 forwarded to the command and its exit code is returned
 
 Options:
   --dry-run       Validate template without generating output file
-  --generate      Create a template from an existing .env file
+  --generate      Create a template from existing .env files (later ones
+                  override earlier ones); comments become descriptions and
+                  secret-looking values are read from the environment
+                  instead of being copied
+  --from-env <prefix> With --generate, also read the environment variables
+                  whose names start with prefix
+  --aws-secret <id> With --generate, read secret-looking keys from this AWS
+                  Secrets Manager secret instead of the environment
   --set-defaults  Update template with current resolved values as defaults
+  --plugin <path> Load a module that registers custom sources (repeatable)
+  --format <name> Output format: dotenv, json, yaml, export, docker,
+                  k8s-secret, k8s-configmap (default: inferred from the
+                  output extension: .json, .yaml/.yml, .sh; else dotenv)
+  --dialect <name> How .env files are read and written: dotenv (the dotenv
+                  npm package) or docker-compose (default: dotenv)
+  --name <name>   Kubernetes manifest name (default: output file name)
+  --namespace <ns> Kubernetes manifest namespace
+  --profile <name> Apply a profile's overrides (default: MAKEENV_PROFILE)
+  --all-profiles  With --dry-run, validate every profile of the template
+  --check, --diff Compare an existing env file (default: .env) with the
+                  template; exits with 1 when keys were added, removed or
+                  changed
+  --explain       Resolve the template without writing anything and report
+                  each variable's source, whether its default was used, why
+                  it was skipped and remote lookup times, with masked values
+  --visible-chars <n> With --explain, show the first n characters of each
+                  value (at most a quarter of it; default: 0)
+  --lint          Check templates without resolving anything: unknown fields,
+                  directives and sources (with the closest valid name), wrong
+                  values, invalid names, duplicate keys, defaults that are
+                  never used; exits with 1 when there are errors
+  --json          With --check, --explain or --lint, print a JSON report
+  --example       Write a .env.example (default output: .env.example) with
+                  descriptions and notes as comments and placeholder values;
+                  nothing is resolved and secrets are left empty
+  --docs          Print a reference table of the variables (description,
+                  source, required, default, example) grouped by "group";
+                  Markdown, or HTML with --format html or an .html output
+  --merge         Update an existing .env in place: only template keys change,
+                  other lines and comments are kept, new keys are appended
+                  inside a "# makeenv:managed-start/end" block (added at the
+                  end of the file if there is none)
+  --prune         With --merge, remove keys inside the managed block, or
+                  listed on its "# makeenv:managed-keys" line because they
+                  were updated in place, that the template no longer produces
+  --show-values   With --check or --explain, show values instead of masking
+                  them (sensitive values stay masked)
+  --force         Write sensitive values to stdout (refused otherwise)
+  --no-override   With run, keep variables already set in the environment
+                  (default: template values replace them)
+  --watch         Keep running and regenerate whenever the template, the files
+                  it extends or includes or local files it reads change;
+                  errors are reported without exiting. A command after --
+                  (or the run command) is restarted after every update
+  --debounce <ms> With --watch, wait until changes settle (default: 200)
+  --refresh-interval <s> With --watch, refetch remote values every s seconds
+                  (default: only on SIGHUP; file changes reuse them)
+  --concurrency <n> Remote lookups run at the same time (default: 8)
+  --timeout <ms>  Time limit of each remote lookup attempt (default: 30000;
+                  0 disables it); source=ms sets it for one source, e.g.
+                  --timeout vault=5000 (repeatable)
+  --retries <n>   Retries of a remote lookup after throttling, server or
+                  network errors, with exponential backoff (default: 2);
+                  source=n sets them for one source (repeatable)
+  --generate-key  Print a new encryption key, or write it to key-file
+  --encrypt, --decrypt Encrypt or decrypt a value (- reads it from stdin)
+                  for the encrypted source
+  --key-file <path> Encryption key file (default: MAKEENV_KEY_FILE, else the
+                  key in MAKEENV_KEY)
+  --rekey         Re-encrypt a template's encrypted values with the key in
+                  --new-key-file
+  --rotate-key    Generate a new key, re-encrypt the template with it and
+                  replace --key-file with it
   -h, --help      Show this help message
 
 Examples:
   npx makeenv env.json
   npx makeenv env.yaml .env.local
   npx makeenv env.yaml --dry-run
+  npx makeenv env.yaml .env --profile prod
+  npx makeenv env.yaml --dry-run --all-profiles
+  npx makeenv env.yaml .env --concurrency 4 --timeout 5000 --retries 3
+  npx makeenv env.yaml .env --timeout vault=5000 --timeout AwsParameterStore=30000
+  npx makeenv env.yaml .env.local --merge --prune
+  npx makeenv env.yaml .env.production --check
+  npx makeenv env.yaml --check --json
+  npx makeenv env.yaml --explain --profile prod --visible-chars 4
+  npx makeenv --lint env.yaml config/*.yaml
+  npx makeenv env.yaml --example
+  npx makeenv env.yaml ENVIRONMENT.md --docs
+  npx makeenv env.yaml docs/env.html --docs --profile prod
   npx makeenv --generate .env env.yaml
   npx makeenv --generate env.json
+  npx makeenv --generate .env .env.local env.yaml --aws-secret prod/app
+  npx makeenv --generate env.yaml --from-env APP_
+  npx makeenv --generate .env env.yaml --dialect docker-compose
   npx makeenv --set-defaults env.yaml
+  npx makeenv env.yaml --plugin ./my-source.js
+  npx makeenv env.yaml config.json
+  npx makeenv env.yaml - --format export
+  npx makeenv env.yaml - --format k8s-secret --name app-secrets --force | kubectl apply -f -
+  npx makeenv run env.yaml --profile prod -- node server.js
+  npx makeenv env.yaml .env.local --watch -- npm run dev
+  npx makeenv --generate-key .makeenv.key
+  printf %s "$DB_PASSWORD" | npx makeenv --encrypt - --key-file .makeenv.key
+  npx makeenv --rotate-key env.yaml --key-file .makeenv.key
 
 Template Format:
   Each variable can have:
     - required: boolean (true/false)
-    - source: "string", "env", or "AwsSecretManager"
-    - value: the value, env var name, or SecretId:Key to read from
+    - source: "string", "env", "AwsSecretManager", "AwsParameterStore", "vault",
+      "file" or "encrypted"
+    - value: the value, env var name, SecretId:Key, parameter name, mount/path:key,
+      file path, or encrypted value
     - default: fallback value if not found
+    - transform: list of transforms applied to the value, e.g.
+        [trim, base64decode, {jsonpath: $.password}, urlencode, {prefix: "x"}]
+    - type: string, int, number, bool, url or json (output is normalized)
+    - enum, pattern, min, max, minLength, maxLength: validation rules
+    - profiles: per-profile overrides, e.g. {prod: {source: env, required: true}}
+    - when: condition for including the variable, e.g. env.NODE_ENV == 'production'
+    - sensitive: mask the value in reports and errors (default: true for
+      AwsSecretManager, vault and encrypted)
+    - timeout, retries: override --timeout and --retries for a remote lookup
+    - description, example, group: documentation for --example and --docs
 
 Source Types:
   - string: Use value directly as the variable value
   - env: Read from environment variable
   - AwsSecretManager: Read from AWS Secrets Manager (value format: "SecretId:Key")
+  - AwsParameterStore: Read from AWS SSM Parameter Store (value: parameter name)
+                       With bulk: true, value is a path prefix that expands into
+                       one variable per parameter (/app/prod/db/host -> DB_HOST)
+  - vault: Read from a HashiCorp Vault KV engine (value format: "mount/path:key")
+           Uses VAULT_ADDR, VAULT_NAMESPACE and VAULT_TOKEN, AppRole
+           (VAULT_ROLE_ID/VAULT_SECRET_ID) or Kubernetes (VAULT_K8S_ROLE) auth
+  - file: Read a whole file, or one key of a JSON/YAML/TOML/.env file ("path:key")
+          Paths are relative to the template; use trim/encoding: base64 as needed
+  - encrypted: Decrypt a value created with --encrypt (AES-256-GCM); the key
+               comes from keyFile or keyEnv on the variable, MAKEENV_KEY_FILE
+               or MAKEENV_KEY. --set-defaults never stores decrypted values.
+
+Interpolation:
+  value and default may contain \${VAR} (template variable), \${env:VAR}
+  (environment variable), \${VAR:-fallback}, and $\${ for a literal \${.
+
+Profiles:
+  A variable's "profiles" map overrides any of its fields for one profile.
+  A top-level "$profiles" list declares the profile names; overrides for
+  other names are then rejected. Without a profile the base fields are used.
+
+Conditions:
+  A variable with "when" is only generated when its condition holds; otherwise
+  it is skipped (and not required). Conditions use env.NAME for environment
+  variables, NAME for template variables, quoted literals, ==, !=,
+  in ['a', 'b'], !, &&, || and parentheses; a bare name checks that the value
+  is set and not empty. --dry-run lists skipped variables and why.
+
+Composition:
+  Top-level "$extends" and "$include" (a path or a list, relative to the
+  template) merge other templates in first: extends, then includes, then the
+  file's own variables, which override inherited ones field by field.
+  Set an inherited variable to null (or $delete: true) to remove it.
+
+Plugins:
+  A plugin module registers sources with registerSource(name, resolver); the
+  resolver receives (config, varName, context) and returns a value or null.
+  Templates can also list plugins under a top-level "$plugins" key.
 
 Example (YAML):
   AWS_REGION:
@@ -81,10 +255,50 @@ function parseArgs(args) {
         help: false,
         dryRun: false,
         generate: false,
+        fromEnv: undefined,
+        awsSecret: undefined,
         setDefaults: false,
+        plugins: [],
+        format: undefined,
+        dialect: undefined,
+        name: undefined,
+        namespace: undefined,
+        profile: undefined,
+        allProfiles: false,
+        check: false,
+        explain: false,
+        lint: false,
+        example: false,
+        docs: false,
+        visibleChars: undefined,
+        merge: false,
+        prune: false,
+        json: false,
+        showValues: false,
+        force: false,
+        override: true,
+        watch: false,
+        debounce: undefined,
+        refreshInterval: undefined,
+        concurrency: undefined,
+        timeout: [],
+        retries: [],
+        generateKey: false,
+        encrypt: false,
+        decrypt: false,
+        rekey: false,
+        rotateKey: false,
+        keyFile: undefined,
+        newKeyFile: undefined,
         positional: [],
     };
 
+    // Accept both "--option value" and "--option=value"
+    args = args.flatMap(arg => {
+        const eqIndex = arg.indexOf('=');
+        return arg.startsWith('--') && eqIndex !== -1 ? [arg.slice(0, eqIndex), arg.slice(eqIndex + 1)] : [arg];
+    });
+
     for (let i = 0; i < args.length; i++) {
         const arg = args[i];
         if (arg === '--help' || arg === '-h') {
@@ -93,9 +307,77 @@ function parseArgs(args) {
             result.dryRun = true;
         } else if (arg === '--generate') {
             result.generate = true;
+        } else if (arg === '--from-env') {
+            result.fromEnv = args[++i] || '';
+        } else if (arg === '--aws-secret') {
+            result.awsSecret = args[++i] || '';
         } else if (arg === '--set-defaults') {
             result.setDefaults = true;
-        } else if (!arg.startsWith('-')) {
+        } else if (arg === '--plugin') {
+            result.plugins.push(args[++i]);
+        } else if (arg === '--format') {
+            result.format = args[++i];
+        } else if (arg === '--dialect') {
+            result.dialect = args[++i];
+        } else if (arg === '--name') {
+            result.name = args[++i];
+        } else if (arg === '--namespace') {
+            result.namespace = args[++i];
+        } else if (arg === '--profile') {
+            result.profile = args[++i];
+        } else if (arg === '--all-profiles') {
+            result.allProfiles = true;
+        } else if (arg === '--check' || arg === '--diff') {
+            result.check = true;
+        } else if (arg === '--explain') {
+            result.explain = true;
+        } else if (arg === '--lint') {
+            result.lint = true;
+        } else if (arg === '--example') {
+            result.example = true;
+        } else if (arg === '--docs') {
+            result.docs = true;
+        } else if (arg === '--visible-chars') {
+            result.visibleChars = args[++i];
+        } else if (arg === '--merge') {
+            result.merge = true;
+        } else if (arg === '--prune') {
+            result.prune = true;
+        } else if (arg === '--json') {
+            result.json = true;
+        } else if (arg === '--show-values') {
+            result.showValues = true;
+        } else if (arg === '--force') {
+            result.force = true;
+        } else if (arg === '--no-override') {
+            result.override = false;
+        } else if (arg === '--watch') {
+            result.watch = true;
+        } else if (arg === '--debounce') {
+            result.debounce = args[++i];
+        } else if (arg === '--refresh-interval') {
+            result.refreshInterval = args[++i];
+        } else if (arg === '--concurrency') {
+            result.concurrency = args[++i];
+        } else if (arg === '--timeout') {
+            result.timeout.push(args[++i]);
+        } else if (arg === '--retries') {
+            result.retries.push(args[++i]);
+        } else if (arg === '--generate-key') {
+            result.generateKey = true;
+        } else if (arg === '--encrypt') {
+            result.encrypt = true;
+        } else if (arg === '--decrypt') {
+            result.decrypt = true;
+        } else if (arg === '--rekey') {
+            result.rekey = true;
+        } else if (arg === '--rotate-key') {
+            result.rotateKey = true;
+        } else if (arg === '--key-file') {
+            result.keyFile = args[++i];
+        } else if (arg === '--new-key-file') {
+            result.newKeyFile = args[++i];
+        } else if (arg === '-' || !arg.startsWith('-')) {
             result.positional.push(arg);
         }
     }
@@ -103,6 +385,120 @@ function parseArgs(args) {
     return result;
 }
 
+// A value of "-" is read from stdin, without the trailing newline
+function readValueArgument(value) {
+    return value === '-' ? fs.readFileSync(0, 'utf8').replace(/\r?\n$/, '') : value;
+}
+
+// Limits for remote lookups; unset ones keep the library defaults. --timeout and --retries may be repeated and take
+// a value for every source or "source=value" for one source, collected into an object keyed by source name
+function getLookupOptions(parsed) {
+    const limits = [
+        ['concurrency', '--concurrency', 1, 'a positive integer'],
+        ['timeout', '--timeout', 0, 'a non-negative number of milliseconds (0 disables it), optionally as source=ms'],
+        ['retries', '--retries', 0, 'a non-negative integer, optionally as source=n'],
+    ];
+    const options = {};
+    for (const [name, flag, min, description] of limits) {
+        for (const arg of [].concat(parsed[name] === undefined ? [] : parsed[name])) {
+            const separator = name === 'concurrency' || arg === undefined ? -1 : arg.indexOf('=');
+            const source = separator === -1 ? '*' : arg.slice(0, separator);
+            const text = separator === -1 ? arg : arg.slice(separator + 1);
+            const value = Number(text);
+            if (text === undefined || text === '' || source === '' || !Number.isInteger(value) || value < min) {
+                console.error(`Error: ${flag} requires ${description}`);
+                process.exit(1);
+            }
+            if (source === '*' && typeof options[name] !== 'object') {
+                options[name] = value;
+            } else {
+                options[name] = {...(typeof options[name] === 'number' ? {'*': options[name]} : options[name]), [source]: value};
+            }
+        }
+    }
+    return options;
+}
+
+function describeVariable(variable) {
+    const notes = [variable.source, variable.required ? 'required' : 'optional'];
+    if (variable.sensitive) {
+        notes.push('sensitive');
+    }
+    if (variable.usedDefault) {
+        notes.push(`default used: ${variable.reason}`);
+    }
+    if (variable.durationMs !== undefined) {
+        notes.push(`${variable.durationMs} ms`);
+    }
+    if (variable.origin) {
+        notes.push(`from ${variable.origin}`);
+    }
+
+    switch (variable.status) {
+        case 'skipped':
+            return `${variable.name}: skipped, ${variable.reason}`;
+        case 'missing':
+            return `${variable.name}: not set (${notes.join(', ')}): ${variable.reason}`;
+        case 'failed':
+            return `${variable.name}: failed (${notes.join(', ')}): ${variable.reason}`;
+        default:
+            if (variable.expanded) {
+                const names = Object.entries(variable.expanded).map(([name, value]) => `${name}=${value}`);
+                return `${variable.name} (${notes.join(', ')}) -> ${names.join(', ')}`;
+            }
+            return `${variable.name}=${variable.value} (${notes.join(', ')})`;
+    }
+}
+
+function watchMode(inputPath, outputPath, parsed, options) {
+    const debounce = parsed.debounce === undefined ? undefined : Number(parsed.debounce);
+    const refreshInterval = parsed.refreshInterval === undefined ? 0 : Number(parsed.refreshInterval);
+    if (debounce !== undefined && (!Number.isInteger(debounce) || debounce < 0)) {
+        console.error('Error: --debounce requires a non-negative number of milliseconds');
+        process.exit(1);
+    }
+    if (!(refreshInterval >= 0)) {
+        console.error('Error: --refresh-interval requires a non-negative number of seconds');
+        process.exit(1);
+    }
+
+    const [command, ...commandRest] = commandArgs;
+    let watchedCount = 0;
+    const watcher = watchEnv(inputPath, outputPath, {
+        ...options,
+        debounce,
+        refreshInterval: refreshInterval * 1000,
+        command,
+        args: commandRest,
+        onUpdate: ({success, errors, files}) => {
+            if (!success) {
+                console.error('Error generating .env file:');
+                errors.forEach(err => console.error(`  - ${err}`));
+            } else if (options.dryRun) {
+                console.log('Dry run: validation successful');
+            } else if (outputPath !== null) {
+                console.log(`${options.merge ? 'Updated' : 'Generated'}: ${outputPath}`);
+            }
+            if (files.length !== watchedCount) {
+                watchedCount = files.length;
+                console.log(`Watching ${watchedCount} file(s) for changes (SIGHUP refetches remote values)`);
+            }
+        },
+        onCommandExit: ({exitCode, signal, error}) => {
+            const how = error || (signal ? `Command ended by ${signal}` : `Command exited with code ${exitCode}`);
+            console.error(`${how}; it restarts on the next change`);
+        },
+    });
+
+    process.on('SIGHUP', () => {
+        console.log('Refetching remote values');
+        watcher.refresh();
+    });
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => watcher.close().then(() => process.exit(0)));
+    }
+}
+
 async function main() {
     const parsed = parseArgs(args);
 
@@ -112,6 +508,102 @@ async function main() {
     }
 
     try {
+        for (const pluginPath of parsed.plugins) {
+            if (!pluginPath) {
+                console.error('Error: --plugin requires a module path');
+                process.exit(1);
+            }
+            loadPlugin(pluginPath, process.cwd());
+        }
+
+        // The encrypted source and the key commands read the key file from MAKEENV_KEY_FILE
+        if (parsed.keyFile) {
+            process.env.MAKEENV_KEY_FILE = path.resolve(process.cwd(), parsed.keyFile);
+        }
+        const keyContext = {baseDir: process.cwd(), env: process.env};
+        const lookupOptions = getLookupOptions(parsed);
+
+        // --generate-key mode
+        if (parsed.generateKey) {
+            const key = generateKey();
+            if (parsed.positional.length < 1) {
+                console.log(key);
+                process.exit(0);
+            }
+            const keyPath = path.resolve(process.cwd(), parsed.positional[0]);
+            if (fs.existsSync(keyPath)) {
+                console.error(`Error: ${keyPath} already exists; use --rotate-key to replace a key`);
+                process.exit(1);
+            }
+            writeFileAtomic(keyPath, `${key}\n`);
+            console.log(`Generated key ${getKeyId(key)}: ${keyPath}`);
+            process.exit(0);
+        }
+
+        // --encrypt / --decrypt mode
+        if (parsed.encrypt || parsed.decrypt) {
+            const mode = parsed.encrypt ? '--encrypt' : '--decrypt';
+            if (parsed.positional.length < 1) {
+                console.error(`Error: ${mode} requires a value, or - to read it from stdin`);
+                process.exit(1);
+            }
+            const value = readValueArgument(parsed.positional[0]);
+            const key = loadKey({}, keyContext);
+            console.log(parsed.encrypt ? encryptValue(value, key) : decryptValue(value, key));
+            process.exit(0);
+        }
+
+        // --rekey / --rotate-key mode
+        if (parsed.rekey || parsed.rotateKey) {
+            const mode = parsed.rekey ? '--rekey' : '--rotate-key';
+            if (parsed.positional.length < 1) {
+                console.error(`Error: ${mode} requires a template file`);
+                process.exit(1);
+            }
+            const templatePath = path.resolve(process.cwd(), parsed.positional[0]);
+
+            if (parsed.rekey && !parsed.newKeyFile) {
+                console.error('Error: --rekey requires --new-key-file');
+                process.exit(1);
+            }
+            if (parsed.rotateKey && !process.env.MAKEENV_KEY_FILE) {
+                console.error('Error: --rotate-key requires --key-file (or MAKEENV_KEY_FILE)');
+                process.exit(1);
+            }
+
+            // Only values encrypted with this key are re-encrypted; those with their own keyFile/keyEnv are kept
+            const key = loadKey({}, keyContext);
+            let newKey, keyPath, newKeyPath;
+            if (parsed.rekey) {
+                newKey = fs.readFileSync(path.resolve(process.cwd(), parsed.newKeyFile), 'utf8');
+            } else {
+                // The new key is saved before the template changes, so neither can be lost halfway
+                keyPath = process.env.MAKEENV_KEY_FILE;
+                newKeyPath = `${keyPath}.new`;
+                newKey = generateKey();
+                writeFileAtomic(newKeyPath, `${newKey}\n`);
+            }
+
+            const {success, errors, rekeyed, skipped} = rekeyTemplate(templatePath, {key, newKey});
+            if (!success) {
+                if (newKeyPath) {
+                    fs.rmSync(newKeyPath, {force: true});
+                }
+                console.error('Error re-encrypting template:');
+                errors.forEach(err => console.error(`  - ${err}`));
+                process.exit(1);
+            }
+            if (newKeyPath) {
+                fs.renameSync(newKeyPath, keyPath);
+            }
+
+            console.log(`Re-encrypted ${rekeyed} value(s) with key ${getKeyId(newKey)}: ${templatePath}`);
+            if (skipped > 0) {
+                console.log(`Left ${skipped} value(s) encrypted with another key (keyFile/keyEnv) unchanged`);
+            }
+            process.exit(0);
+        }
+
         // --set-defaults mode
         if (parsed.setDefaults) {
             if (parsed.positional.length < 1) {
@@ -133,20 +625,31 @@ async function main() {
 
         // --generate mode
         if (parsed.generate) {
-            let envPath, outputPath;
-
-            if (parsed.positional.length === 1) {
-                envPath = path.resolve(process.cwd(), '.env');
-                outputPath = path.resolve(process.cwd(), parsed.positional[0]);
-            } else if (parsed.positional.length >= 2) {
-                envPath = path.resolve(process.cwd(), parsed.positional[0]);
-                outputPath = path.resolve(process.cwd(), parsed.positional[1]);
-            } else {
+            if (parsed.positional.length < 1) {
                 console.error('Error: --generate requires at least an output template file');
                 process.exit(1);
             }
+            if (parsed.fromEnv === '') {
+                console.error('Error: --from-env requires a variable name prefix');
+                process.exit(1);
+            }
+            if (parsed.awsSecret === '') {
+                console.error('Error: --aws-secret requires a secret id');
+                process.exit(1);
+            }
+
+            // The last argument is the template; the ones before it are env files (default .env unless --from-env)
+            const outputPath = path.resolve(process.cwd(), parsed.positional[parsed.positional.length - 1]);
+            let envPaths = parsed.positional.slice(0, -1).map(envPath => path.resolve(process.cwd(), envPath));
+            if (envPaths.length === 0 && parsed.fromEnv === undefined) {
+                envPaths = [path.resolve(process.cwd(), '.env')];
+            }
 
-            const {success, errors} = generateTemplate(envPath, outputPath);
+            const {success, errors} = generateTemplate(envPaths, outputPath, {
+                dialect: parsed.dialect,
+                fromEnv: parsed.fromEnv,
+                awsSecret: parsed.awsSecret,
+            });
 
             if (!success) {
                 console.error('Error generating template:');
@@ -158,6 +661,79 @@ async function main() {
             process.exit(0);
         }
 
+        // --lint mode: check templates without resolving them
+        if (parsed.lint) {
+            if (parsed.positional.length < 1) {
+                console.error('Error: --lint requires at least one template file');
+                process.exit(1);
+            }
+
+            // Files shared by several templates are reported once
+            const problems = [];
+            const seen = new Set();
+            for (const templateArg of parsed.positional) {
+                const result = lintTemplate(path.resolve(process.cwd(), templateArg));
+                for (const problem of result.problems) {
+                    const file = path.relative(process.cwd(), problem.file) || problem.file;
+                    const key = `${file}:${problem.line}:${problem.message}`;
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        problems.push({...problem, file});
+                    }
+                }
+            }
+            const errorCount = problems.filter(problem => problem.severity === 'error').length;
+
+            if (parsed.json) {
+                console.log(JSON.stringify({problems}, null, 2));
+                process.exit(errorCount > 0 ? 1 : 0);
+            }
+            if (problems.length === 0) {
+                console.log('No problems found');
+                process.exit(0);
+            }
+            problems.forEach(({file, line, severity, message}) => {
+                console.log(`${file}${line === undefined ? '' : `:${line}`}: ${severity}: ${message}`);
+            });
+            console.log(`${errorCount} error(s), ${problems.length - errorCount} warning(s)`);
+            process.exit(errorCount > 0 ? 1 : 0);
+        }
+
+        // run mode: run a command with the resolved variables in its environment
+        if (parsed.positional[0] === 'run') {
+            if (parsed.positional.length < 2 || commandArgs.length === 0) {
+                console.error('Error: run requires a template file and a command after --');
+                process.exit(1);
+            }
+            const templatePath = path.resolve(process.cwd(), parsed.positional[1]);
+            if (parsed.watch) {
+                watchMode(templatePath, null, parsed, {
+                    profile: parsed.profile || process.env.MAKEENV_PROFILE || undefined,
+                    ...lookupOptions,
+                    override: parsed.override,
+                });
+                return;
+            }
+            const [command, ...commandRest] = commandArgs;
+            const {errors, exitCode, signal} = await runWithEnv(templatePath, command, commandRest, {
+                profile: parsed.profile || process.env.MAKEENV_PROFILE || undefined,
+                ...lookupOptions,
+                override: parsed.override,
+            });
+
+            if (errors.length > 0) {
+                console.error('Error resolving template:');
+                errors.forEach(err => console.error(`  - ${err}`));
+                process.exit(1);
+            }
+            // A command ended by a signal ends makeenv the same way, so callers see what happened
+            if (signal) {
+                process.kill(process.pid, signal);
+                process.exit(128 + (os.constants.signals[signal] || 0));
+            }
+            process.exit(exitCode);
+        }
+
         // Default mode: generate .env from template
         if (parsed.positional.length < 1) {
             console.error('Error: template file is required');
@@ -165,9 +741,128 @@ async function main() {
         }
 
         const inputPath = path.resolve(process.cwd(), parsed.positional[0]);
-        const outputPath = path.resolve(process.cwd(), parsed.positional[1] || '.env');
 
-        const {success, errors} = await makeEnv(inputPath, outputPath, {dryRun: parsed.dryRun});
+        // --example / --docs mode: document the template without resolving it
+        if (parsed.example || parsed.docs) {
+            const outputArg = parsed.positional[1] || (parsed.example ? '.env.example' : '-');
+            const outputPath = outputArg === '-' ? '-' : path.resolve(process.cwd(), outputArg);
+            const {success, errors} = generateDocs(inputPath, outputPath, {
+                // --docs writes Markdown unless the file name asks for another format
+                format: parsed.format || (parsed.example ? 'example' : inferDocsFormat(outputArg, 'markdown')),
+                profile: parsed.profile || process.env.MAKEENV_PROFILE || undefined,
+                dialect: parsed.dialect,
+            });
+
+            if (!success) {
+                console.error('Error generating documentation:');
+                errors.forEach(err => console.error(`  - ${err}`));
+                process.exit(1);
+            }
+            if (outputPath !== '-') {
+                console.log(`Generated: ${outputPath}`);
+            }
+            process.exit(0);
+        }
+
+        // --check mode: compare an existing env file with the template
+        if (parsed.check) {
+            const envPath = path.resolve(process.cwd(), parsed.positional[1] || '.env');
+            const report = await checkEnv(inputPath, envPath, {
+                profile: parsed.profile || process.env.MAKEENV_PROFILE || undefined,
+                ...lookupOptions,
+                showValues: parsed.showValues,
+                dialect: parsed.dialect,
+            });
+
+            if (parsed.json) {
+                const {success, ...fields} = report;
+                console.log(JSON.stringify(fields, null, 2));
+                process.exit(success ? 0 : 1);
+            }
+
+            if (report.errors.length > 0) {
+                console.error('Error checking env file:');
+                report.errors.forEach(err => console.error(`  - ${err}`));
+                process.exit(1);
+            }
+            if (!report.drift) {
+                console.log(`No drift: ${envPath} matches the template`);
+                process.exit(0);
+            }
+
+            console.log(`Drift detected: ${envPath}`);
+            report.added.forEach(({key, value}) => console.log(`  + ${key}=${value} (missing from the file)`));
+            report.removed.forEach(({key, value}) => console.log(`  - ${key}=${value} (not produced by the template)`));
+            report.changed.forEach(({key, expected, actual}) => console.log(`  ~ ${key}: ${actual} -> ${expected}`));
+            process.exit(1);
+        }
+
+        // --explain mode: report how each variable was resolved
+        if (parsed.explain) {
+            const visible = parsed.visibleChars === undefined ? 0 : Number(parsed.visibleChars);
+            if (!Number.isInteger(visible) || visible < 0) {
+                console.error('Error: --visible-chars requires a non-negative integer');
+                process.exit(1);
+            }
+            const report = await explainTemplate(parseTemplateFile(inputPath), {
+                baseDir: path.dirname(inputPath),
+                profile: parsed.profile || process.env.MAKEENV_PROFILE || undefined,
+                ...lookupOptions,
+                visible,
+                showValues: parsed.showValues,
+            });
+
+            if (parsed.json) {
+                console.log(JSON.stringify(report, null, 2));
+                process.exit(report.errors.length > 0 ? 1 : 0);
+            }
+
+            console.log(`Resolution report: ${inputPath}`);
+            report.variables.forEach(variable => console.log(`  ${describeVariable(variable)}`));
+            if (report.errors.length > 0) {
+                console.error('Errors:');
+                report.errors.forEach(err => console.error(`  - ${err}`));
+                process.exit(1);
+            }
+            process.exit(0);
+        }
+
+        const toStdout = parsed.positional[1] === '-';
+        const outputPath = toStdout ? '-' : path.resolve(process.cwd(), parsed.positional[1] || '.env');
+
+        if (parsed.allProfiles && !parsed.dryRun) {
+            console.error('Error: --all-profiles requires --dry-run');
+            process.exit(1);
+        }
+        if (parsed.prune && !parsed.merge) {
+            console.error('Error: --prune requires --merge');
+            process.exit(1);
+        }
+
+        const makeEnvOptions = {
+            dryRun: parsed.dryRun,
+            profile: parsed.profile || process.env.MAKEENV_PROFILE || undefined,
+            ...lookupOptions,
+            allProfiles: parsed.allProfiles,
+            merge: parsed.merge,
+            prune: parsed.prune,
+            format: parsed.format,
+            dialect: parsed.dialect,
+            name: parsed.name,
+            namespace: parsed.namespace,
+            force: parsed.force,
+        };
+
+        if (parsed.watch) {
+            if (toStdout) {
+                console.error('Error: --watch requires an output file');
+                process.exit(1);
+            }
+            watchMode(inputPath, outputPath, parsed, makeEnvOptions);
+            return;
+        }
+
+        const {success, errors, skipped} = await makeEnv(inputPath, outputPath, makeEnvOptions);
 
         if (!success) {
             console.error('Error generating .env file:');
@@ -176,9 +871,19 @@ async function main() {
         }
 
         if (parsed.dryRun) {
+            skipped.forEach(variable => {
+                const prefix = variable.profile ? `[${variable.profile}] ` : '';
+                console.log(`Skipped ${prefix}${variable.name}: ${variable.reason}`);
+            });
+        }
+
+        if (parsed.allProfiles) {
+            const profiles = getProfiles(parseTemplateFile(inputPath));
+            console.log(`Dry run: validation successful for profiles: ${profiles.join(', ')}`);
+        } else if (parsed.dryRun) {
             console.log('Dry run: validation successful');
-        } else {
-            console.log(`Generated: ${outputPath}`);
+        } else if (!toStdout) {
+            console.log(`${parsed.merge ? 'Updated' : 'Generated'}: ${outputPath}`);
         }
         process.exit(0);
     } catch (error) {
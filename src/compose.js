@@ -0,0 +1,194 @@
+const path = require('path');
+const {isPlainObject} = require('./objects');
+
+// Records the file a composed template was read from and the file that last declared each variable
+const ORIGINS = Symbol('makeenv.origins');
+
+/**
+ * Get the variable entries of a template, skipping "$"-prefixed directives such as $plugins
+ * @param {object} template - Parsed template object
+ * @returns {Array<[string, object]>}
+ */
+function getVariableEntries(template) {
+    return Object.entries(template).filter(([varName]) => !varName.startsWith('$'));
+}
+
+/**
+ * Read a $extends/$include directive as a list of paths
+ * @param {*} value - Directive value
+ * @param {string} directive - Directive name (for error messages)
+ * @param {string} filePath - File declaring the directive (for error messages)
+ * @returns {string[]}
+ */
+function toPathList(value, directive, filePath) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    const list = Array.isArray(value) ? value : [value];
+    if (!list.every(item => typeof item === 'string' && item !== '')) {
+        throw new Error(`Template "${filePath}": "${directive}" must be a file path or a list of file paths`);
+    }
+    return list;
+}
+
+/**
+ * Check whether a variable entry deletes an inherited variable (null or { $delete: true })
+ * @param {*} config - Variable entry
+ * @returns {boolean}
+ */
+function isDeletion(config) {
+    return config === null || (isPlainObject(config) && config.$delete === true);
+}
+
+/**
+ * Merge an overriding variable configuration over an inherited one, field by field.
+ * Profile overrides are merged per profile.
+ * @param {object} base - Inherited configuration
+ * @param {object} override - Overriding configuration
+ * @returns {object}
+ */
+function mergeVariable(base, override) {
+    const merged = {...base, ...override};
+    if (isPlainObject(base.profiles) && isPlainObject(override.profiles)) {
+        merged.profiles = {...base.profiles};
+        for (const [profile, overrides] of Object.entries(override.profiles)) {
+            const inherited = merged.profiles[profile];
+            merged.profiles[profile] = isPlainObject(inherited) && isPlainObject(overrides)
+                ? {...inherited, ...overrides}
+                : overrides;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Merge one layer (a composed parent or the file's own entries) into the result
+ * @param {object} result - Template being composed
+ * @param {Map<string, string>} origins - Variable origins of the result
+ * @param {object} layer - Entries to merge
+ * @param {(varName: string) => string} originOf - File each entry of the layer comes from
+ */
+function mergeLayer(result, origins, layer, originOf) {
+    for (const [key, config] of Object.entries(layer)) {
+        if (key === '$plugins') {
+            result.$plugins = [].concat(result.$plugins || [], config || []);
+        } else if (key === '$profiles' && Array.isArray(result.$profiles) && Array.isArray(config)) {
+            result.$profiles = Array.from(new Set([...result.$profiles, ...config]));
+        } else if (key.startsWith('$')) {
+            result[key] = config;
+        } else if (isDeletion(config)) {
+            delete result[key];
+            origins.delete(key);
+        } else {
+            result[key] = isPlainObject(result[key]) && isPlainObject(config) ? mergeVariable(result[key], config) : config;
+            origins.set(key, originOf(key));
+        }
+    }
+}
+
+/**
+ * Read a template and everything it extends or includes into a single template.
+ * Paths in $extends and $include are relative to the declaring file. Layers are merged in a fixed
+ * order: $extends (in list order), then $include (in list order), then the file's own entries;
+ * later layers override variables field by field. A variable set to null or { $delete: true }
+ * removes the inherited variable.
+ * @param {string} filePath - Template file
+ * @param {(filePath: string) => object} readFile - Reads and parses a single template file
+ * @param {string[]} [stack] - Files currently being composed (cycle detection)
+ * @returns {object} Composed template
+ * @throws {Error} On circular composition or a file that is not a template object
+ */
+function composeTemplate(filePath, readFile, stack = []) {
+    const absolutePath = path.resolve(filePath);
+    if (stack.includes(absolutePath)) {
+        const rootDir = path.dirname(stack[0]);
+        const cycle = stack.slice(stack.indexOf(absolutePath)).concat(absolutePath)
+            .map(file => path.relative(rootDir, file));
+        throw new Error(`Circular template composition: ${cycle.join(' -> ')}`);
+    }
+
+    const template = readFile(absolutePath);
+    if (!isPlainObject(template)) {
+        throw new Error(`Template "${absolutePath}" must contain an object of variables`);
+    }
+
+    const dir = path.dirname(absolutePath);
+    const parents = [
+        ...toPathList(template.$extends, '$extends', absolutePath),
+        ...toPathList(template.$include, '$include', absolutePath),
+    ];
+
+    const result = {};
+    const origins = new Map();
+    const files = [absolutePath];
+    for (const parentPath of parents) {
+        const parent = composeTemplate(path.resolve(dir, parentPath), readFile, stack.concat(absolutePath));
+        const parentOrigins = parent[ORIGINS].variables;
+        mergeLayer(result, origins, parent, varName => parentOrigins.get(varName));
+        parent[ORIGINS].files.forEach(file => files.includes(file) || files.push(file));
+    }
+
+    const own = {};
+    for (const [key, config] of Object.entries(template)) {
+        if (key === '$extends' || key === '$include') continue;
+        if (key === '$plugins' && config !== undefined && config !== null) {
+            // Relative plugin paths stay relative to the file that lists them
+            own.$plugins = (Array.isArray(config) ? config : [config])
+                .map(pluginPath => String(pluginPath).startsWith('.') ? path.resolve(dir, String(pluginPath)) : String(pluginPath));
+            continue;
+        }
+        own[key] = config;
+    }
+    mergeLayer(result, origins, own, () => absolutePath);
+
+    Object.defineProperty(result, ORIGINS, {value: {file: absolutePath, variables: origins, files}});
+    return result;
+}
+
+/**
+ * Get the file a variable was inherited from
+ * @param {object} template - Composed template
+ * @param {string} varName - Variable name
+ * @returns {string|null} Absolute path of the file that last declared the variable,
+ *   or null when it was declared by the template file itself (or the template was not read from a file)
+ */
+function getInheritedOrigin(template, varName) {
+    const origins = template[ORIGINS];
+    if (!origins) {
+        return null;
+    }
+    const origin = origins.variables.get(varName);
+    return origin && origin !== origins.file ? origin : null;
+}
+
+/**
+ * Get the files a composed template was read from
+ * @param {object} template - Composed template
+ * @returns {string[]} Absolute paths: the template file, then every file it extends or includes, directly or
+ *   indirectly; empty when the template was not read from a file
+ */
+function getTemplateFiles(template) {
+    const origins = template[ORIGINS];
+    return origins ? origins.files.slice() : [];
+}
+
+/**
+ * Carry the origins of a composed template over to a derived copy
+ * @param {object} source - Composed template
+ * @param {object} target - Derived template
+ * @returns {object} The target
+ */
+function copyOrigins(source, target) {
+    if (source[ORIGINS]) {
+        Object.defineProperty(target, ORIGINS, {value: source[ORIGINS]});
+    }
+    return target;
+}
+
+module.exports = {
+    composeTemplate,
+    getVariableEntries,
+    getInheritedOrigin,
+    getTemplateFiles,
+    copyOrigins,
+};
@@ -0,0 +1,209 @@
+/**
+ * Defaults for remote source lookups
+ */
+const LOOKUP_DEFAULTS = {
+    CONCURRENCY: 8,
+    TIMEOUT: 30000,
+    RETRIES: 2,
+    RETRY_DELAY: 200,
+};
+
+// Error names and codes of throttling, server-side and network failures that are worth another attempt
+const TRANSIENT_ERRORS = new Set([
+    'ThrottlingException',
+    'Throttling',
+    'TooManyRequestsException',
+    'RequestLimitExceeded',
+    'ProvisionedThroughputExceededException',
+    'InternalServiceError',
+    'InternalFailure',
+    'ServiceUnavailable',
+    'TimeoutError',
+    'AbortError',
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'UND_ERR_SOCKET',
+    'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+/**
+ * Read a lookup limit (timeout, retries, retry delay) from a variable or an option
+ * @param {*} value - Configured value
+ * @param {string} description - What the value configures (for error messages)
+ * @returns {number}
+ * @throws {Error} When the value is not a non-negative integer
+ */
+function parseLimit(value, description) {
+    const number = Number(value);
+    if (value === null || value === '' || typeof value === 'boolean' || !Number.isInteger(number) || number < 0) {
+        throw new Error(`${description} must be a non-negative integer, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Read a lookup limit option (timeout, retries) for one source. The option is either a number for every source or an
+ * object of numbers keyed by source name, where "*" stands for the sources it does not list.
+ * @param {number|Object<string, number>|undefined} value - Option value
+ * @param {string} source - Source name
+ * @param {string} name - Option name (for error messages)
+ * @returns {number|undefined} undefined when the option sets no limit for the source
+ * @throws {Error} When the source's value is not a non-negative integer
+ */
+function getSourceLimit(value, source, name) {
+    if (value === null || typeof value !== 'object') {
+        return value === undefined ? undefined : parseLimit(value, name);
+    }
+    const key = Object.prototype.hasOwnProperty.call(value, source) ? source : '*';
+    if (!Object.prototype.hasOwnProperty.call(value, key) || value[key] === undefined) {
+        return undefined;
+    }
+    return parseLimit(value[key], key === '*' ? name : `${name} of source "${source}"`);
+}
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at a time; further tasks wait in order
+ * @param {number} [concurrency] - Maximum number of running tasks (default 8)
+ * @returns {{ run: <T>(task: () => Promise<T>) => Promise<T> }}
+ * @throws {Error} When concurrency is not a positive integer
+ */
+function createLimiter(concurrency = LOOKUP_DEFAULTS.CONCURRENCY) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`Concurrency must be a positive integer, got "${concurrency}"`);
+    }
+
+    let running = 0;
+    const waiting = [];
+
+    const run = async (task) => {
+        if (running >= concurrency) {
+            // A finishing task hands its slot over, so running stays the same
+            await new Promise(resolve => waiting.push(resolve));
+        } else {
+            running++;
+        }
+        try {
+            return await task();
+        } finally {
+            if (waiting.length > 0) {
+                waiting.shift()();
+            } else {
+                running--;
+            }
+        }
+    };
+
+    return {run};
+}
+
+/**
+ * Get a value from a cache, loading it on a miss. Concurrent callers share one pending load, and failed loads are
+ * dropped from the cache so that the next caller tries again.
+ * @param {Map<string, *>} cache - Cache holding values or pending loads
+ * @param {string} key - Cache key
+ * @param {() => Promise<*>} load - Loads the value
+ * @returns {Promise<*>} The cached or loaded value
+ */
+function getCached(cache, key, load) {
+    if (!cache.has(key)) {
+        const pending = Promise.resolve().then(load);
+        cache.set(key, pending);
+        pending.catch(() => {
+            if (cache.get(key) === pending) {
+                cache.delete(key);
+            }
+        });
+    }
+    return Promise.resolve(cache.get(key));
+}
+
+/**
+ * Run a task with a time limit. The task receives an AbortSignal that is aborted when the limit is reached,
+ * so that it can cancel its request.
+ * @param {(signal: AbortSignal) => Promise<*>} task - Task to run
+ * @param {number} timeout - Milliseconds before the task is abandoned; 0 disables the limit
+ * @param {string} message - Error message when the limit is reached
+ * @returns {Promise<*>} The task's result
+ * @throws {Error} A TimeoutError named error when the limit is reached
+ */
+async function withTimeout(task, timeout, message) {
+    const controller = new AbortController();
+    if (!timeout) {
+        return task(controller.signal);
+    }
+
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(message);
+            err.name = 'TimeoutError';
+            controller.abort(err);
+            reject(err);
+        }, timeout);
+    });
+    try {
+        return await Promise.race([task(controller.signal), expired]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Check whether an error, or an error it wraps (through `cause`), is a throttling, server-side or network failure
+ * @param {*} err - Error thrown by a source
+ * @returns {boolean}
+ */
+function isTransientError(err) {
+    for (let error = err; error && typeof error === 'object'; error = error.cause) {
+        if (error.retryable === true || error.$retryable) {
+            return true;
+        }
+        const status = (error.$metadata && error.$metadata.httpStatusCode) || error.statusCode;
+        if (status === 429 || status >= 500) {
+            return true;
+        }
+        if (TRANSIENT_ERRORS.has(error.name) || TRANSIENT_ERRORS.has(error.code)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Run a task, repeating it after transient errors with exponential backoff (delay, 2 × delay, 4 × delay, ...,
+ * each randomized between half and all of it)
+ * @param {() => Promise<*>} task - Task to run
+ * @param {{ retries?: number, delay?: number }} [options] - Additional attempts after the first (default 2) and the
+ *   base delay in milliseconds (default 200)
+ * @returns {Promise<*>} The task's result
+ * @throws {Error} The last error, or the first one that is not transient
+ */
+async function retry(task, options = {}) {
+    const retries = options.retries === undefined ? LOOKUP_DEFAULTS.RETRIES : options.retries;
+    const delay = options.delay === undefined ? LOOKUP_DEFAULTS.RETRY_DELAY : options.delay;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await task();
+        } catch (err) {
+            if (attempt >= retries || !isTransientError(err)) {
+                throw err;
+            }
+            const backoff = delay * 2 ** attempt;
+            await new Promise(resolve => setTimeout(resolve, backoff / 2 + Math.random() * backoff / 2));
+        }
+    }
+}
+
+module.exports = {
+    LOOKUP_DEFAULTS,
+    parseLimit,
+    getSourceLimit,
+    createLimiter,
+    getCached,
+    withTimeout,
+    isTransientError,
+    retry,
+};
@@ -0,0 +1,247 @@
+/**
+ * A small expression language for "when" conditions:
+ *   env.NAME            value of an environment variable
+ *   NAME                resolved value of a template variable
+ *   'text', "text", 42  literals (compared as strings)
+ *   a == b, a != b      equality
+ *   a in ['x', 'y']     membership
+ *   !a, a && b, a || b  logic, with parentheses for grouping
+ * A reference used on its own is an existence check: true when the value is set and not empty.
+ */
+
+const TOKEN_PATTERN = /\s*(?:(==|!=|&&|\|\||[!()[\],])|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(-?\d+(?:\.\d+)?)|((?:env\.)?[A-Za-z_][A-Za-z0-9_]*))/y;
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - Expression text
+ * @returns {Array<{ type: string, value: string }>}
+ */
+function tokenize(expression) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < expression.length) {
+        if (/^\s*$/.test(expression.slice(TOKEN_PATTERN.lastIndex))) break;
+
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(expression);
+        if (!match) {
+            const rest = expression.slice(start);
+            const offset = rest.length - rest.trimStart().length;
+            throw new Error(`unexpected "${rest[offset]}" at position ${start + offset + 1}`);
+        }
+
+        if (match[1] !== undefined) {
+            tokens.push({type: match[1], value: match[1]});
+        } else if (match[2] !== undefined || match[3] !== undefined) {
+            const text = match[2] !== undefined ? match[2] : match[3];
+            tokens.push({type: 'literal', value: text.replace(/\\(.)/g, '$1')});
+        } else if (match[4] !== undefined) {
+            tokens.push({type: 'literal', value: match[4]});
+        } else if (match[5] === 'in') {
+            tokens.push({type: 'in', value: 'in'});
+        } else if (match[5] === 'true' || match[5] === 'false') {
+            tokens.push({type: 'literal', value: match[5]});
+        } else {
+            tokens.push({type: 'reference', value: match[5]});
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse tokens into an expression tree
+ * @param {Array<{ type: string, value: string }>} tokens - Tokens
+ * @returns {object} Expression tree
+ */
+function parseTokens(tokens) {
+    let position = 0;
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (type) => {
+        const token = next();
+        if (!token || token.type !== type) {
+            throw new Error(`expected "${type}" but found ${token ? `"${token.value}"` : 'end of expression'}`);
+        }
+        return token;
+    };
+
+    const operand = () => {
+        const token = next();
+        if (!token) {
+            throw new Error('unexpected end of expression');
+        }
+        if (token.type === 'literal') {
+            return {type: 'literal', value: token.value};
+        }
+        if (token.type === 'reference') {
+            return token.value.startsWith('env.')
+                ? {type: 'reference', name: token.value.slice(4), env: true}
+                : {type: 'reference', name: token.value, env: false};
+        }
+        throw new Error(`unexpected "${token.value}"`);
+    };
+
+    const comparison = () => {
+        const left = operand();
+        const token = peek();
+        if (token && (token.type === '==' || token.type === '!=')) {
+            next();
+            return {type: token.type, left, right: operand()};
+        }
+        if (token && token.type === 'in') {
+            next();
+            expect('[');
+            const items = [];
+            while (peek() && peek().type !== ']') {
+                items.push(operand());
+                if (!peek() || peek().type !== ',') break;
+                next();
+            }
+            expect(']');
+            return {type: 'in', left, items};
+        }
+        return {type: 'exists', operand: left};
+    };
+
+    const unary = () => {
+        const token = peek();
+        if (token && token.type === '!') {
+            next();
+            return {type: '!', operand: unary()};
+        }
+        if (token && token.type === '(') {
+            next();
+            const inner = or();
+            expect(')');
+            return inner;
+        }
+        return comparison();
+    };
+
+    const and = () => {
+        let left = unary();
+        while (peek() && peek().type === '&&') {
+            next();
+            left = {type: '&&', left, right: unary()};
+        }
+        return left;
+    };
+
+    const or = () => {
+        let left = and();
+        while (peek() && peek().type === '||') {
+            next();
+            left = {type: '||', left, right: and()};
+        }
+        return left;
+    };
+
+    const tree = or();
+    if (position < tokens.length) {
+        throw new Error(`unexpected "${tokens[position].value}"`);
+    }
+    return tree;
+}
+
+/**
+ * Collect the references of an expression tree
+ * @param {object} node - Expression tree
+ * @param {Array<{ name: string, env: boolean }>} references - Collected references
+ * @returns {Array<{ name: string, env: boolean }>}
+ */
+function collectReferences(node, references = []) {
+    switch (node.type) {
+        case 'reference':
+            references.push({name: node.name, env: node.env});
+            break;
+        case 'literal':
+            break;
+        case 'exists':
+        case '!':
+            collectReferences(node.operand, references);
+            break;
+        case 'in':
+            collectReferences(node.left, references);
+            node.items.forEach(item => collectReferences(item, references));
+            break;
+        default:
+            collectReferences(node.left, references);
+            collectReferences(node.right, references);
+    }
+    return references;
+}
+
+/**
+ * Evaluate an expression tree
+ * @param {object} node - Expression tree
+ * @param {(reference: { name: string, env: boolean }) => string|null|undefined} lookup - Value lookup
+ * @returns {boolean}
+ */
+function evaluate(node, lookup) {
+    const value = (operand) => {
+        if (operand.type === 'literal') {
+            return operand.value;
+        }
+        const result = lookup(operand);
+        return result === undefined ? null : result;
+    };
+
+    switch (node.type) {
+        case 'exists': {
+            const result = value(node.operand);
+            return result !== null && result !== '';
+        }
+        case '==':
+            return value(node.left) === value(node.right);
+        case '!=':
+            return value(node.left) !== value(node.right);
+        case 'in': {
+            const left = value(node.left);
+            return node.items.some(item => value(item) === left);
+        }
+        case '!':
+            return !evaluate(node.operand, lookup);
+        case '&&':
+            return evaluate(node.left, lookup) && evaluate(node.right, lookup);
+        case '||':
+            return evaluate(node.left, lookup) || evaluate(node.right, lookup);
+        default:
+            throw new Error(`cannot evaluate "${node.type}"`);
+    }
+}
+
+/**
+ * Compile a variable's "when" condition
+ * @param {string|boolean|undefined} when - The "when" field of a variable
+ * @param {string} varName - Variable name (for error messages)
+ * @returns {{ expression: string, references: Array<{ name: string, env: boolean }>,
+ *   test: (lookup: Function) => boolean }|null} Compiled condition, or null when the variable has none
+ * @throws {Error} When the expression is invalid
+ */
+function compileCondition(when, varName) {
+    if (when === undefined || when === null) {
+        return null;
+    }
+    if (typeof when === 'boolean') {
+        return {expression: String(when), references: [], test: () => when};
+    }
+    if (typeof when !== 'string' || when.trim() === '') {
+        throw new Error(`Variable "${varName}" field "when" must be a non-empty expression`);
+    }
+
+    let tree;
+    try {
+        tree = parseTokens(tokenize(when));
+    } catch (err) {
+        throw new Error(`Variable "${varName}" has an invalid "when" expression "${when}": ${err.message}`);
+    }
+    return {
+        expression: when,
+        references: collectReferences(tree),
+        test: lookup => Boolean(evaluate(tree, lookup)),
+    };
+}
+
+module.exports = {
+    compileCondition,
+};
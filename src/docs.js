@@ -0,0 +1,286 @@
+const {stringifyDotenv} = require('./dotenv');
+const {looksSensitive, getSensitiveNames} = require('./sensitive');
+const {maskValue} = require('./mask');
+
+// Sources whose value is the variable's value rather than a reference to where it is stored
+const LITERAL_SOURCES = ['string', 'encrypted'];
+
+/**
+ * Documentation formats and the output file extensions they are inferred from
+ */
+const DOCS_FORMATS = {
+    example: [],
+    markdown: ['.md', '.markdown'],
+    html: ['.html', '.htm'],
+};
+
+/**
+ * Describe a template's variables for documentation without resolving anything. Values that are or look like
+ * secrets are left out: the values of sensitive variables and of the variables interpolating them, encrypted values
+ * and string values or defaults that look secret by name or format.
+ * @param {object} template - Parsed template object (profile already applied)
+ * @returns {Array<{ name: string, description?: string, group?: string, source: string, reference?: string,
+ *   required: boolean, sensitive: boolean, condition?: string, bulk: boolean, default?: string, example?: string,
+ *   placeholder: string }>}
+ *   Variables in template order: reference is where the value is read from (or the value of a string source),
+ *   default is masked for secrets, and placeholder is the value shown in .env.example
+ */
+function documentVariables(template) {
+    const described = [];
+    const sensitiveNames = getSensitiveNames(template);
+    for (const [name, config] of Object.entries(template)) {
+        if (name.startsWith('$') || !config || typeof config !== 'object') {
+            continue;
+        }
+        const source = config.source || 'string';
+        const value = config.value === undefined || config.value === null ? undefined : String(config.value);
+        const defaultValue = config.default === undefined || config.default === null ? undefined : String(config.default);
+        const hidden = text => sensitiveNames.has(name) || looksSensitive(name, text);
+
+        // Literal values are only shown when they are not secret; references (env names, secret ids, paths) always are
+        const literal = LITERAL_SOURCES.includes(source);
+        const reference = value === undefined || source === 'encrypted' || (literal && hidden(value)) ? undefined : value;
+        const sensitive = sensitiveNames.has(name) || (literal && value !== undefined && reference === undefined);
+        const example = config.example === undefined || config.example === null ? undefined : String(config.example);
+
+        let placeholder = '';
+        if (!sensitive) {
+            if (example !== undefined) {
+                placeholder = example;
+            } else if (source === 'string' && reference !== undefined && !reference.includes('${')) {
+                placeholder = reference;
+            } else if (defaultValue !== undefined && !hidden(defaultValue)) {
+                placeholder = defaultValue;
+            }
+        }
+
+        const variable = {name, source, required: config.required === true, sensitive, bulk: config.bulk === true, placeholder};
+        if (config.description) {
+            variable.description = String(config.description).trim();
+        }
+        if (config.group) {
+            variable.group = String(config.group);
+        }
+        if (reference !== undefined) {
+            variable.reference = reference;
+        }
+        if (config.when !== undefined && config.when !== null && config.when !== true) {
+            variable.condition = String(config.when);
+        }
+        if (defaultValue !== undefined) {
+            variable.default = hidden(defaultValue) ? maskValue(defaultValue) : defaultValue;
+        }
+        if (example !== undefined) {
+            variable.example = example;
+        }
+        described.push(variable);
+    }
+    return described;
+}
+
+/**
+ * Split variables into sections by group: ungrouped variables first, then groups in order of first appearance
+ * @param {Array<{ group?: string }>} variables - Described variables
+ * @returns {Array<{ group?: string, variables: object[] }>}
+ */
+function groupVariables(variables) {
+    const sections = new Map([[undefined, []]]);
+    for (const variable of variables) {
+        if (!sections.has(variable.group)) {
+            sections.set(variable.group, []);
+        }
+        sections.get(variable.group).push(variable);
+    }
+    return Array.from(sections, ([group, members]) => ({group, variables: members}))
+        .filter(section => section.variables.length > 0);
+}
+
+/**
+ * Build the notes about a variable shown in .env.example comments
+ * @param {object} variable - Described variable
+ * @returns {string}
+ */
+function describeNotes(variable) {
+    const notes = [variable.required ? 'Required' : 'Optional'];
+    if (variable.condition) {
+        notes.push(`only when ${variable.condition}`);
+    }
+    if (variable.sensitive) {
+        notes.push(LITERAL_SOURCES.includes(variable.source) ? 'secret' : `secret, read from ${variable.source}`);
+        if (variable.example !== undefined) {
+            notes.push(`example: ${variable.example}`);
+        }
+    }
+    if (variable.default !== undefined) {
+        notes.push(`default: ${variable.default}`);
+    }
+    return notes.join('; ');
+}
+
+/**
+ * Format variables as a .env.example file: each variable with its description and notes as comments and a
+ * placeholder value (empty for secrets), grouped into sections
+ * @param {Array<object>} variables - Described variables
+ * @param {{ dialect?: string }} [options] - Dotenv dialect placeholders are quoted for (default "dotenv")
+ * @returns {string}
+ */
+function formatExample(variables, options = {}) {
+    const blocks = [];
+    for (const {group, variables: members} of groupVariables(variables)) {
+        if (group !== undefined) {
+            blocks.push(`# === ${group} ===\n`);
+        }
+        for (const variable of members) {
+            const comments = (variable.description ? variable.description.split('\n') : []).concat(describeNotes(variable));
+            const lines = comments.map(comment => `# ${comment}`.trimEnd()).join('\n');
+            if (variable.bulk) {
+                blocks.push(`${lines}\n# ${variable.name}: one variable per parameter under ${variable.reference || 'the path'}\n`);
+            } else {
+                blocks.push(`${lines}\n${stringifyDotenv([[variable.name, variable.placeholder]], {dialect: options.dialect})}`);
+            }
+        }
+    }
+    return blocks.join('\n');
+}
+
+/**
+ * Build the cells of a variable's row in the reference table. A cell is a list of text and code segments.
+ * @param {object} variable - Described variable
+ * @returns {Array<Array<string|{ code: string }>>}
+ */
+function referenceRow(variable) {
+    const description = variable.description ? [variable.description] : [];
+    if (variable.bulk) {
+        description.push(`${description.length > 0 ? '\n' : ''}One variable per parameter under the path`);
+    }
+    const source = [variable.source];
+    if (variable.reference !== undefined) {
+        source.push(' ', {code: variable.reference});
+    }
+    if (variable.sensitive) {
+        source.push(' (secret)');
+    }
+    const required = [variable.required ? 'yes' : 'no'];
+    if (variable.condition) {
+        required.push(', when ', {code: variable.condition});
+    }
+    const optional = value => (value === undefined ? [] : [{code: value}]);
+    return [[{code: variable.name}], description, source, required, optional(variable.default), optional(variable.example)];
+}
+
+const REFERENCE_HEADERS = ['Variable', 'Description', 'Source', 'Required', 'Default', 'Example'];
+
+/**
+ * Render a cell as Markdown
+ * @param {Array<string|{ code: string }>} cell - Cell segments
+ * @returns {string}
+ */
+function markdownCell(cell) {
+    return cell.map((segment) => {
+        if (typeof segment === 'string') {
+            return segment.replace(/([\\|*_`[\]<>])/g, '\\$1');
+        }
+        // A code span is delimited by a backtick run longer than any inside it; pipes still end the table cell
+        const runs = segment.code.match(/`+/g) || [];
+        const fence = '`'.repeat(Math.max(0, ...runs.map(run => run.length)) + 1);
+        const padding = segment.code.startsWith('`') || segment.code.endsWith('`') ? ' ' : '';
+        return `${fence}${padding}${segment.code.replace(/\|/g, '\\|')}${padding}${fence}`;
+    }).join('').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a cell as HTML
+ * @param {Array<string|{ code: string }>} cell - Cell segments
+ * @returns {string}
+ */
+function htmlCell(cell) {
+    return cell.map(segment => (typeof segment === 'string' ? escapeHtml(segment) : `<code>${escapeHtml(segment.code)}</code>`))
+        .join('').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Format variables as a Markdown or HTML reference: a table of variables per group with their description, source,
+ * whether they are required and their default and example values
+ * @param {Array<object>} variables - Described variables
+ * @param {'markdown'|'html'} format - Output format
+ * @param {{ title?: string }} [options] - Document title (default "Environment variables")
+ * @returns {string}
+ */
+function formatReference(variables, format, options = {}) {
+    const title = options.title || 'Environment variables';
+    const sections = groupVariables(variables);
+
+    if (format === 'markdown') {
+        const parts = [`# ${title}\n`];
+        for (const {group, variables: members} of sections) {
+            if (group !== undefined) {
+                parts.push(`## ${group}\n`);
+            }
+            const rows = [REFERENCE_HEADERS, REFERENCE_HEADERS.map(() => '---')]
+                .concat(members.map(variable => referenceRow(variable).map(markdownCell)));
+            parts.push(rows.map(row => `|${row.map(cell => (cell ? ` ${cell} ` : ' ')).join('|')}|`).join('\n') + '\n');
+        }
+        if (variables.length === 0) {
+            parts.push('The template defines no variables.\n');
+        }
+        return parts.join('\n');
+    }
+
+    const lines = [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        '</head>',
+        '<body>',
+        `<h1>${escapeHtml(title)}</h1>`,
+    ];
+    for (const {group, variables: members} of sections) {
+        if (group !== undefined) {
+            lines.push(`<h2>${escapeHtml(group)}</h2>`);
+        }
+        lines.push('<table>');
+        lines.push(`<thead><tr>${REFERENCE_HEADERS.map(header => `<th>${header}</th>`).join('')}</tr></thead>`);
+        lines.push('<tbody>');
+        for (const variable of members) {
+            lines.push(`<tr>${referenceRow(variable).map(cell => `<td>${htmlCell(cell)}</td>`).join('')}</tr>`);
+        }
+        lines.push('</tbody>');
+        lines.push('</table>');
+    }
+    if (variables.length === 0) {
+        lines.push('<p>The template defines no variables.</p>');
+    }
+    lines.push('</body>', '</html>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Infer the documentation format from an output file name
+ * @param {string|null} outputPath - Output file path
+ * @param {string} [fallback] - Format when nothing more specific matches (default: example)
+ * @returns {string} Format name
+ */
+function inferDocsFormat(outputPath, fallback = 'example') {
+    const name = outputPath && outputPath !== '-' ? outputPath.toLowerCase() : '';
+    const format = Object.keys(DOCS_FORMATS).find(key => DOCS_FORMATS[key].some(ext => name.endsWith(ext)));
+    return format || fallback;
+}
+
+module.exports = {
+    DOCS_FORMATS,
+    documentVariables,
+    formatExample,
+    formatReference,
+    inferDocsFormat,
+};
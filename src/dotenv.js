@@ -0,0 +1,223 @@
+/**
+ * Dotenv dialects:
+ *   dotenv          the "dotenv" npm package: unquoted values end at "#"; double quotes expand \n and \r
+ *                   only; single quotes and backticks are literal
+ *   docker-compose  Docker Compose env files: inline comments need whitespace before "#"; double quotes
+ *                   expand \n and \r and drop the backslash of any other escape (\" \\ \$); single quotes
+ *                   are literal. Compose interpolates ${VAR} in unquoted and double-quoted values; makeenv
+ *                   reads them literally and never writes an unescaped "$" outside single quotes.
+ * Both accept an "export " prefix, "KEY=value" and "KEY: value", and quoted values spanning several lines.
+ */
+const DIALECTS = ['dotenv', 'docker-compose'];
+
+const ASSIGNMENT_PATTERN = /^(\s*(?:export\s+)?)([\w.-]+)(\s*=\s*|:\s+)(.*)$/;
+
+/**
+ * Check a dialect name
+ * @param {string} [dialect] - Dialect name (default "dotenv")
+ * @returns {string} The dialect
+ */
+function getDialect(dialect) {
+    const name = dialect || 'dotenv';
+    if (!DIALECTS.includes(name)) {
+        throw new Error(`Unknown dotenv dialect "${name}". Supported: ${DIALECTS.join(', ')}`);
+    }
+    return name;
+}
+
+/**
+ * Find the closing quote of a quoted value
+ * @param {string} text - Text following the opening quote
+ * @param {string} quote - Quote character
+ * @param {string} dialect - Dialect name
+ * @returns {number} Index of the closing quote, or -1
+ */
+function findClosingQuote(text, quote, dialect) {
+    let backslashes = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === quote) {
+            // Compose skips any quote after a backslash; dotenv only lets \" continue a double-quoted value
+            const escaped = dialect === 'docker-compose' ? backslashes > 0 : quote === '"' && backslashes % 2 === 1;
+            if (!escaped) {
+                return i;
+            }
+        }
+        backslashes = text[i] === '\\' ? backslashes + 1 : 0;
+    }
+    return -1;
+}
+
+/**
+ * Expand the escapes of a double-quoted value
+ * @param {string} text - Text between the quotes
+ * @param {string} dialect - Dialect name
+ * @returns {string}
+ */
+function unescapeDoubleQuoted(text, dialect) {
+    if (dialect === 'dotenv') {
+        return text.replace(/\\n/g, '\n').replace(/\\r/g, '\r');
+    }
+    return text.replace(/\\([\s\S])/g, (match, char) => {
+        if (char === 'n') return '\n';
+        if (char === 'r') return '\r';
+        return char;
+    });
+}
+
+/**
+ * Split dotenv content into entries. An assignment whose quoted value spans several lines is one entry;
+ * every other line (comments, blank lines, anything unparseable) is its own entry without a key.
+ * @param {string} content - File content
+ * @param {{ dialect?: string }} [options] - Dialect (default "dotenv")
+ * @returns {Array<{ lines: string[], key?: string, value?: string, prefix?: string, comment?: string }>}
+ *   prefix is the text before the key (indentation and "export "), comment the text after the value
+ */
+function scanDotenv(content, options = {}) {
+    const dialect = getDialect(options.dialect);
+    const quotes = dialect === 'dotenv' ? ['"', "'", '`'] : ['"', "'"];
+    const lines = content.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+
+    const entries = [];
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const match = line.match(ASSIGNMENT_PATTERN);
+        if (!match) {
+            entries.push({lines: [line]});
+            continue;
+        }
+
+        const [, prefix, key, , rest] = match;
+        if (quotes.includes(rest[0])) {
+            const quote = rest[0];
+            let text = rest.slice(1);
+            let end = findClosingQuote(text, quote, dialect);
+            let last = i;
+            while (end === -1 && last + 1 < lines.length) {
+                last++;
+                text += `\n${lines[last]}`;
+                end = findClosingQuote(text, quote, dialect);
+            }
+
+            // An unterminated quote is read as an unquoted value
+            if (end !== -1) {
+                const raw = text.slice(0, end);
+                const value = quote === '"' ? unescapeDoubleQuoted(raw, dialect) : raw;
+                entries.push({lines: lines.slice(i, last + 1), key, value, prefix, comment: text.slice(end + 1)});
+                i = last;
+                continue;
+            }
+        }
+
+        // Unquoted values end at an inline comment
+        const commentStart = dialect === 'dotenv' ? rest.indexOf('#') : rest.search(/(^|\s)#/);
+        const raw = commentStart === -1 ? rest : rest.slice(0, commentStart);
+        const valueText = raw.trimEnd();
+        entries.push({lines: [line], key, value: valueText.trim(), prefix, comment: rest.slice(valueText.length)});
+    }
+    return entries;
+}
+
+/**
+ * Parse dotenv content; later assignments of a key override earlier ones
+ * @param {string} content - File content
+ * @param {{ dialect?: string }} [options] - Dialect (default "dotenv")
+ * @returns {Object<string, string>} Parsed key-value pairs
+ */
+function parseDotenv(content, options = {}) {
+    const result = {};
+    for (const entry of scanDotenv(content, options)) {
+        if (entry.key !== undefined) {
+            result[entry.key] = entry.value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Collect the comments describing each key: the comment lines directly above its assignment (without a blank line in
+ * between) and its inline comment. Commented-out assignments such as "# DEBUG=true" describe nothing.
+ * @param {string} content - File content
+ * @param {{ dialect?: string }} [options] - Dialect (default "dotenv")
+ * @returns {Object<string, string>} Comment text by key, for keys that have one; later assignments of a key override
+ *   earlier ones
+ */
+function getDotenvComments(content, options = {}) {
+    const result = {};
+    let pending = [];
+    for (const entry of scanDotenv(content, options)) {
+        if (entry.key === undefined) {
+            const line = entry.lines[0].trim();
+            const text = line.replace(/^#+\s*/, '');
+            if (!line.startsWith('#') || /^(?:export\s+)?[A-Za-z_][\w.-]*\s*=/.test(text)) {
+                pending = [];
+            } else if (text !== '') {
+                pending.push(text);
+            }
+            continue;
+        }
+
+        const inline = entry.comment.trim();
+        const lines = inline.startsWith('#') ? [...pending, inline.replace(/^#+\s*/, '')] : pending;
+        const description = lines.filter(line => line !== '').join(' ');
+        if (description !== '') {
+            result[entry.key] = description;
+        }
+        pending = [];
+    }
+    return result;
+}
+
+/**
+ * Quote a value so that the dialect reads it back unchanged
+ * @param {string} value - Raw value
+ * @param {{ dialect?: string, name?: string }} [options] - Dialect, and the variable name for error messages
+ * @returns {string} Value as written after "KEY="
+ * @throws {Error} When the dotenv dialect has no way to write the value
+ */
+function quoteDotenvValue(value, options = {}) {
+    const dialect = getDialect(options.dialect);
+    const name = options.name ? `Variable "${options.name}"` : 'Value';
+    if (/^(?:[^\s'"`#$=][^\s'"`#$]*)?$/.test(value)) {
+        return value;
+    }
+    if (dialect === 'docker-compose' && value.endsWith('\\')) {
+        // Compose treats a quote after a backslash as escaped, so such a value cannot be closed
+        throw new Error(`${name} ends with a backslash, which the docker-compose dialect cannot quote`);
+    }
+    if (!/["\\$]/.test(value)) {
+        return `"${value.replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+    }
+    if (!value.includes("'") && !value.includes('\r')) {
+        return `'${value}'`;
+    }
+    if (dialect === 'docker-compose') {
+        const escaped = value.replace(/[\\"$]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+        return `"${escaped}"`;
+    }
+    if (!value.includes('`') && !value.includes('\r')) {
+        return `\`${value}\``;
+    }
+    throw new Error(`${name} mixes quotes with a backslash or "$" in a way the dotenv dialect cannot represent; use the docker-compose dialect`);
+}
+
+/**
+ * Serialize variables as dotenv content
+ * @param {Array<[string, string]>} entries - Variable names and values in output order
+ * @param {{ dialect?: string }} [options] - Dialect (default "dotenv")
+ * @returns {string}
+ */
+function stringifyDotenv(entries, options = {}) {
+    return entries.map(([name, value]) => `${name}=${quoteDotenvValue(value, {dialect: options.dialect, name})}\n`).join('');
+}
+
+module.exports = {
+    DIALECTS,
+    scanDotenv,
+    parseDotenv,
+    getDotenvComments,
+    quoteDotenvValue,
+    stringifyDotenv,
+};
@@ -0,0 +1,43 @@
+const {maskValue} = require('./mask');
+
+/**
+ * Compare the values a template produces with the values of an existing env file
+ * @param {Map<string, string>} expected - Values the template produces, in output order
+ * @param {Object<string, string>} actual - Values of the existing file
+ * @param {{ showValues?: boolean, sensitive?: Set<string> }} [options] - Values are masked unless showValues is set;
+ *   values of the sensitive keys are always masked
+ * @returns {{ drift: boolean, added: Array<{ key: string, value: string }>, removed: Array<{ key: string, value: string }>,
+ *   changed: Array<{ key: string, expected: string, actual: string }> }}
+ *   Keys the file is missing (added), keys only the file has (removed) and keys whose values differ (changed)
+ */
+function diffEnv(expected, actual, options = {}) {
+    const sensitive = options.sensitive || new Set();
+    const show = (key, value) => options.showValues && !sensitive.has(key) ? value : maskValue(value);
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    for (const [key, value] of expected) {
+        if (!Object.prototype.hasOwnProperty.call(actual, key)) {
+            added.push({key, value: show(key, value)});
+        } else if (actual[key] !== value) {
+            changed.push({key, expected: show(key, value), actual: show(key, actual[key])});
+        }
+    }
+    for (const [key, value] of Object.entries(actual)) {
+        if (!expected.has(key)) {
+            removed.push({key, value: show(key, value)});
+        }
+    }
+
+    return {
+        drift: added.length > 0 || removed.length > 0 || changed.length > 0,
+        added,
+        removed,
+        changed,
+    };
+}
+
+module.exports = {
+    diffEnv,
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Encrypted values look like "enc:v1:<key id>:<base64 of IV, ciphertext and auth tag>" and are encrypted with
+ * AES-256-GCM. The key id (the start of the key's SHA-256) tells which key a value needs without revealing it.
+ */
+const PREFIX = 'enc:v1:';
+const VALUE_PATTERN = /^enc:v1:([0-9a-f]{8}):([A-Za-z0-9+/]+={0,2})$/;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Generate a new random key
+ * @returns {string} Base64-encoded 256-bit key
+ */
+function generateKey() {
+    return crypto.randomBytes(32).toString('base64');
+}
+
+/**
+ * Decode a key
+ * @param {string|Buffer} key - Base64 or hex encoded 256-bit key (surrounding whitespace is ignored), or the raw bytes
+ * @returns {Buffer}
+ * @throws {Error} When the key does not decode to 32 bytes
+ */
+function parseKey(key) {
+    if (Buffer.isBuffer(key) && key.length === 32) {
+        return key;
+    }
+    const text = String(key).trim();
+    const isHex = /^[0-9a-fA-F]{64}$/.test(text);
+    const bytes = Buffer.from(text, isHex ? 'hex' : 'base64');
+    // Buffer.from() skips invalid base64 characters, so only a canonical encoding is accepted
+    if (bytes.length !== 32 || (!isHex && bytes.toString('base64') !== text)) {
+        throw new Error('Encryption key must be 32 bytes, base64 or hex encoded (create one with --generate-key)');
+    }
+    return bytes;
+}
+
+/**
+ * Get the id of a key
+ * @param {string|Buffer} key - Key
+ * @returns {string} First 8 hex characters of the key's SHA-256
+ */
+function getKeyId(key) {
+    return crypto.createHash('sha256').update(parseKey(key)).digest('hex').slice(0, 8);
+}
+
+/**
+ * Check whether a string is an encrypted value
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isEncryptedValue(value) {
+    return typeof value === 'string' && VALUE_PATTERN.test(value);
+}
+
+/**
+ * Encrypt a value
+ * @param {string} plaintext - Value to encrypt
+ * @param {string|Buffer} key - Key
+ * @returns {string} Encrypted value
+ */
+function encryptValue(plaintext, key) {
+    const keyBytes = parseKey(key);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keyBytes, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const payload = Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+    return `${PREFIX}${getKeyId(keyBytes)}:${payload.toString('base64')}`;
+}
+
+/**
+ * Decrypt a value
+ * @param {string} value - Encrypted value
+ * @param {string|Buffer} key - Key
+ * @returns {string} Plaintext
+ * @throws {Error} When the value is malformed, was encrypted with another key or fails authentication
+ */
+function decryptValue(value, key) {
+    const match = typeof value === 'string' ? value.match(VALUE_PATTERN) : null;
+    if (!match) {
+        throw new Error(`Encrypted values must look like "${PREFIX}<key id>:<data>"`);
+    }
+    const keyBytes = parseKey(key);
+    const keyId = getKeyId(keyBytes);
+    if (match[1] !== keyId) {
+        throw new Error(`Value was encrypted with key ${match[1]}, but the key provided is ${keyId}`);
+    }
+
+    const payload = Buffer.from(match[2], 'base64');
+    if (payload.length < IV_LENGTH + TAG_LENGTH) {
+        throw new Error('Encrypted value is truncated');
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', keyBytes, payload.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(payload.subarray(payload.length - TAG_LENGTH));
+    const ciphertext = payload.subarray(IV_LENGTH, payload.length - TAG_LENGTH);
+    try {
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch {
+        throw new Error('Encrypted value failed authentication; it was modified or belongs to another key');
+    }
+}
+
+/**
+ * Get the file loadKey() reads the key from
+ * @param {{ keyFile?: string, keyEnv?: string }} config - Variable configuration
+ * @param {{ baseDir: string, env: Object<string, string|undefined> }} context - Source context
+ * @returns {string|null} Absolute path, or null when the key comes from an environment variable
+ */
+function getKeyFile(config, context) {
+    if (config.keyFile) {
+        return path.resolve(context.baseDir, config.keyFile);
+    }
+    // A key file is the more specific setting (makeenv --key-file sets it), so it wins over MAKEENV_KEY
+    if (!config.keyEnv && context.env.MAKEENV_KEY_FILE) {
+        return path.resolve(context.env.MAKEENV_KEY_FILE);
+    }
+    return null;
+}
+
+/**
+ * Find the key for the encrypted source: the variable's keyFile, else the environment variable named by its
+ * keyEnv, else the file named by MAKEENV_KEY_FILE, else MAKEENV_KEY
+ * @param {{ keyFile?: string, keyEnv?: string }} config - Variable configuration
+ * @param {{ baseDir: string, env: Object<string, string|undefined> }} context - Source context
+ * @returns {Buffer}
+ * @throws {Error} When no key is configured or it cannot be read
+ */
+function loadKey(config, context) {
+    const keyFile = getKeyFile(config, context);
+    if (keyFile) {
+        return parseKey(fs.readFileSync(keyFile, 'utf8'));
+    }
+    if (config.keyEnv) {
+        if (!context.env[config.keyEnv]) {
+            throw new Error(`Environment variable "${config.keyEnv}" with the encryption key is not set`);
+        }
+        return parseKey(context.env[config.keyEnv]);
+    }
+    if (context.env.MAKEENV_KEY) {
+        return parseKey(context.env.MAKEENV_KEY);
+    }
+    throw new Error('No encryption key: set MAKEENV_KEY or MAKEENV_KEY_FILE, or keyFile on the variable');
+}
+
+module.exports = {
+    generateKey,
+    parseKey,
+    getKeyId,
+    isEncryptedValue,
+    encryptValue,
+    decryptValue,
+    getKeyFile,
+    loadKey,
+};
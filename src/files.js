@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Write a file atomically: the content is written and flushed to a temporary file next to the target,
+ * which then replaces it, so readers never see a partial file. A symlinked target is resolved, so the file it
+ * points to is replaced rather than the link.
+ * @param {string} filePath - Target file
+ * @param {string} content - File content
+ * @param {{ mode?: number, keepMode?: boolean }} [options] - Permissions of the written file (default 0o600, owner
+ *   read/write only, also for an existing file); with keepMode an existing file keeps its permissions instead, for files
+ *   without secrets such as docs and templates
+ */
+function writeFileAtomic(filePath, content, options = {}) {
+    let targetPath = filePath;
+    let mode = options.mode === undefined ? 0o600 : options.mode;
+    if (fs.existsSync(filePath)) {
+        targetPath = fs.realpathSync(filePath);
+        if (options.keepMode) {
+            mode = fs.statSync(targetPath).mode & 0o777;
+        }
+    }
+    const tempPath = path.join(
+        path.dirname(targetPath),
+        `.${path.basename(targetPath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`,
+    );
+
+    try {
+        const fd = fs.openSync(tempPath, 'wx', mode);
+        try {
+            fs.writeFileSync(fd, content, 'utf8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        // The umask may have narrowed the mode on creation; set it exactly
+        fs.chmodSync(tempPath, mode);
+        fs.renameSync(tempPath, targetPath);
+    } catch (err) {
+        fs.rmSync(tempPath, {force: true});
+        throw err;
+    }
+}
+
+module.exports = {
+    writeFileAtomic,
+};
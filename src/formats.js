@@ -0,0 +1,125 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const {stringifyDotenv} = require('./dotenv');
+
+/**
+ * Quote a value for a POSIX shell: safe values stay bare, everything else is single-quoted
+ * @param {string} value - Raw value
+ * @returns {string} Shell-quoted value
+ */
+function shellQuote(value) {
+    if (/^[A-Za-z0-9_@%+=:,./-]+$/.test(value)) {
+        return value;
+    }
+    return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Build a Kubernetes manifest name from options or the output file name (RFC 1123 subdomain)
+ * @param {{ name?: string, outputPath?: string }} options - Format options
+ * @returns {string}
+ */
+function manifestName(options) {
+    if (options.name) {
+        return options.name;
+    }
+    const base = options.outputPath && options.outputPath !== '-'
+        ? path.basename(options.outputPath).replace(/\.(ya?ml|json)$/i, '')
+        : '';
+    const sanitized = base.toLowerCase().replace(/[^a-z0-9.-]+/g, '-').replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '');
+    return sanitized || 'app-env';
+}
+
+/**
+ * Build a Kubernetes Secret or ConfigMap manifest
+ * @param {'Secret'|'ConfigMap'} kind - Manifest kind
+ * @param {Object<string, string>} data - Manifest data
+ * @param {{ name?: string, namespace?: string, outputPath?: string }} options - Format options
+ * @returns {string} YAML manifest
+ */
+function kubernetesManifest(kind, data, options) {
+    const metadata = {name: manifestName(options)};
+    if (options.namespace) {
+        metadata.namespace = options.namespace;
+    }
+
+    const manifest = {apiVersion: 'v1', kind, metadata};
+    if (kind === 'Secret') {
+        manifest.type = 'Opaque';
+    }
+    manifest.data = data;
+    return yaml.dump(manifest, {lineWidth: -1});
+}
+
+/**
+ * Output formats. Each serializer receives [name, value] entries in output order and
+ * throws when a value cannot be represented in the format.
+ */
+const FORMATS = {
+    dotenv: (entries, options) => stringifyDotenv(entries, {dialect: options.dialect}),
+
+    json: (entries) => JSON.stringify(Object.fromEntries(entries), null, 2) + '\n',
+
+    yaml: (entries) => entries.length > 0 ? yaml.dump(Object.fromEntries(entries), {lineWidth: -1}) : '{}\n',
+
+    export: (entries) => entries.map(([name, value]) => `export ${name}=${shellQuote(value)}\n`).join(''),
+
+    docker: (entries) => entries.map(([name, value]) => {
+        // docker --env-file takes everything after "=" literally and has no multiline syntax
+        if (value.includes('\n') || value.includes('\r')) {
+            throw new Error(`Variable "${name}" contains a line break, which the docker format cannot represent`);
+        }
+        return `${name}=${value}\n`;
+    }).join(''),
+
+    'k8s-secret': (entries, options) => kubernetesManifest('Secret', Object.fromEntries(
+        entries.map(([name, value]) => [name, Buffer.from(value, 'utf8').toString('base64')]),
+    ), options),
+
+    'k8s-configmap': (entries, options) => kubernetesManifest('ConfigMap', Object.fromEntries(entries), options),
+};
+
+/**
+ * Infer the output format from an output file name
+ * @param {string} outputPath - Output file path
+ * @returns {string} Format name (dotenv when nothing more specific matches)
+ */
+function inferFormat(outputPath) {
+    if (!outputPath || outputPath === '-') {
+        return 'dotenv';
+    }
+    switch (path.extname(outputPath).toLowerCase()) {
+        case '.json':
+            return 'json';
+        case '.yaml':
+        case '.yml':
+            return 'yaml';
+        case '.sh':
+        case '.bash':
+        case '.zsh':
+            return 'export';
+        default:
+            return 'dotenv';
+    }
+}
+
+/**
+ * Serialize variables in the given format
+ * @param {Array<[string, string]>} entries - Variable names and values in output order
+ * @param {string} format - Format name
+ * @param {{ dialect?: string, name?: string, namespace?: string, outputPath?: string }} [options] - Format options
+ * @returns {string} Serialized content
+ */
+function formatVariables(entries, format, options = {}) {
+    const serializer = FORMATS[format];
+    if (!serializer) {
+        throw new Error(`Unknown output format "${format}". Supported: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return serializer(entries, options);
+}
+
+module.exports = {
+    FORMATS,
+    inferFormat,
+    formatVariables,
+};
@@ -1,44 +1,532 @@
+export type BuiltInSource = 'string' | 'env' | 'AwsSecretManager' | 'AwsParameterStore' | 'vault' | 'file' | 'encrypted';
+
 export interface VariableConfig {
+	/** What the variable is for; --generate fills it from .env comments */
+	description?: string;
+	/** Value shown in .env.example and the variable reference (documentation only) */
+	example?: string | number | boolean;
+	/** Section the variable is listed under in .env.example and the variable reference */
+	group?: string;
 	required?: boolean;
-	source?: 'string' | 'env' | 'AwsSecretManager';
+	/** A built-in source or the name of a source registered by a plugin */
+	source?: BuiltInSource | (string & {});
 	value?: string;
 	default?: string;
+	/** Transforms applied in order to the resolved value (including defaults) */
+	transform?: Transform | Transform[];
+	/** Value type; the output is normalized (e.g. booleans become true/false) */
+	type?: ValueType;
+	/** Allowed values */
+	enum?: Array<string | number | boolean>;
+	/** Regular expression the value must match */
+	pattern?: string;
+	/** Numeric bounds (type int or number) */
+	min?: number;
+	max?: number;
+	/** String length bounds */
+	minLength?: number;
+	maxLength?: number;
+	/** file source: trim surrounding whitespace from the read value */
+	trim?: boolean;
+	/** file source: emit the read value base64-encoded */
+	encoding?: 'utf8' | 'base64';
+	/** file source: dialect used to parse `.env` files (default: dotenv) */
+	dialect?: DotenvDialect;
+	/** AWS sources: AWS region (default: SDK region resolution) */
+	region?: string;
+	/** AWS sources: profile from the shared config and credentials files (default: SDK credential chain) */
+	profile?: string;
+	/** AWS sources: custom endpoint URL */
+	endpoint?: string;
+	/** AwsSecretManager source: version stage to read, e.g. "AWSPENDING" (default: "AWSCURRENT") */
+	versionStage?: string;
+	/** AwsSecretManager source: version id to read */
+	versionId?: string;
+	/** AwsParameterStore source: decrypt SecureString parameters (default: true) */
+	decrypt?: boolean;
+	/** AwsParameterStore source: expand every parameter below the `value` path into its own variable */
+	bulk?: boolean;
+	/** AwsParameterStore bulk mode: include nested paths (default: true) */
+	recursive?: boolean;
+	/** AwsParameterStore bulk mode: prefix for generated variable names */
+	prefix?: string;
+	/** AwsParameterStore bulk mode: explicit parameter name (relative or full) to variable name mappings */
+	map?: Record<string, string>;
+	/** vault source: KV engine version (default: VAULT_KV_VERSION or 2) */
+	kvVersion?: 1 | 2 | '1' | '2';
+	/** vault source: KV mount path, for mounts that contain slashes */
+	mount?: string;
+	/** vault source: KV v2 secret version to read (default: latest) */
+	version?: number | string;
+	/** Remote sources: milliseconds before a lookup attempt is abandoned, 0 for no limit (overrides the timeout option) */
+	timeout?: number;
+	/** Remote sources: retries after throttling, server or network errors (overrides the retries option) */
+	retries?: number;
+	/** encrypted source: key file, relative to the template */
+	keyFile?: string;
+	/** encrypted source: environment variable holding the key (default: MAKEENV_KEY_FILE, then MAKEENV_KEY) */
+	keyEnv?: string;
+	/** Per-profile overrides of this variable's fields */
+	profiles?: Record<string, Partial<Omit<VariableConfig, 'profiles'>>>;
+	/** Secret value: masked in reports and errors, kept off stdout and out of defaults (default: true for AwsSecretManager, vault and encrypted) */
+	sensitive?: boolean;
+	/** Condition for including the variable, e.g. "env.NODE_ENV == 'production'"; skipped variables are not required */
+	when?: string | boolean;
+	/** Remove a variable inherited through $extends/$include */
+	$delete?: boolean;
+	/** Plugin-specific options */
+	[option: string]: unknown;
 }
 
-export interface Template {
-	[varName: string]: VariableConfig;
+export type ValueType = 'string' | 'int' | 'integer' | 'number' | 'float' | 'bool' | 'boolean' | 'url' | 'json';
+
+export type Transform =
+	| 'base64encode'
+	| 'base64decode'
+	| 'trim'
+	| 'upper'
+	| 'lower'
+	| 'urlencode'
+	| 'urldecode'
+	| { jsonpath: string }
+	| { prefix: string }
+	| { suffix: string }
+	| { replace: { pattern: string; with?: string; flags?: string } };
+
+export interface TemplateDirectives {
+	/** JSON Schema of the template for editors; ignored when resolving */
+	$schema?: string;
+	/** Templates to inherit from, relative to this file (merged before $include) */
+	$extends?: string | string[];
+	/** Templates to merge in after $extends and before this file's own variables */
+	$include?: string | string[];
+	/** Plugin modules to load before resolving, relative to the template */
+	$plugins?: string | string[];
+	/** Profile names; when present, variables may only override these profiles */
+	$profiles?: string[];
 }
 
+/** Variables by name; null removes a variable inherited through $extends/$include */
+export type Template = TemplateDirectives & {
+	[varName: string]: VariableConfig | null | TemplateDirectives[keyof TemplateDirectives];
+};
+
 export interface Result {
 	success: boolean;
 	errors: string[];
 }
 
+export interface SkippedVariable {
+	name: string;
+	/** Why the variable was skipped, e.g. 'condition "FLAG" is false' */
+	reason: string;
+	/** Profile the variable was skipped in (makeEnv with allProfiles) */
+	profile?: string;
+}
+
 export interface GenerateEnvResult {
 	content: string;
 	errors: string[];
+	/** Variables excluded by their "when" condition */
+	skipped: SkippedVariable[];
+}
+
+export interface MakeEnvResult extends Result {
+	/** Variables excluded by their "when" condition */
+	skipped: SkippedVariable[];
+}
+
+/** dotenv: the dotenv npm package; docker-compose: Docker Compose env files */
+export type DotenvDialect = 'dotenv' | 'docker-compose';
+
+export interface DialectOptions {
+	/** How .env files are read and written (default: dotenv) */
+	dialect?: DotenvDialect;
+}
+
+export type OutputFormat = 'dotenv' | 'json' | 'yaml' | 'export' | 'docker' | 'k8s-secret' | 'k8s-configmap';
+
+export interface FormatOptions extends DialectOptions {
+	/** Output format (default: dotenv; makeEnv infers it from the output extension) */
+	format?: OutputFormat;
+	/** Kubernetes manifest name (default: derived from the output file name) */
+	name?: string;
+	/** Kubernetes manifest namespace */
+	namespace?: string;
+}
+
+/** Limits of remote lookups (every source except string, env, file and encrypted) */
+export interface LookupOptions {
+	/** Lookups running at the same time (default: 8) */
+	concurrency?: number;
+	/** Milliseconds before a lookup attempt is abandoned and its signal aborted, 0 for no limit (default: 30000); by source name, "*" for the others */
+	timeout?: number | Record<string, number>;
+	/** Retries after throttling, 429/5xx, timeout and network errors (default: 2); by source name, "*" for the others */
+	retries?: number | Record<string, number>;
+	/** Milliseconds before the first retry; each further retry waits twice as long, with jitter (default: 200) */
+	retryDelay?: number;
 }
 
-export interface MakeEnvOptions {
+export interface MakeEnvOptions extends FormatOptions, LookupOptions {
 	dryRun?: boolean;
+	/** Profile whose overrides are merged before resolving */
+	profile?: string;
+	/** Validate every profile of the template (requires dryRun) */
+	allProfiles?: boolean;
+	/** Update an existing dotenv output file in place instead of overwriting it */
+	merge?: boolean;
+	/** With merge, remove keys in the managed block, or listed as managed there, that the template no longer produces */
+	prune?: boolean;
+	/** Write sensitive values to stdout (outputPath "-"), which is refused otherwise */
+	force?: boolean;
+}
+
+export interface CheckEnvOptions extends DialectOptions, LookupOptions {
+	/** Profile whose overrides are merged before resolving */
+	profile?: string;
+	/** Report values instead of masking them */
+	showValues?: boolean;
+}
+
+export interface RunOptions extends LookupOptions {
+	/** Profile whose overrides are merged before resolving */
+	profile?: string;
+	/** Replace variables already set in the environment (default: true) */
+	override?: boolean;
+}
+
+export interface RunResult extends MakeEnvResult {
+	/** Exit code of the command; null when it did not run or was ended by a signal */
+	exitCode: number | null;
+	/** Signal that ended the command */
+	signal: string | null;
+}
+
+export interface WatchUpdate extends MakeEnvResult {
+	/** Files being watched */
+	files: string[];
+}
+
+export interface CommandExit {
+	exitCode: number | null;
+	signal: string | null;
+	/** Why the command could not be started */
+	error: string | null;
+}
+
+export interface WatchOptions extends MakeEnvOptions {
+	/** Milliseconds without further changes before regenerating (default: 200) */
+	debounce?: number;
+	/** Milliseconds between refetches of remote values (default: only on refresh()) */
+	refreshInterval?: number;
+	/** Command restarted after every successful update */
+	command?: string;
+	args?: string[];
+	/** Without an output file, replace variables already set in the environment (default: true) */
+	override?: boolean;
+	onUpdate?: (result: WatchUpdate) => void;
+	/** Called when the command ends by itself (not when it is restarted or stopped) */
+	onCommandExit?: (result: CommandExit) => void;
+}
+
+export interface Watcher {
+	/** Refetch remote values and regenerate */
+	refresh(): Promise<void>;
+	/** Stop watching and stop the command */
+	close(): Promise<void>;
+}
+
+export interface DriftReport {
+	/** Whether any key was added, removed or changed */
+	drift: boolean;
+	/** Keys the template produces that the file is missing */
+	added: Array<{ key: string; value: string }>;
+	/** Keys in the file that the template does not produce */
+	removed: Array<{ key: string; value: string }>;
+	/** Keys whose value in the file differs from the template */
+	changed: Array<{ key: string; expected: string; actual: string }>;
+}
+
+/** success is false when there are errors or drift */
+export interface CheckEnvResult extends Result, DriftReport {}
+
+export interface ExplainOptions extends ResolveOptions {
+	/** Profile whose overrides are merged before resolving */
+	profile?: string;
+	/** Leading characters of each value left unmasked, at most a quarter of the value (default: 0) */
+	visible?: number;
+	/** Report values instead of masking them */
+	showValues?: boolean;
+}
+
+export interface ExplainedVariable {
+	name: string;
+	/** set: has a value; skipped: its "when" condition is false; missing: no value; failed: the source threw */
+	status: 'set' | 'skipped' | 'missing' | 'failed';
+	source: string;
+	required: boolean;
+	/** Sensitive values are always fully masked */
+	sensitive: boolean;
+	/** Whether the default replaced the source's value */
+	usedDefault: boolean;
+	/** Masked value (status "set") */
+	value?: string;
+	/** Masked values of a bulk entry */
+	expanded?: Record<string, string>;
+	/** Why the variable was skipped, missing or failed, or why the default was used */
+	reason?: string;
+	/** Duration of the source lookup for sources other than string, env, file and encrypted */
+	durationMs?: number;
+	/** Template file an inherited variable comes from, relative to baseDir */
+	origin?: string;
+}
+
+export interface ExplainResult {
+	/** Variables in template order */
+	variables: ExplainedVariable[];
+	/** Errors generating the output would report */
+	errors: string[];
+}
+
+export interface RekeyOptions {
+	/** Key the values are re-encrypted with */
+	newKey: string;
+	/** Current key (default: the one in MAKEENV_KEY_FILE or MAKEENV_KEY); values whose keyFile/keyEnv names another key are left unchanged */
+	key?: string;
+}
+
+export interface RekeyResult extends Result {
+	/** Number of values re-encrypted */
+	rekeyed: number;
+	/** Number of values left unchanged because their keyFile/keyEnv names another key */
+	skipped: number;
+}
+
+export interface LintOptions {
+	/** Sources known to the caller, as for resolveTemplate; other unregistered sources are reported */
+	sources?: Record<string, SourceResolver | SourceDefinition>;
+}
+
+export interface LintProblem {
+	severity: 'error' | 'warning';
+	message: string;
+	/** Absolute path of the template file the problem is in */
+	file: string;
+	/** 1-based line, when it can be found */
+	line?: number;
+}
+
+/** success is false when there are errors; warnings alone leave it true */
+export interface LintResult extends Result {
+	/** Errors and warnings ordered by file and line */
+	problems: LintProblem[];
 }
 
+export interface ParseTemplateOptions {
+	/** Profile whose overrides are merged into the parsed template */
+	profile?: string;
+}
+
+/** SDK clients the AWS sources use instead of creating their own */
+export interface SourceClients {
+	/** Secrets Manager client, e.g. a SecretsManagerClient from @aws-sdk/client-secrets-manager */
+	secretsManager?: { send(command: any): Promise<any> };
+	/** SSM client, e.g. an SSMClient from @aws-sdk/client-ssm (replaces the per-region clients) */
+	ssm?: { send(command: any): Promise<any> };
+}
+
+export interface ResolveOptions extends LookupOptions {
+	/** Directory relative file paths are resolved against (default: process.cwd()) */
+	baseDir?: string;
+	/** Environment read by the env source, conditions, ${env:X} and key variables (default: process.env) */
+	env?: Record<string, string | undefined>;
+	/** Sources for this call only; they take precedence over registered sources */
+	sources?: Record<string, SourceResolver | SourceDefinition>;
+	/** SDK clients used by the AWS sources */
+	clients?: SourceClients;
+}
+
+export interface ResolveTemplateOptions extends ResolveOptions {
+	/** Profile whose overrides are merged before resolving */
+	profile?: string;
+	/** Remote lookups made by this call (default: a new Map); pass the same Map to share them between calls */
+	cache?: Map<string, unknown>;
+}
+
+/** Same as ExplainedVariable, but value and expanded are not masked */
+export type ResolvedVariable = ExplainedVariable;
+
+export interface ResolveTemplateResult {
+	/** Output variable names mapped to values, in output order */
+	values: Record<string, string>;
+	/** Variables in template order */
+	variables: ResolvedVariable[];
+	/** Errors generating the output would report */
+	errors: string[];
+	/** Variables excluded by their "when" condition */
+	skipped: SkippedVariable[];
+}
+
+export interface LoadOptions extends ResolveTemplateOptions {
+	/** Replace variables already set in process.env (default: false) */
+	override?: boolean;
+}
+
+export interface LoadResult extends ResolveTemplateResult {
+	/** Names assigned to process.env; nothing is assigned when there are errors */
+	loaded: string[];
+}
+
+export interface GenerateEnvOptions extends ResolveOptions, FormatOptions {
+	/** Profile whose overrides are merged before resolving */
+	profile?: string;
+	/** Output path, used to derive the Kubernetes manifest name */
+	outputPath?: string;
+}
+
+export interface SourceContext {
+	/** Directory relative paths are resolved against (the template's directory) */
+	baseDir: string;
+	/** Environment variables visible to the source */
+	env: Record<string, string | undefined>;
+	/** Injected SDK clients */
+	clients: SourceClients;
+	/** Cache for lookups made by this call, when the caller passed one */
+	cache?: Map<string, unknown>;
+	/** Aborted when a remote lookup times out; pass it on to fetch or SDK calls */
+	signal?: AbortSignal;
+}
+
+export type SourceResolver = (
+	config: VariableConfig,
+	varName: string,
+	context: SourceContext,
+) => string | null | undefined | Promise<string | null | undefined>;
+
+export interface SourceDefinition {
+	/** Return the value, or null when not found (the variable's default then applies) */
+	resolve: SourceResolver;
+	/** Throw for configuration errors; these are reported even when a default exists */
+	validate?: (config: VariableConfig, varName: string) => void;
+	/** Fetch the values of many variables at once before they are resolved; failures are ignored (resolve reports them) */
+	prefetch?: (configs: VariableConfig[], context: SourceContext) => void | Promise<void>;
+	/** Local files the value is read from, so that watch mode regenerates when they change */
+	files?: (config: VariableConfig, varName: string, context: SourceContext) => string[];
+	/** Expand a `bulk: true` entry into multiple variables */
+	expand?: (
+		config: VariableConfig,
+		varName: string,
+		context: SourceContext,
+	) => Record<string, string> | Promise<Record<string, string>>;
+}
+
+export interface PluginApi {
+	registerSource(name: string, resolver: SourceResolver | SourceDefinition): void;
+}
+
+/** Shapes a plugin module may export */
+export type Plugin =
+	| ((api: PluginApi) => void)
+	| (SourceDefinition & { name: string })
+	| { sources: Record<string, SourceResolver | SourceDefinition> };
+
 export const SOURCE_TYPES: {
 	STRING: 'string';
 	ENV: 'env';
 	AWS_SECRETS_MANAGER: 'AwsSecretManager';
+	AWS_PARAMETER_STORE: 'AwsParameterStore';
+	VAULT: 'vault';
+	FILE: 'file';
+	ENCRYPTED: 'encrypted';
 };
 
-export function parseTemplateFile(filePath: string): Template;
+/** Parse a template, merging in the files it extends or includes (JSON, YAML and TOML can be mixed) */
+export function parseTemplateFile(filePath: string, options?: ParseTemplateOptions): Template;
 
-export function parseEnvFile(filePath: string): Record<string, string>;
+export function parseEnvFile(filePath: string, options?: DialectOptions): Record<string, string>;
 
-export function resolveValue(config: VariableConfig, varName: string): Promise<string | null>;
+export function resolveValue(config: VariableConfig, varName: string, options?: ResolveOptions): Promise<string | null>;
 
-export function generateEnvContent(template: Template): Promise<GenerateEnvResult>;
+export function generateEnvContent(template: Template, options?: GenerateEnvOptions): Promise<GenerateEnvResult>;
 
-export function makeEnv(inputPath: string, outputPath: string, options?: MakeEnvOptions): Promise<Result>;
+/** Resolve a template and report where each value came from, with masked values */
+export function explainTemplate(template: Template, options?: ExplainOptions): Promise<ExplainResult>;
 
-export function generateTemplate(envPath: string, outputPath: string): Result;
+/** Resolve a template (object or file path) in memory and return its values with per-variable metadata */
+export function resolveTemplate(template: Template | string, options?: ResolveTemplateOptions): Promise<ResolveTemplateResult>;
 
+/** Resolve a template and assign its values to process.env, like dotenv's config() */
+export function loadIntoProcessEnv(template: Template | string, options?: LoadOptions): Promise<LoadResult>;
+
+/** Write the generated output to outputPath, or to stdout when outputPath is "-" */
+export function makeEnv(inputPath: string, outputPath: string, options?: MakeEnvOptions): Promise<MakeEnvResult>;
+
+/** Compare an existing env file with what the template would generate */
+export function checkEnv(inputPath: string, envPath: string, options?: CheckEnvOptions): Promise<CheckEnvResult>;
+
+/** Check a template and the files it extends or includes against the template schema without resolving anything */
+export function lintTemplate(templatePath: string, options?: LintOptions): LintResult;
+
+/** Run a command with the resolved variables in its environment; it only starts when the template resolves without errors */
+export function runWithEnv(inputPath: string, command: string, args?: string[], options?: RunOptions): Promise<RunResult>;
+
+/** Regenerate the output whenever the template or a local file it reads changes; outputPath null only runs the command */
+export function watchEnv(inputPath: string, outputPath: string | null, options?: WatchOptions): Watcher;
+
+export interface GenerateTemplateOptions extends DialectOptions {
+	/** Also read the environment variables whose names start with this prefix (after the .env files) */
+	fromEnv?: string;
+	/** Environment read with fromEnv (default: process.env) */
+	env?: Record<string, string | undefined>;
+	/** AWS Secrets Manager secret id secret-looking keys are read from ("id:KEY") instead of the environment */
+	awsSecret?: string;
+}
+
+/** Later .env files override values of earlier ones; comments become descriptions and secrets are not copied */
+export function generateTemplate(envPaths: string | string[] | null, outputPath: string, options?: GenerateTemplateOptions): Result;
+
+export type DocsFormat = 'example' | 'markdown' | 'html';
+
+export interface DocsOptions extends DialectOptions {
+	/** example: a .env.example file (default for generateDocsContent); markdown or html: a table of variables per group */
+	format?: DocsFormat;
+	/** Profile whose overrides are merged first */
+	profile?: string;
+	/** Title of the Markdown or HTML reference (default: "Environment variables") */
+	title?: string;
+}
+
+export interface DocsResult {
+	content: string;
+	errors: string[];
+}
+
+/** Document the template without resolving anything; secret values are left out */
+export function generateDocsContent(template: Template, options?: DocsOptions): DocsResult;
+
+/** Write the documentation to outputPath ("-" for stdout); the format defaults to the one of the extension (.md, .html, else example) */
+export function generateDocs(inputPath: string, outputPath: string, options?: DocsOptions): Result;
+
+/** Only variables declared in the template file itself are updated */
 export function setDefaults(templatePath: string): Promise<Result>;
+
+/** Re-encrypt the template file's own encrypted values; nothing is written unless all of them decrypt */
+export function rekeyTemplate(templatePath: string, options: RekeyOptions): RekeyResult;
+
+/** A new base64-encoded 256-bit key */
+export function generateKey(): string;
+
+/** Encrypt a value for the encrypted source ("enc:v1:<key id>:<data>") with a base64 or hex encoded key */
+export function encryptValue(plaintext: string, key: string): string;
+
+export function decryptValue(value: string, key: string): string;
+
+export function registerSource(name: string, resolver: SourceResolver | SourceDefinition): void;
+
+export function loadPlugin(pluginPath: string, baseDir?: string): void;
+
+/** Profile names declared by $profiles or used by any variable, in declaration order */
+export function getProfiles(template: Template): string[];
+
+/** Return a copy of the template with the profile's overrides merged in and the profile layer removed */
+export function applyProfile(template: Template, profile?: string): Template;
@@ -2,7 +2,27 @@ const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
 const toml = require('smol-toml');
-const {SecretsManagerClient, GetSecretValueCommand} = require('@aws-sdk/client-secrets-manager');
+const {readTemplateFile, parseTemplateFile, parseEnvFile, readEnvFile} = require('./parsers');
+const {parseDotenv} = require('./dotenv');
+const {toSourceDefinition, registerSource, getSource, getSourceNames, loadPlugin} = require('./registry');
+const {interpolate, getDependencies, orderVariables} = require('./interpolate');
+const {compileTransforms} = require('./transforms');
+const {compileValidator} = require('./validate');
+const {compileCondition} = require('./conditions');
+const {FORMATS, inferFormat, formatVariables} = require('./formats');
+const {getProfiles, applyProfile} = require('./profiles');
+const {getVariableEntries, getInheritedOrigin, getTemplateFiles} = require('./compose');
+const {lintTemplateFiles} = require('./lint');
+const {diffEnv} = require('./drift');
+const {mergeEnvContent, getManagedKeys} = require('./merge');
+const {maskValue} = require('./mask');
+const {looksSensitive, getSensitiveNames} = require('./sensitive');
+const {writeFileAtomic} = require('./files');
+const {DOCS_FORMATS, documentVariables, formatExample, formatReference, inferDocsFormat} = require('./docs');
+const {mergeEnv, startCommand, stopCommand, runCommand} = require('./run');
+const {createFileWatcher} = require('./watch');
+const {generateKey, isEncryptedValue, encryptValue, decryptValue, getKeyFile, loadKey} = require('./encryption');
+const {LOOKUP_DEFAULTS, parseLimit, getSourceLimit, createLimiter, getCached, withTimeout, retry} = require('./concurrency');
 
 /**
  * Supported source types for environment variable values
@@ -11,254 +31,1171 @@ const SOURCE_TYPES = {
     STRING: 'string',
     ENV: 'env',
     AWS_SECRETS_MANAGER: 'AwsSecretManager',
+    AWS_PARAMETER_STORE: 'AwsParameterStore',
+    FILE: 'file',
+    VAULT: 'vault',
+    ENCRYPTED: 'encrypted',
 };
 
-// Cache for AWS Secrets Manager secrets to avoid repeated API calls
-const secretsCache = new Map();
+// Built-in sources are registered through the same registry plugins use
+registerSource(SOURCE_TYPES.STRING, require('./sources/string'));
+registerSource(SOURCE_TYPES.ENV, require('./sources/env'));
+registerSource(SOURCE_TYPES.AWS_SECRETS_MANAGER, require('./sources/aws-secrets-manager'));
+registerSource(SOURCE_TYPES.AWS_PARAMETER_STORE, require('./sources/aws-parameter-store'));
+registerSource(SOURCE_TYPES.VAULT, require('./sources/vault'));
+registerSource(SOURCE_TYPES.FILE, require('./sources/file'));
+registerSource(SOURCE_TYPES.ENCRYPTED, require('./sources/encrypted'));
+
+// Sources that read local data; lookups of every other source are timed in resolution reports and can be cached
+const LOCAL_SOURCES = [SOURCE_TYPES.STRING, SOURCE_TYPES.ENV, SOURCE_TYPES.FILE, SOURCE_TYPES.ENCRYPTED];
+
+/**
+ * Build the context passed to source resolvers
+ * @param {{ baseDir?: string, env?: Object<string, string|undefined>, clients?: object, cache?: Map<string, *> }} options -
+ *   Resolve options; env defaults to process.env
+ * @returns {{ baseDir: string, env: Object<string, string|undefined>, clients: object, cache?: Map<string, *> }}
+ *   clients holds injected SDK clients; sources keep their lookups in cache when it is set
+ */
+function createContext(options) {
+    return {
+        baseDir: options.baseDir || process.cwd(),
+        env: options.env || process.env,
+        clients: options.clients || {},
+        cache: options.cache,
+    };
+}
 
 /**
- * Get secret from AWS Secrets Manager (with caching)
- * @param {string} secretId - Secret ID/name
- * @returns {Promise<object>} Parsed secret JSON
+ * Pick the lookup limits out of caller options, for functions that pass on only some of their options
+ * @param {{ concurrency?: number, timeout?: number|Object<string, number>, retries?: number|Object<string, number>,
+ *   retryDelay?: number }} options - Caller options
+ * @returns {{ concurrency?: number, timeout?: number|Object<string, number>, retries?: number|Object<string, number>,
+ *   retryDelay?: number }}
  */
-async function getAwsSecret(secretId) {
-    if (secretsCache.has(secretId)) {
-        return secretsCache.get(secretId);
+function getLookupOptions(options) {
+    return {
+        concurrency: options.concurrency,
+        timeout: options.timeout,
+        retries: options.retries,
+        retryDelay: options.retryDelay,
+    };
+}
+
+/**
+ * Load the plugins listed in a template's $plugins directive
+ * @param {object} template - Parsed template object
+ * @param {string} baseDir - Directory relative plugin paths are resolved against
+ */
+function loadTemplatePlugins(template, baseDir) {
+    const plugins = template.$plugins;
+    if (plugins === undefined || plugins === null) {
+        return;
+    }
+    for (const pluginPath of Array.isArray(plugins) ? plugins : [plugins]) {
+        loadPlugin(String(pluginPath), baseDir);
     }
+}
 
-    const client = new SecretsManagerClient();
-    const command = new GetSecretValueCommand({SecretId: secretId});
-    const response = await client.send(command);
+/**
+ * Look up a source by name: sources passed in options.sources take precedence over registered ones
+ * @param {string} source - Source name
+ * @param {{ sources?: Object<string, Function|object> }} [options] - Resolve options
+ * @returns {{ resolve: Function, validate?: Function, expand?: Function, files?: Function }|undefined}
+ */
+function findSource(source, options = {}) {
+    if (options.sources && Object.prototype.hasOwnProperty.call(options.sources, source)) {
+        return toSourceDefinition(source, options.sources[source]);
+    }
+    return getSource(source);
+}
 
-    const secretValue = response.SecretString;
-    if (!secretValue) {
-        throw new Error(`Secret "${secretId}" has no string value`);
+/**
+ * Look up the source for a variable configuration
+ * @param {object} config - Variable configuration
+ * @param {string} varName - Variable name (for error messages)
+ * @param {{ sources?: Object<string, Function|object> }} [options] - Resolve options
+ * @returns {{ resolve: Function, validate?: Function, expand?: Function, files?: Function }}
+ */
+function getSourceFor(config, varName, options = {}) {
+    const source = config.source || SOURCE_TYPES.STRING;
+    const definition = findSource(source, options);
+    if (!definition) {
+        const names = new Set([...getSourceNames(), ...Object.keys(options.sources || {})]);
+        throw new Error(`Unknown source type "${source}" for variable "${varName}". Supported: ${[...names].join(', ')}`);
+    }
+    return definition;
+}
+
+/**
+ * Call a source's resolve() or expand(), recording the local files it reads in options.files and reusing
+ * results from options.cache: a remote lookup with the same configuration is made only once per cache
+ * @param {object} definition - Source definition
+ * @param {'resolve'|'expand'} method - Method to call
+ * @param {object} config - Variable configuration
+ * @param {string} varName - Variable name
+ * @param {{ baseDir?: string, cache?: Map<string, *>, files?: Set<string> }} options - Resolve options, plus the
+ *   lookup limits of callRemoteSource
+ * @returns {Promise<*>} The method's result
+ */
+async function callSource(definition, method, config, varName, options) {
+    const context = createContext(options);
+    if (options.files && typeof definition.files === 'function') {
+        for (const file of definition.files(config, varName, context) || []) {
+            options.files.add(path.resolve(context.baseDir, file));
+        }
     }
 
-    const parsed = JSON.parse(secretValue);
-    secretsCache.set(secretId, parsed);
-    return parsed;
+    const source = config.source || SOURCE_TYPES.STRING;
+    if (LOCAL_SOURCES.includes(source)) {
+        return definition[method](config, varName, context);
+    }
+    if (!options.cache) {
+        return callRemoteSource(definition, method, config, varName, options);
+    }
+    // Failed lookups are not cached, so they are retried next time
+    const key = JSON.stringify([method, source, varName, context.baseDir, config]);
+    return getCached(options.cache, key, () => callRemoteSource(definition, method, config, varName, options));
 }
 
 /**
- * Parse template file based on extension
- * @param {string} filePath - Path to the template file
- * @returns {object} Parsed template object
+ * Call a remote source within the lookup limits: at most `concurrency` lookups run at a time (through
+ * options.limiter), each attempt is abandoned after the timeout, and throttling, server-side and network
+ * failures are retried with exponential backoff. The source receives an AbortSignal as context.signal, which is
+ * aborted when the attempt times out.
+ * @param {object} definition - Source definition
+ * @param {'resolve'|'expand'} method - Method to call
+ * @param {{ timeout?: number, retries?: number }} config - Variable configuration; its timeout and retries take
+ *   precedence over the options
+ * @param {string} varName - Variable name
+ * @param {{ limiter?: { run: Function }, timeout?: number|Object<string, number>, retries?: number|Object<string, number>,
+ *   retryDelay?: number }} options - Resolve options (timeout in milliseconds per attempt, 0 for none, default 30000;
+ *   retries after the first attempt, default 2; both for every source or by source name, see getSourceLimit;
+ *   retryDelay is the first backoff in milliseconds, default 200)
+ * @returns {Promise<*>} The method's result
  */
-function parseTemplateFile(filePath) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const ext = path.extname(filePath).toLowerCase();
+function callRemoteSource(definition, method, config, varName, options) {
+    const context = createContext(options);
+    const source = config.source || SOURCE_TYPES.STRING;
+    const limit = (name, fallback) => {
+        if (config[name] !== undefined) {
+            return parseLimit(config[name], `Variable "${varName}" ${name}`);
+        }
+        const fromOptions = getSourceLimit(options[name], source, name);
+        return fromOptions === undefined ? fallback : fromOptions;
+    };
+    const timeout = limit('timeout', LOOKUP_DEFAULTS.TIMEOUT);
+    const retries = limit('retries', LOOKUP_DEFAULTS.RETRIES);
+    const run = options.limiter ? task => options.limiter.run(task) : task => task();
 
-    switch (ext) {
-        case '.json':
-            return JSON.parse(content);
-        case '.yaml':
-        case '.yml':
-            return yaml.load(content);
-        case '.toml':
-        case '.tml':
-            return toml.parse(content);
-        default:
-            throw new Error(`Unsupported file extension: ${ext}. Supported: .json, .yaml, .yml, .toml, .tml`);
+    const attempt = () => run(() => withTimeout(
+        signal => definition[method](config, varName, {...context, signal}),
+        timeout,
+        `Variable "${varName}" lookup in source "${source}" timed out after ${timeout} ms`,
+    ));
+    return retry(attempt, {retries, delay: options.retryDelay});
+}
+
+/**
+ * Give sources with a prefetch() hook the configurations of all their variables at once, so that they can fetch the
+ * values in batches before the variables are resolved one by one. Variables with a "when" condition or interpolation
+ * are left out, as their configuration is only final during resolution. Prefetch failures are ignored: resolving the
+ * variables repeats the lookups and reports the errors.
+ * @param {Array<[string, object]>} entries - Template variable entries
+ * @param {{ sources?: Object<string, Function|object>, cache?: Map<string, *>, limiter?: { run: Function },
+ *   timeout?: number|Object<string, number> }} options - Resolve options; prefetches run concurrently within the lookup limits
+ * @returns {Promise<void>}
+ */
+async function prefetchSources(entries, options) {
+    const bySource = new Map();
+    for (const [, config] of entries) {
+        if (!config || typeof config !== 'object' || config.bulk === true || (config.when !== undefined && config.when !== true)) {
+            continue;
+        }
+        if (Object.values(config).some(field => typeof field === 'string' && field.includes('${'))) {
+            continue;
+        }
+        const source = config.source || SOURCE_TYPES.STRING;
+        if (!bySource.has(source)) {
+            bySource.set(source, []);
+        }
+        bySource.get(source).push(config);
     }
+
+    const run = options.limiter ? task => options.limiter.run(task) : task => task();
+    await Promise.all(Array.from(bySource, async ([source, configs]) => {
+        try {
+            const limit = getSourceLimit(options.timeout, source, 'timeout');
+            const timeout = limit === undefined ? LOOKUP_DEFAULTS.TIMEOUT : limit;
+            const definition = findSource(source, options);
+            if (definition && typeof definition.prefetch === 'function') {
+                await run(() => withTimeout(
+                    signal => definition.prefetch(configs, {...createContext(options), signal}),
+                    timeout,
+                    `Prefetching source "${source}" timed out after ${timeout} ms`,
+                ));
+            }
+        } catch {
+            // Reported by the individual lookups
+        }
+    }));
+}
+
+/**
+ * Check whether a variable configuration expands into multiple variables
+ * @param {object} config - Variable configuration
+ * @param {{ sources?: Object<string, Function|object> }} [options] - Resolve options
+ * @returns {boolean}
+ */
+function isBulkConfig(config, options) {
+    if (config.bulk !== true) {
+        return false;
+    }
+    const definition = findSource(config.source || SOURCE_TYPES.STRING, options);
+    return Boolean(definition && typeof definition.expand === 'function');
+}
+
+/**
+ * Resolve a single variable and describe how its value was obtained
+ * @param {object} config - Variable configuration
+ * @param {string} varName - Variable name (for error messages)
+ * @param {{ baseDir?: string, cache?: Map<string, *>, files?: Set<string> }} [options] - Options (baseDir resolves
+ *   relative file paths; cache and files as for callSource)
+ * @returns {Promise<{ value: string|null, usedDefault: boolean, reason?: string, durationMs: number }>}
+ *   The value, whether the default replaced it (reason says why) and how long the source lookup took
+ */
+async function lookupValue(config, varName, options = {}) {
+    const definition = getSourceFor(config, varName, options);
+    const defaultValue = config.default;
+    const hasDefault = defaultValue !== undefined && defaultValue !== null;
+
+    // Configuration errors are reported even when a default exists
+    if (typeof definition.validate === 'function') {
+        definition.validate(config, varName);
+    }
+
+    const started = Date.now();
+    let value;
+    try {
+        value = await callSource(definition, 'resolve', config, varName, options);
+    } catch (err) {
+        if (hasDefault) {
+            return {value: String(defaultValue), usedDefault: true, reason: err.message, durationMs: Date.now() - started};
+        }
+        throw err;
+    }
+    const durationMs = Date.now() - started;
+
+    if (value !== undefined && value !== null) {
+        return {value: String(value), usedDefault: false, durationMs};
+    }
+    if (hasDefault) {
+        return {value: String(defaultValue), usedDefault: true, reason: 'source returned no value', durationMs};
+    }
+    return {value: null, usedDefault: false, reason: 'source returned no value and there is no default', durationMs};
 }
 
 /**
  * Resolve a single environment variable value based on source type
  * @param {object} config - Variable configuration
  * @param {string} varName - Variable name (for error messages)
+ * @param {{ baseDir?: string, env?: Object<string, string|undefined>, sources?: Object<string, Function|object>,
+ *   clients?: object }} [options] - Options (baseDir resolves relative file paths; env replaces process.env, sources
+ *   take precedence over registered sources and clients are SDK clients used by the AWS sources)
  * @returns {Promise<string|null>} Resolved value or null if not found
  */
-async function resolveValue(config, varName) {
-    const source = config.source || SOURCE_TYPES.STRING;
-    const value = config.value;
-    const defaultValue = config.default;
+async function resolveValue(config, varName, options = {}) {
+    const {value} = await lookupValue(config, varName, options);
+    return value;
+}
 
-    switch (source) {
-        case SOURCE_TYPES.STRING:
-            if (value !== undefined && value !== null) {
-                return String(value);
-            }
-            if (defaultValue !== undefined && defaultValue !== null) {
-                return String(defaultValue);
-            }
-            return null;
+/**
+ * Resolve a bulk entry into multiple environment variables
+ * @param {object} config - Variable configuration with bulk: true
+ * @param {string} varName - Template entry name (for error messages)
+ * @param {{ baseDir?: string, cache?: Map<string, *>, files?: Set<string> }} [options] - Options passed to the source
+ * @returns {Promise<Object<string, string>>} Variable names mapped to values
+ */
+async function resolveBulk(config, varName, options = {}) {
+    const definition = getSourceFor(config, varName, options);
+    if (typeof definition.validate === 'function') {
+        definition.validate(config, varName);
+    }
 
-        case SOURCE_TYPES.ENV:
-            const envVarName = value || varName;
-            const envValue = process.env[envVarName];
-            if (envValue !== undefined && envValue !== null) {
-                return envValue;
-            }
-            if (defaultValue !== undefined && defaultValue !== null) {
-                return String(defaultValue);
-            }
-            return null;
+    const expanded = await callSource(definition, 'expand', config, varName, options);
+    const result = {};
+    for (const [name, value] of Object.entries(expanded || {})) {
+        if (value !== undefined && value !== null) {
+            result[name] = String(value);
+        }
+    }
+    return result;
+}
 
-        case SOURCE_TYPES.AWS_SECRETS_MANAGER:
-            if (!value) {
-                throw new Error(`Variable "${varName}" with source AwsSecretManager requires a value in format "SecretId:Key"`);
-            }
-            const colonIndex = value.lastIndexOf(':');
-            if (colonIndex === -1) {
-                throw new Error(`Variable "${varName}" value "${value}" must be in format "SecretId:Key"`);
-            }
-            const secretId = value.slice(0, colonIndex);
-            const secretKey = value.slice(colonIndex + 1);
+/**
+ * Apply ${VAR} and ${env:VAR} interpolation to a variable's value and default
+ * @param {object} config - Variable configuration
+ * @param {string} varName - Variable name (for error messages)
+ * @param {(reference: { name: string, env: boolean }) => string|null|undefined} lookup - Reference lookup
+ * @returns {object} Configuration with interpolated value and default
+ */
+function interpolateConfig(config, varName, lookup) {
+    const result = {...config};
+    let valueError = null;
 
-            try {
-                const secret = await getAwsSecret(secretId);
-                const secretValue = secret[secretKey];
-                if (secretValue !== undefined && secretValue !== null) {
-                    return String(secretValue);
-                }
-                if (defaultValue !== undefined && defaultValue !== null) {
-                    return String(defaultValue);
-                }
-                return null;
-            } catch (err) {
-                if (defaultValue !== undefined && defaultValue !== null) {
-                    return String(defaultValue);
-                }
-                throw new Error(`Failed to retrieve secret "${secretId}" for variable "${varName}": ${err.message}`);
-            }
+    if (typeof config.value === 'string') {
+        try {
+            result.value = interpolate(config.value, lookup, varName);
+        } catch (err) {
+            valueError = err;
+        }
+    }
+    if (typeof config.default === 'string') {
+        try {
+            result.default = interpolate(config.default, lookup, varName);
+        } catch {
+            // A default that cannot be built is treated as absent
+            result.default = undefined;
+        }
+    }
 
-        default:
-            throw new Error(`Unknown source type "${source}" for variable "${varName}". Supported: string, env, AwsSecretManager`);
+    // An unresolvable value still lets an explicit default apply
+    if (valueError) {
+        if (result.default === undefined || result.default === null || config.bulk === true) {
+            throw valueError;
+        }
+        result.source = SOURCE_TYPES.STRING;
+        result.value = undefined;
     }
+    return result;
 }
 
 /**
- * Generate .env content from template
+ * Compile the parts of a variable that are checked before anything is resolved: transforms, lookup limits,
+ * validation rules and the "when" condition
+ * @param {object} config - Variable configuration
+ * @param {string} varName - Variable name
+ * @param {Map<string, object>} configs - All template variables (conditions may only reference these)
+ * @param {Set<string>} [sensitiveNames] - Variables whose values validation failures mask, see getSensitiveNames
+ * @returns {{ transform: Function, validator: Function, condition: object|null }}
+ * @throws {Error} On the first invalid part
+ */
+function compileVariable(config, varName, configs, sensitiveNames = new Set()) {
+    const transform = compileTransforms(config.transform, varName);
+    for (const name of ['timeout', 'retries']) {
+        if (config[name] !== undefined) {
+            parseLimit(config[name], `Variable "${varName}" ${name}`);
+        }
+    }
+    const validator = compileValidator(config, varName, {sensitive: sensitiveNames.has(varName)});
+    const condition = compileCondition(config.when, varName);
+    for (const reference of condition ? condition.references : []) {
+        if (!reference.env && !configs.has(reference.name)) {
+            throw new Error(`Variable "${varName}" condition references unknown template variable "${reference.name}" (use env.${reference.name} for environment variables)`);
+        }
+    }
+    return {transform, validator, condition};
+}
+
+/**
+ * Resolve every variable of a template, concurrently where dependencies allow it
  * @param {object} template - Parsed template object
- * @returns {Promise<{ content: string, errors: string[] }>} Generated content and any errors
+ * @param {{ baseDir?: string, profile?: string, concurrency?: number, timeout?: number|Object<string, number>,
+ *   retries?: number|Object<string, number>, retryDelay?: number }} [options] - Profile to merge, the lookup limits (at most `concurrency` remote lookups at a
+ *   time, default 8; timeout, retries and retryDelay as for callRemoteSource), plus options passed through to resolveValue
+ * @returns {Promise<{ variables: Array<{ name: string, source: string, required: boolean, sensitive: boolean, value: string|null, raw: string|null,
+ *   expanded?: Object<string, string>, skipped?: string, error?: string, usedDefault?: boolean, reason?: string,
+ *   durationMs?: number }>, errors: string[] }>}
+ *   Variables in template order (raw is the value before transforms; skipped is the reason a "when"
+ *   condition excluded the variable; error is why resolving failed, also for optional variables;
+ *   usedDefault, reason and durationMs come from the source lookup) and errors for required variables
+ *   and for values that fail their validation rules. Errors about a variable inherited through
+ *   $extends/$include name the file it came from.
  */
-async function generateEnvContent(template) {
-    const lines = [];
+async function resolveVariables(template, options = {}) {
     const errors = [];
+    const context = createContext(options);
+
+    try {
+        template = applyProfile(template, options.profile);
+        // Timeouts and retries by source name are checked for every source they list
+        for (const name of ['timeout', 'retries']) {
+            const value = options[name];
+            const sources = value !== null && typeof value === 'object' ? Object.keys(value) : ['*'];
+            sources.forEach(source => getSourceLimit(value, source, name));
+        }
+        if (options.retryDelay !== undefined) {
+            parseLimit(options.retryDelay, 'retryDelay');
+        }
+        // One limiter for every lookup of this resolution
+        options = {...options, limiter: options.limiter || createLimiter(options.concurrency === undefined ? undefined : Number(options.concurrency))};
+    } catch (err) {
+        return {variables: [], errors: [err.message]};
+    }
+
+    loadTemplatePlugins(template, context.baseDir);
+
+    const entries = getVariableEntries(template);
+    const fail = (varName, message) => {
+        const origin = getInheritedOrigin(template, varName);
+        errors.push(origin ? `${message} (from ${path.relative(context.baseDir, origin)})` : message);
+    };
+
+    const configs = new Map(entries);
+    // Variables interpolating a secret hold it too
+    const sensitiveNames = getSensitiveNames(template);
+
+    // Invalid transforms, validation rules and conditions fail before anything is resolved
+    const transforms = new Map();
+    const validators = new Map();
+    const conditions = new Map();
+    for (const [varName, config] of entries) {
+        try {
+            const {transform, validator, condition} = compileVariable(config, varName, configs, sensitiveNames);
+            transforms.set(varName, transform);
+            validators.set(varName, validator);
+            conditions.set(varName, condition);
+        } catch (err) {
+            fail(varName, err.message);
+        }
+    }
+    if (errors.length > 0) {
+        return {variables: [], errors};
+    }
+
+    const dependenciesOf = (config, varName) => getDependencies(config, conditions.get(varName));
+
+    let order;
+    try {
+        order = orderVariables(entries, dependenciesOf);
+    } catch (err) {
+        return {variables: [], errors: [err.message]};
+    }
+
+    await prefetchSources(entries, options);
+
+    const resolved = new Map();
+    const results = new Map();
+    const lookup = ({name, env}) => {
+        if (env) {
+            return context.env[name];
+        }
+        if (!configs.has(name)) {
+            return undefined;
+        }
+        return resolved.has(name) ? resolved.get(name) : null;
+    };
+
+    // Variables resolve concurrently, each once the variables it references have been resolved. Errors are collected
+    // per variable and reported in resolution order, so they do not depend on which lookup finishes first.
+    const variableErrors = new Map(order.map(varName => [varName, []]));
+    const pending = new Map();
+    const resolveVariable = async (varName) => {
+        const config = configs.get(varName);
+        const report = message => variableErrors.get(varName).push(message);
+        await Promise.all(dependenciesOf(config, varName).filter(name => pending.has(name)).map(name => pending.get(name)));
 
-    for (const [varName, config] of Object.entries(template)) {
         const isRequired = config.required === true;
+        const base = {
+            name: varName,
+            source: config.source || SOURCE_TYPES.STRING,
+            required: isRequired,
+            sensitive: sensitiveNames.has(varName),
+        };
+        const transform = transforms.get(varName);
+        const validator = validators.get(varName);
+        const check = (value) => {
+            const result = validator(value);
+            result.errors.forEach(report);
+            return result.value;
+        };
+
+        // Relative paths of inherited variables resolve against the file that declares them
+        const origin = getInheritedOrigin(template, varName);
+        const variableOptions = origin ? {...options, baseDir: path.dirname(origin)} : options;
+        resolved.set(varName, null);
+
+        // Variables excluded by their condition are neither resolved nor required
+        const condition = conditions.get(varName);
+        if (condition && !condition.test(lookup)) {
+            const skipped = `condition "${condition.expression}" is false`;
+            results.set(varName, {...base, value: null, raw: null, skipped});
+            return;
+        }
+
+        if (isBulkConfig(config, options)) {
+            const expanded = {};
+            const started = Date.now();
+            try {
+                const values = await resolveBulk(interpolateConfig(config, varName, lookup), varName, variableOptions);
+                for (const [name, value] of Object.entries(values)) {
+                    expanded[name] = check(transform(value));
+                }
+            } catch (err) {
+                if (isRequired) {
+                    report(err.message);
+                }
+                results.set(varName, {...base, value: null, raw: null, expanded: {}, error: err.message});
+                return;
+            }
+
+            if (Object.keys(expanded).length === 0 && isRequired) {
+                report(`Required variable "${varName}" matched no parameters under "${config.value}"`);
+            }
+            results.set(varName, {...base, value: null, raw: null, expanded, durationMs: Date.now() - started});
+            return;
+        }
 
+        let outcome;
         let resolvedValue;
         try {
-            resolvedValue = await resolveValue(config, varName);
+            outcome = await lookupValue(interpolateConfig(config, varName, lookup), varName, variableOptions);
+            resolvedValue = outcome.value === null ? null : check(transform(outcome.value));
         } catch (err) {
             if (isRequired) {
-                errors.push(err.message);
+                report(err.message);
             }
-            continue;
+            results.set(varName, {...base, value: null, raw: null, error: err.message});
+            return;
         }
 
-        if (resolvedValue === null) {
-            if (isRequired) {
-                errors.push(`Required variable "${varName}" has no value`);
+        if (resolvedValue === null && isRequired) {
+            report(`Required variable "${varName}" has no value`);
+        }
+        resolved.set(varName, resolvedValue);
+        const {value: rawValue, ...details} = outcome;
+        results.set(varName, {...base, value: resolvedValue, raw: rawValue, ...details});
+    };
+    for (const varName of order) {
+        pending.set(varName, resolveVariable(varName));
+    }
+    await Promise.all(pending.values());
+    for (const varName of order) {
+        variableErrors.get(varName).forEach(message => fail(varName, message));
+    }
+
+    return {
+        variables: entries.map(([varName]) => results.get(varName)),
+        errors,
+    };
+}
+
+/**
+ * Collect the output values of resolved variables
+ * @param {Array<{ name: string, value: string|null, expanded?: Object<string, string> }>} variables - Resolved variables
+ * @returns {Map<string, string>} Variable names mapped to values, in output order
+ */
+function collectValues(variables) {
+    // Later entries override earlier ones that produce the same variable
+    const values = new Map();
+    for (const variable of variables) {
+        if (variable.expanded) {
+            for (const [name, value] of Object.entries(variable.expanded)) {
+                values.set(name, value);
             }
-            continue;
+        } else if (variable.value !== null) {
+            values.set(variable.name, variable.value);
         }
+    }
+    return values;
+}
 
-        // Escape special characters and handle multiline values
-        let escapedValue = resolvedValue;
-        if (escapedValue.includes('\n') || escapedValue.includes('"') || escapedValue.includes(' ')) {
-            escapedValue = `"${escapedValue.replace(/"/g, '\\"')}"`;
+/**
+ * Collect the output names of sensitive variables
+ * @param {Array<{ name: string, sensitive: boolean, expanded?: Object<string, string> }>} variables - Resolved variables
+ * @returns {Set<string>}
+ */
+function collectSensitive(variables) {
+    const names = new Set();
+    for (const variable of variables) {
+        if (variable.sensitive) {
+            Object.keys(variable.expanded || {[variable.name]: null}).forEach(name => names.add(name));
         }
+    }
+    return names;
+}
+
+/**
+ * Resolve a template and serialize it, keeping the resolved values for callers that need them
+ * @param {object} template - Parsed template object
+ * @param {object} options - generateEnvContent options
+ * @returns {Promise<{ content: string, values: Map<string, string>, sensitive: Set<string>, errors: string[],
+ *   skipped: Array<{ name: string, reason: string }> }>}
+ */
+async function buildOutput(template, options) {
+    const format = options.format || 'dotenv';
+    if (!FORMATS[format]) {
+        return {
+            content: '',
+            values: new Map(),
+            sensitive: new Set(),
+            errors: [`Unknown output format "${format}". Supported: ${Object.keys(FORMATS).join(', ')}`],
+            skipped: [],
+        };
+    }
+
+    const {variables, errors} = await resolveVariables(template, options);
+    const skipped = variables.filter(variable => variable.skipped).map(({name, skipped: reason}) => ({name, reason}));
+    const values = collectValues(variables);
 
-        lines.push(`${varName}=${escapedValue}`);
+    let content = '';
+    try {
+        content = formatVariables(Array.from(values), format, options);
+    } catch (err) {
+        errors.push(err.message);
     }
 
+    return {content, values, sensitive: collectSensitive(variables), errors, skipped};
+}
+
+/**
+ * Generate .env content from template
+ * @param {object} template - Parsed template object
+ * @param {{ baseDir?: string, profile?: string, format?: string, dialect?: string, name?: string, namespace?: string,
+ *   outputPath?: string }} [options] - Profile to merge and options passed through to resolveValue, plus the output
+ *   format (default "dotenv") and its options
+ * @returns {Promise<{ content: string, errors: string[], skipped: Array<{ name: string, reason: string }> }>}
+ *   Generated content, any errors, and the variables excluded by their "when" condition
+ */
+async function generateEnvContent(template, options = {}) {
+    const {content, errors, skipped} = await buildOutput(template, options);
+    return {content, errors, skipped};
+}
+
+/**
+ * Resolve a template and report where each variable's value came from, without writing anything
+ * @param {object} template - Parsed template object
+ * @param {{ baseDir?: string, profile?: string, visible?: number, showValues?: boolean }} [options] - Profile to merge
+ *   and options passed through to resolveValue; values are masked except for their first `visible` characters
+ *   (at most a quarter of the value) unless showValues is set, and values of sensitive variables are always fully masked
+ * @returns {Promise<{ variables: Array<{ name: string, status: 'set'|'skipped'|'missing'|'failed', source: string,
+ *   required: boolean, sensitive: boolean, usedDefault: boolean, value?: string, expanded?: Object<string, string>, reason?: string,
+ *   durationMs?: number, origin?: string }>, errors: string[] }>}
+ *   One entry per template variable in template order: reason explains a skipped, missing or failed variable or why
+ *   the default was used, durationMs times remote source lookups and origin names the file an inherited variable
+ *   comes from; errors are those generating the output would report
+ */
+async function explainTemplate(template, options = {}) {
+    const {variables, errors} = await resolveVariables(template, options);
+    const show = (value, variable) => {
+        if (variable.sensitive) {
+            return maskValue(value);
+        }
+        return options.showValues ? value : maskValue(value, options.visible);
+    };
+    return {variables: describeVariables(template, variables, createContext(options).baseDir, show), errors};
+}
+
+/**
+ * Describe resolved variables for reports
+ * @param {object} template - Parsed template object (to find inherited variables)
+ * @param {Array<object>} variables - Variables from resolveVariables()
+ * @param {string} baseDir - Directory origins are reported relative to
+ * @param {(value: string, variable: object) => string} show - Maps each value to how it is reported
+ * @returns {Array<object>} One entry per variable, as returned by explainTemplate()
+ */
+function describeVariables(template, variables, baseDir, show) {
+    return variables.map(variable => {
+        const entry = {
+            name: variable.name,
+            status: 'set',
+            source: variable.source,
+            required: variable.required,
+            sensitive: variable.sensitive,
+            usedDefault: variable.usedDefault === true,
+        };
+        if (variable.skipped) {
+            entry.status = 'skipped';
+            entry.reason = variable.skipped;
+        } else if (variable.error) {
+            entry.status = 'failed';
+            entry.reason = variable.error;
+        } else if (variable.expanded) {
+            entry.expanded = {};
+            for (const [name, value] of Object.entries(variable.expanded)) {
+                entry.expanded[name] = show(value, variable);
+            }
+            if (Object.keys(entry.expanded).length === 0) {
+                entry.status = 'missing';
+                entry.reason = 'no parameters matched';
+            }
+        } else if (variable.value === null) {
+            entry.status = 'missing';
+            entry.reason = variable.reason;
+        } else {
+            entry.value = show(variable.value, variable);
+            if (variable.usedDefault) {
+                entry.reason = variable.reason;
+            }
+        }
+
+        if (variable.durationMs !== undefined && !LOCAL_SOURCES.includes(variable.source)) {
+            entry.durationMs = variable.durationMs;
+        }
+        const origin = getInheritedOrigin(template, variable.name);
+        if (origin) {
+            entry.origin = path.relative(baseDir, origin);
+        }
+        return entry;
+    });
+}
+
+/**
+ * Resolve a template in memory, without touching the process environment or the file system beyond reading sources.
+ * Everything the resolution depends on can be injected, which makes it suitable for tests and for embedding.
+ * @param {object|string} template - Parsed template object, or the path of a template file
+ * @param {{ baseDir?: string, profile?: string, env?: Object<string, string|undefined>,
+ *   sources?: Object<string, Function|object>, clients?: { secretsManager?: object, ssm?: object },
+ *   cache?: Map<string, *> }} [options] - Profile to apply; baseDir defaults to the template file's directory; env is
+ *   read instead of process.env (env source, conditions, ${env:X}, key variables); sources take precedence over
+ *   registered sources; clients are SDK clients used by the AWS sources; remote lookups are kept in cache (a new
+ *   Map per call unless one is passed, so passing the same Map to several calls shares lookups between them)
+ * @returns {Promise<{ values: Object<string, string>, variables: Array<object>, errors: string[],
+ *   skipped: Array<{ name: string, reason: string }> }>}
+ *   values maps output variable names to values in output order; variables describes every template variable as
+ *   explainTemplate() does, with unmasked values; errors are those generating the output would report
+ */
+async function resolveTemplate(template, options = {}) {
+    if (typeof template === 'string') {
+        options = {baseDir: path.dirname(path.resolve(template)), ...options};
+        template = parseTemplateFile(template);
+    }
+    const resolveOptions = {...options, cache: options.cache || new Map()};
+    const {variables, errors} = await resolveVariables(template, resolveOptions);
     return {
-        content: lines.join('\n') + (lines.length > 0 ? '\n' : ''),
+        values: Object.fromEntries(collectValues(variables)),
+        variables: describeVariables(template, variables, createContext(resolveOptions).baseDir, value => value),
         errors,
+        skipped: variables.filter(variable => variable.skipped).map(({name, skipped: reason}) => ({name, reason})),
     };
 }
 
+/**
+ * Resolve a template and assign its values to process.env, like dotenv's config()
+ * @param {object|string} template - Parsed template object, or the path of a template file
+ * @param {object} [options] - resolveTemplate options, plus override (replace variables already set in process.env,
+ *   default false)
+ * @returns {Promise<{ values: Object<string, string>, variables: Array<object>, errors: string[],
+ *   skipped: Array<{ name: string, reason: string }>, loaded: string[] }>}
+ *   The resolveTemplate result and the names assigned; nothing is assigned when there are errors
+ */
+async function loadIntoProcessEnv(template, options = {}) {
+    const result = await resolveTemplate(template, options);
+    const loaded = [];
+    if (result.errors.length === 0) {
+        for (const [name, value] of Object.entries(result.values)) {
+            if (options.override || process.env[name] === undefined) {
+                process.env[name] = value;
+                loaded.push(name);
+            }
+        }
+    }
+    return {...result, loaded};
+}
+
 /**
  * Process template file and generate .env file
  * @param {string} inputPath - Path to template file
- * @param {string} outputPath - Path to output .env file
- * @param {{ dryRun?: boolean }} options - Options
- * @returns {Promise<{ success: boolean, errors: string[] }>}
+ * @param {string} outputPath - Path to output file, or "-" for stdout
+ * @param {{ dryRun?: boolean, profile?: string, allProfiles?: boolean, merge?: boolean, prune?: boolean, format?: string,
+ *   dialect?: string, name?: string, namespace?: string, force?: boolean, cache?: Map<string, *>, files?: Set<string> }}
+ *   options - Options (format is inferred from the output file extension when omitted; allProfiles validates every
+ *   profile and requires dryRun; merge updates an existing dotenv file in place and prune removes dropped keys
+ *   makeenv manages (inside its managed block or listed as managed there); sensitive values are only written to stdout with force; cache and files as for
+ *   callSource; concurrency, timeout, retries and retryDelay as for resolveVariables). Output files are replaced atomically (through a symlink to the file it points to)
+ *   with 0600 permissions, readable by the owner only, also when they existed with looser ones.
+ * @returns {Promise<{ success: boolean, errors: string[], skipped: Array<{ name: string, reason: string, profile?: string }> }>}
+ *   Result, with the variables excluded by their "when" condition
  */
 async function makeEnv(inputPath, outputPath, options = {}) {
     const template = parseTemplateFile(inputPath);
-    const {content, errors} = await generateEnvContent(template);
+    const generateOptions = {
+        baseDir: path.dirname(inputPath),
+        format: options.format || inferFormat(outputPath),
+        dialect: options.dialect,
+        name: options.name,
+        namespace: options.namespace,
+        outputPath,
+        cache: options.cache,
+        files: options.files,
+        ...getLookupOptions(options),
+    };
+
+    if (options.allProfiles) {
+        if (!options.dryRun) {
+            return {success: false, errors: ['Validating all profiles requires a dry run'], skipped: []};
+        }
+        const profiles = getProfiles(template);
+        if (profiles.length === 0) {
+            return {success: false, errors: ['Template defines no profiles'], skipped: []};
+        }
+
+        // Errors are prefixed with the profile they belong to
+        const errors = [];
+        const skipped = [];
+        for (const profile of profiles) {
+            const result = await generateEnvContent(template, {...generateOptions, profile});
+            errors.push(...result.errors.map(err => `[${profile}] ${err}`));
+            skipped.push(...result.skipped.map(variable => ({...variable, profile})));
+        }
+        return {success: errors.length === 0, errors, skipped};
+    }
+
+    if (options.merge && (outputPath === '-' || generateOptions.format !== 'dotenv')) {
+        return {success: false, errors: ['Merging requires a dotenv output file'], skipped: []};
+    }
+
+    const {content, values, sensitive, errors, skipped} = await buildOutput(template, {...generateOptions, profile: options.profile});
 
     if (errors.length > 0) {
-        return {success: false, errors};
+        return {success: false, errors, skipped};
+    }
+    if (outputPath === '-' && !options.dryRun && !options.force && sensitive.size > 0) {
+        const names = Array.from(sensitive).join(', ');
+        return {success: false, errors: [`Refusing to write sensitive variables to stdout without force: ${names}`], skipped};
     }
 
     if (!options.dryRun) {
-        fs.writeFileSync(outputPath, content, 'utf8');
+        if (outputPath === '-') {
+            process.stdout.write(content);
+        } else if (options.merge) {
+            const existing = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : null;
+            writeFileAtomic(outputPath, mergeEnvContent(existing, values, {prune: options.prune, dialect: options.dialect}));
+        } else {
+            writeFileAtomic(outputPath, content);
+        }
     }
-    return {success: true, errors: []};
+    return {success: true, errors: [], skipped};
 }
 
 /**
- * Parse a .env file into key-value pairs
- * @param {string} filePath - Path to .env file
- * @returns {Object<string, string>} Parsed key-value pairs
+ * Resolve a template file into its output values
+ * @param {string} inputPath - Path to template file
+ * @param {{ profile?: string, cache?: Map<string, *>, files?: Set<string>, concurrency?: number, timeout?: number,
+ *   retries?: number, retryDelay?: number }} [options] - Profile to apply; cache and files as for callSource; lookup
+ *   limits as for resolveVariables
+ * @returns {Promise<{ values: Map<string, string>, errors: string[], skipped: Array<{ name: string, reason: string }> }>}
  */
-function parseEnvFile(filePath) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const result = {};
+async function resolveTemplateFile(inputPath, options = {}) {
+    const template = parseTemplateFile(inputPath);
+    const {variables, errors} = await resolveVariables(template, {
+        baseDir: path.dirname(inputPath),
+        profile: options.profile,
+        cache: options.cache,
+        files: options.files,
+        ...getLookupOptions(options),
+    });
+    const skipped = variables.filter(variable => variable.skipped).map(({name, skipped: reason}) => ({name, reason}));
+    return {values: collectValues(variables), errors, skipped};
+}
 
-    for (const line of content.split('\n')) {
-        const trimmed = line.trim();
-        if (!trimmed || trimmed.startsWith('#')) continue;
+/**
+ * Resolve a template and run a command with the values in its environment, without writing anything to disk
+ * @param {string} inputPath - Path to template file
+ * @param {string} command - Executable to run (not interpreted by a shell)
+ * @param {string[]} [args] - Arguments of the command
+ * @param {{ profile?: string, override?: boolean }} [options] - Profile to apply; override false keeps variables
+ *   already set in the environment instead of replacing them (default true); lookup limits as for resolveVariables
+ * @returns {Promise<{ success: boolean, errors: string[], skipped: Array<{ name: string, reason: string }>,
+ *   exitCode: number|null, signal: string|null }>}
+ *   The command only runs when the template resolves without errors; success is false on errors or a non-zero exit,
+ *   and signal is the signal that ended the command
+ */
+async function runWithEnv(inputPath, command, args = [], options = {}) {
+    const {values, errors, skipped} = await resolveTemplateFile(inputPath, options);
+    if (errors.length > 0) {
+        return {success: false, errors, skipped, exitCode: null, signal: null};
+    }
 
-        const eqIndex = trimmed.indexOf('=');
-        if (eqIndex === -1) continue;
+    const env = mergeEnv(process.env, values, {override: options.override});
+    const {exitCode, signal} = await runCommand(command, args, env);
+    return {success: exitCode === 0, errors: [], skipped, exitCode, signal};
+}
 
-        const key = trimmed.slice(0, eqIndex);
-        let value = trimmed.slice(eqIndex + 1);
+/**
+ * Keep an output up to date: regenerate it whenever the template, the templates it extends or includes, or a local file
+ * its variables read (file source paths, key files) changes, and optionally restart a command after each update.
+ * Remote lookups are cached between updates and only repeated by refresh() or every refreshInterval milliseconds.
+ * @param {string} inputPath - Path to template file
+ * @param {string|null} outputPath - Output file, or null to only run the command with the values in its environment
+ * @param {object} [options] - makeEnv options, plus debounce (milliseconds a burst of changes must settle, default 200),
+ *   refreshInterval (milliseconds between remote refetches, default never), command and args (restarted after every
+ *   successful update), override (without an output file, whether values replace variables already set in the
+ *   environment, default true), onUpdate(result) called after every update with { success, errors, skipped, files }
+ *   and onCommandExit(result) called with { exitCode, signal, error } when the command ends by itself
+ * @returns {{ refresh: () => Promise<void>, close: () => Promise<void> }} refresh refetches remote values and
+ *   regenerates; close stops watching and stops the command
+ */
+function watchEnv(inputPath, outputPath, options = {}) {
+    const templatePath = path.resolve(inputPath);
+    const cache = new Map();
+    const onUpdate = options.onUpdate || (() => {});
+    const onCommandExit = options.onCommandExit || (() => {});
+    let watchedFiles = [templatePath];
+    let command = null;
+    let closed = false;
+    let running = null;
+    let pending = false;
 
-        // Handle quoted values
-        if ((value.startsWith('"') && value.endsWith('"')) ||
-            (value.startsWith("'") && value.endsWith("'"))) {
-            value = value.slice(1, -1).replace(/\\"/g, '"');
+    const restartCommand = async (values) => {
+        if (command) {
+            const stopping = command;
+            command = null;
+            await stopCommand(stopping);
         }
+        if (closed) {
+            return;
+        }
+        const env = values ? mergeEnv(process.env, values, {override: options.override}) : process.env;
+        const started = startCommand(options.command, options.args || [], env);
+        command = started;
+        // Exits caused by a restart or close() are not reported
+        started.exited.then(({exitCode, signal}) => {
+            if (command === started) {
+                onCommandExit({exitCode, signal, error: null});
+            }
+        }, err => {
+            if (command === started) {
+                onCommandExit({exitCode: null, signal: null, error: err.message});
+            }
+        });
+    };
 
-        result[key] = value;
-    }
+    const generate = async () => {
+        const files = new Set();
+        let result;
+        let values = null;
+        try {
+            getTemplateFiles(parseTemplateFile(templatePath)).forEach(file => files.add(file));
+            if (outputPath === null) {
+                const resolved = await resolveTemplateFile(templatePath, {...options, cache, files});
+                values = resolved.values;
+                result = {success: resolved.errors.length === 0, errors: resolved.errors, skipped: resolved.skipped};
+            } else {
+                result = await makeEnv(templatePath, outputPath, {...options, cache, files});
+            }
+        } catch (err) {
+            result = {success: false, errors: [err.message], skipped: []};
+        }
 
-    return result;
+        // A template that cannot be read keeps the last known files watched, so fixing any of them triggers an update
+        if (files.size > 0) {
+            files.add(templatePath);
+            if (outputPath !== null) {
+                files.delete(path.resolve(outputPath));
+            }
+            watchedFiles = Array.from(files);
+        }
+        watcher.setFiles(watchedFiles);
+
+        if (result.success && options.command && !closed) {
+            await restartCommand(values);
+        }
+        onUpdate({...result, files: watchedFiles.slice()});
+    };
+
+    // Updates never overlap; changes during an update trigger one more
+    const update = () => {
+        if (closed) {
+            return Promise.resolve();
+        }
+        if (running) {
+            pending = true;
+            return running;
+        }
+        running = (async () => {
+            do {
+                pending = false;
+                await generate();
+            } while (pending && !closed);
+            running = null;
+        })();
+        return running;
+    };
+
+    const watcher = createFileWatcher(update, {debounce: options.debounce});
+    const interval = options.refreshInterval > 0 ? setInterval(() => refresh(), options.refreshInterval) : null;
+    const refresh = () => {
+        cache.clear();
+        return update();
+    };
+    const close = async () => {
+        closed = true;
+        clearInterval(interval);
+        watcher.close();
+        await running;
+        if (command) {
+            const stopping = command;
+            command = null;
+            await stopCommand(stopping);
+        }
+    };
+
+    update();
+    return {refresh, close};
 }
 
 /**
- * Generate a template from an existing .env file
- * @param {string} envPath - Path to .env file
- * @param {string} outputPath - Path to output template file
- * @returns {{ success: boolean, errors: string[] }}
+ * Compare an existing env file with what a template would generate
+ * @param {string} inputPath - Path to template file
+ * @param {string} envPath - Path to the env file to check
+ * When the env file has a managed block (see mergeEnvContent), keys outside it that the template does not produce are
+ * ignored.
+ * @param {{ profile?: string, showValues?: boolean, dialect?: string }} [options] - Profile to apply; values in the report
+ *   are masked unless showValues is set (values of sensitive variables always are); dialect selects how the env file
+ *   is read (default "dotenv"); lookup limits as for resolveVariables
+ * @returns {Promise<{ success: boolean, errors: string[], drift: boolean, added: Array<{ key: string, value: string }>,
+ *   removed: Array<{ key: string, value: string }>, changed: Array<{ key: string, expected: string, actual: string }> }>}
+ *   success is false on errors or drift
  */
-function generateTemplate(envPath, outputPath) {
-    const envVars = parseEnvFile(envPath);
-    const template = {};
+async function checkEnv(inputPath, envPath, options = {}) {
+    const noDrift = {drift: false, added: [], removed: [], changed: []};
+    const template = parseTemplateFile(inputPath);
+    const {variables, errors} = await resolveVariables(template, {
+        baseDir: path.dirname(inputPath),
+        profile: options.profile,
+        ...getLookupOptions(options),
+    });
+    if (errors.length > 0) {
+        return {success: false, errors, ...noDrift};
+    }
 
-    for (const [key, value] of Object.entries(envVars)) {
-        template[key] = {
-            required: value !== '',
-            source: 'string',
-            value: value,
-        };
+    let content, existing;
+    try {
+        content = fs.readFileSync(envPath, 'utf8');
+        existing = parseDotenv(content, {dialect: options.dialect});
+    } catch (err) {
+        return {success: false, errors: [`Cannot read env file "${envPath}": ${err.message}`], ...noDrift};
     }
 
-    const ext = path.extname(outputPath).toLowerCase();
-    let content;
+    // Keys --merge keeps outside the managed block are not the template's, so they are no drift
+    const expected = collectValues(variables);
+    const managed = getManagedKeys(content, {dialect: options.dialect});
+    if (managed) {
+        for (const key of Object.keys(existing)) {
+            if (!managed.has(key) && !expected.has(key)) {
+                delete existing[key];
+            }
+        }
+    }
+
+    const report = diffEnv(expected, existing, {
+        showValues: options.showValues,
+        sensitive: collectSensitive(variables),
+    });
+    return {success: !report.drift, errors: [], ...report};
+}
 
-    switch (ext) {
+/**
+ * Check a template and the templates it extends or includes without resolving anything, see lintTemplateFiles for
+ * the checks. Sources are looked up as when resolving; plugins listed in $plugins are loaded.
+ * @param {string} templatePath - Path to template file
+ * @param {{ sources?: Object<string, Function|object> }} [options] - Sources for this call only, as for resolveTemplate
+ * @returns {{ success: boolean, errors: string[], problems: Array<{ severity: 'error'|'warning', message: string,
+ *   file: string, line?: number }> }} Problems ordered by file and line (lines are found where the file's layout
+ *   allows it); errors holds the error messages, and success is false when there are any
+ */
+function lintTemplate(templatePath, options = {}) {
+    return lintTemplateFiles(templatePath, {
+        builtInSources: Object.values(SOURCE_TYPES),
+        sourceNames: [...getSourceNames(), ...Object.keys(options.sources || {})],
+        findSource: source => findSource(source, options),
+        compileVariable,
+        loadPlugins: loadTemplatePlugins,
+    });
+}
+
+/**
+ * Serialize a template in the format of its file extension
+ * @param {object} template - Template object
+ * @param {string} filePath - Template path (.json, .yaml, .yml, .toml or .tml)
+ * @returns {string|null} File content, or null for an unsupported extension
+ */
+function stringifyTemplate(template, filePath) {
+    switch (path.extname(filePath).toLowerCase()) {
         case '.json':
-            content = JSON.stringify(template, null, 2) + '\n';
-            break;
+            return JSON.stringify(template, null, 2) + '\n';
         case '.yaml':
         case '.yml':
-            content = yaml.dump(template, {lineWidth: -1});
-            break;
+            return yaml.dump(template, {lineWidth: -1});
         case '.toml':
         case '.tml':
-            content = toml.stringify(template);
-            break;
+            return toml.stringify(template);
         default:
-            return {success: false, errors: [`Unsupported output format: ${ext}`]};
+            return null;
+    }
+}
+
+/**
+ * Generate a template from existing .env files and/or the environment variables starting with a prefix.
+ * Comments above a key and its inline comment become its description. Values that look like secrets (by name, format or
+ * entropy) are not copied: they become sensitive "env" variables, or keys of an AWS Secrets Manager secret when
+ * awsSecret is set.
+ * @param {string|string[]|null} envPaths - Path(s) to .env files; later files override values of earlier ones
+ * @param {string} outputPath - Path to output template file
+ * @param {{ dialect?: string, fromEnv?: string, env?: Object<string, string|undefined>, awsSecret?: string }} [options] -
+ *   Dotenv dialect of the .env files (default "dotenv"); fromEnv also reads the variables of env (default process.env)
+ *   whose names start with it, after the files; awsSecret is the secret id secret-looking keys are read from
+ * @returns {{ success: boolean, errors: string[] }}
+ */
+function generateTemplate(envPaths, outputPath, options = {}) {
+    const paths = envPaths === null || envPaths === undefined ? [] : [].concat(envPaths);
+    if (paths.length === 0 && !options.fromEnv) {
+        return {success: false, errors: ['Nothing to generate from: pass a .env file or an environment variable prefix']};
+    }
+
+    const values = new Map();
+    const descriptions = new Map();
+    const secrets = new Set();
+    const add = (key, value, description) => {
+        values.set(key, value);
+        if (description) {
+            descriptions.set(key, description);
+        }
+        // A key that looks secret in any of the inputs is treated as a secret
+        if (looksSensitive(key, value)) {
+            secrets.add(key);
+        }
+    };
+
+    const errors = [];
+    for (const envPath of paths) {
+        try {
+            const {values: fileValues, comments} = readEnvFile(envPath, {dialect: options.dialect});
+            for (const [key, value] of Object.entries(fileValues)) {
+                add(key, value, comments[key]);
+            }
+        } catch (err) {
+            errors.push(`Cannot read env file "${envPath}": ${err.message}`);
+        }
+    }
+    if (errors.length > 0) {
+        return {success: false, errors};
+    }
+    if (options.fromEnv) {
+        const env = options.env || process.env;
+        for (const key of Object.keys(env).filter(name => name.startsWith(options.fromEnv)).sort()) {
+            if (env[key] !== undefined) {
+                add(key, env[key]);
+            }
+        }
+    }
+
+    const template = {};
+    for (const [key, value] of values) {
+        const description = descriptions.has(key) ? {description: descriptions.get(key)} : {};
+        // Secrets are not copied into the template; they are read from the environment or a secret store instead
+        if (!secrets.has(key)) {
+            template[key] = {...description, required: value !== '', source: SOURCE_TYPES.STRING, value};
+        } else if (options.awsSecret) {
+            template[key] = {...description, required: true, source: SOURCE_TYPES.AWS_SECRETS_MANAGER, value: `${options.awsSecret}:${key}`};
+        } else {
+            template[key] = {...description, required: true, source: SOURCE_TYPES.ENV, sensitive: true};
+        }
+    }
+
+    const content = stringifyTemplate(template, outputPath);
+    if (content === null) {
+        return {success: false, errors: [`Unsupported output format: ${path.extname(outputPath).toLowerCase()}`]};
     }
 
     fs.writeFileSync(outputPath, content, 'utf8');
@@ -266,54 +1203,177 @@ function generateTemplate(envPath, outputPath) {
 }
 
 /**
- * Update a template file with current resolved values as defaults
+ * Generate a .env.example file or a variable reference from a template without resolving anything.
+ * Descriptions, notes (required, condition, default) and groups come from the template; secrets are left out: values
+ * of sensitive variables, encrypted values, and string values or defaults that look secret.
+ * @param {object} template - Parsed template object
+ * @param {{ format?: string, profile?: string, dialect?: string, title?: string }} [options] - Format: "example"
+ *   (a .env.example file, default), "markdown" or "html" (a table of variables per group); profile to merge; dotenv
+ *   dialect of the example's values; title of the reference
+ * @returns {{ content: string, errors: string[] }}
+ */
+function generateDocsContent(template, options = {}) {
+    const format = options.format || 'example';
+    if (!Object.prototype.hasOwnProperty.call(DOCS_FORMATS, format)) {
+        return {content: '', errors: [`Unknown documentation format "${format}". Supported: ${Object.keys(DOCS_FORMATS).join(', ')}`]};
+    }
+    try {
+        const variables = documentVariables(applyProfile(template, options.profile));
+        const content = format === 'example'
+            ? formatExample(variables, {dialect: options.dialect})
+            : formatReference(variables, format, {title: options.title});
+        return {content, errors: []};
+    } catch (err) {
+        return {content: '', errors: [err.message]};
+    }
+}
+
+/**
+ * Write a .env.example file or a variable reference for a template file, see generateDocsContent
+ * @param {string} inputPath - Path to template file
+ * @param {string} outputPath - Path to output file, or "-" for stdout
+ * @param {{ format?: string, profile?: string, dialect?: string, title?: string }} [options] - Options as for
+ *   generateDocsContent; the format is inferred from the output file extension when omitted (.md/.markdown, .html/.htm,
+ *   else example). Output files are replaced atomically and, holding no secrets, are readable by everyone.
+ * @returns {{ success: boolean, errors: string[] }}
+ */
+function generateDocs(inputPath, outputPath, options = {}) {
+    const template = parseTemplateFile(inputPath);
+    const {content, errors} = generateDocsContent(template, {...options, format: options.format || inferDocsFormat(outputPath)});
+    if (errors.length > 0) {
+        return {success: false, errors};
+    }
+
+    if (outputPath === '-') {
+        process.stdout.write(content);
+    } else {
+        writeFileAtomic(outputPath, content, {mode: 0o644, keepMode: true});
+    }
+    return {success: true, errors: []};
+}
+
+/**
+ * Update a template file with current resolved values as defaults.
+ * Only variables declared in the file itself are updated; inherited ones are left to their own files,
+ * and sensitive values are never written, nor values interpolating them, nor decrypted ones (even with "sensitive: false").
  * @param {string} templatePath - Path to template file
  * @returns {Promise<{ success: boolean, errors: string[] }>}
  */
 async function setDefaults(templatePath) {
-    const template = parseTemplateFile(templatePath);
+    const template = readTemplateFile(templatePath);
+    const parsed = parseTemplateFile(templatePath);
+    // Values read from or interpolating secrets stay out of the file, decrypted ones even with "sensitive: false"
+    const secrets = getSensitiveNames(parsed, {strict: true});
 
-    for (const [varName, config] of Object.entries(template)) {
-        try {
-            const resolvedValue = await resolveValue(config, varName);
-            if (resolvedValue !== null) {
-                config.default = resolvedValue;
-            }
-        } catch {
-            // Skip variables that fail to resolve
+    // Variables that fail to resolve (and bulk entries) are skipped
+    const {variables} = await resolveVariables(parsed, {baseDir: path.dirname(templatePath)});
+    for (const variable of variables) {
+        const own = template[variable.name];
+        const secret = variable.sensitive || secrets.has(variable.name);
+        if (!variable.expanded && !secret && variable.raw !== null && own && typeof own === 'object' && own.$delete !== true) {
+            own.default = variable.raw;
         }
     }
 
-    const ext = path.extname(templatePath).toLowerCase();
-    let content;
-
-    switch (ext) {
-        case '.json':
-            content = JSON.stringify(template, null, 2) + '\n';
-            break;
-        case '.yaml':
-        case '.yml':
-            content = yaml.dump(template, {lineWidth: -1});
-            break;
-        case '.toml':
-        case '.tml':
-            content = toml.stringify(template);
-            break;
-        default:
-            return {success: false, errors: [`Unsupported file format: ${ext}`]};
+    const content = stringifyTemplate(template, templatePath);
+    if (content === null) {
+        return {success: false, errors: [`Unsupported file format: ${path.extname(templatePath).toLowerCase()}`]};
     }
 
     fs.writeFileSync(templatePath, content, 'utf8');
     return {success: true, errors: []};
 }
 
+/**
+ * Re-encrypt the encrypted values of a template file with a new key.
+ * Only the file's own variables are rewritten (including profile overrides), and only those using the current key:
+ * values whose keyFile/keyEnv names another key are left unchanged. Nothing is written unless every value decrypts.
+ * @param {string} templatePath - Path to template file
+ * @param {{ newKey: string|Buffer, key?: string|Buffer }} options - New key, and the current key
+ *   (default: the one in MAKEENV_KEY_FILE or MAKEENV_KEY)
+ * @returns {{ success: boolean, errors: string[], rekeyed: number, skipped: number }} Number of values re-encrypted,
+ *   and of values left unchanged because they use another key
+ */
+function rekeyTemplate(templatePath, options) {
+    const template = readTemplateFile(templatePath);
+    const context = {baseDir: path.dirname(templatePath), env: process.env};
+    const defaultKeyFile = getKeyFile({}, context);
+    const errors = [];
+    let rekeyed = 0;
+    let skipped = 0;
+
+    // Returns the re-encrypted value, or the old one after recording why it failed or that it uses another key
+    const rekey = (config, label) => {
+        // A key file that is the current one (e.g. the file --rotate-key replaces) is the same key
+        if (config.keyEnv || getKeyFile(config, context) !== defaultKeyFile) {
+            skipped++;
+            return config.value;
+        }
+        try {
+            const plaintext = decryptValue(config.value, options.key || loadKey({}, context));
+            rekeyed++;
+            return encryptValue(plaintext, options.newKey);
+        } catch (err) {
+            errors.push(`Failed to re-encrypt ${label}: ${err.message}`);
+            return config.value;
+        }
+    };
+
+    for (const [varName, config] of getVariableEntries(template)) {
+        if (!config || typeof config !== 'object') {
+            continue;
+        }
+        if (config.source === SOURCE_TYPES.ENCRYPTED && isEncryptedValue(config.value)) {
+            config.value = rekey(config, `variable "${varName}"`);
+        }
+        // An override is encrypted when it sets an encrypted value and its own or the inherited source is encrypted
+        for (const [profile, override] of Object.entries(config.profiles || {})) {
+            if (!override || typeof override !== 'object' || !isEncryptedValue(override.value)) {
+                continue;
+            }
+            const effective = {...config, ...override};
+            if (effective.source === SOURCE_TYPES.ENCRYPTED) {
+                override.value = rekey(effective, `variable "${varName}" in profile "${profile}"`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        return {success: false, errors, rekeyed: 0, skipped: 0};
+    }
+    const content = stringifyTemplate(template, templatePath);
+    if (content === null) {
+        return {success: false, errors: [`Unsupported file format: ${path.extname(templatePath).toLowerCase()}`], rekeyed: 0, skipped: 0};
+    }
+
+    writeFileAtomic(templatePath, content, {keepMode: true});
+    return {success: true, errors: [], rekeyed, skipped};
+}
+
 module.exports = {
     parseTemplateFile,
     parseEnvFile,
     resolveValue,
     generateEnvContent,
+    explainTemplate,
+    resolveTemplate,
+    loadIntoProcessEnv,
     makeEnv,
+    checkEnv,
+    lintTemplate,
+    runWithEnv,
+    watchEnv,
     generateTemplate,
+    generateDocsContent,
+    generateDocs,
     setDefaults,
+    rekeyTemplate,
+    generateKey,
+    encryptValue,
+    decryptValue,
+    registerSource,
+    loadPlugin,
+    getProfiles,
+    applyProfile,
     SOURCE_TYPES,
 };
@@ -0,0 +1,131 @@
+/**
+ * Pattern for "${NAME}", "${NAME:-fallback}", "${env:NAME}" and "${env:NAME:-fallback}" references.
+ * "$${" escapes a literal "${".
+ */
+const REFERENCE_PATTERN = /\$\$\{|\$\{(env:)?([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Find the references in a string
+ * @param {string} text - Text to scan
+ * @returns {Array<{ name: string, env: boolean, fallback: string|undefined }>}
+ */
+function parseReferences(text) {
+    const references = [];
+    for (const match of text.matchAll(REFERENCE_PATTERN)) {
+        if (match[0] === '$${') continue;
+        references.push({name: match[2], env: Boolean(match[1]), fallback: match[3]});
+    }
+    return references;
+}
+
+/**
+ * Replace references in a string.
+ * A reference with a fallback uses it when the referenced value is missing or empty;
+ * without a fallback a missing value is an error.
+ * @param {string} text - Text to interpolate
+ * @param {(reference: { name: string, env: boolean }) => string|null|undefined} lookup - Value lookup;
+ *   returns null for a known variable without a value and undefined for an unknown one
+ * @param {string} varName - Variable being interpolated (for error messages)
+ * @returns {string} Interpolated text
+ */
+function interpolate(text, lookup, varName) {
+    return text.replace(REFERENCE_PATTERN, (match, envPrefix, name, fallback) => {
+        if (match === '$${') {
+            return '${';
+        }
+
+        const reference = {name, env: Boolean(envPrefix)};
+        const value = lookup(reference);
+        if (value !== undefined && value !== null && (value !== '' || fallback === undefined)) {
+            return value;
+        }
+        if (fallback !== undefined) {
+            return fallback;
+        }
+
+        if (reference.env) {
+            throw new Error(`Variable "${varName}" references environment variable "${name}", which is not set`);
+        }
+        if (value === undefined) {
+            throw new Error(`Variable "${varName}" references unknown template variable "${name}" (use \${env:${name}} for environment variables)`);
+        }
+        throw new Error(`Variable "${varName}" references variable "${name}", which has no value`);
+    });
+}
+
+/**
+ * Get the template variables referenced by a variable's value and default
+ * @param {object} config - Variable configuration
+ * @returns {string[]} Referenced template variable names (process env references excluded)
+ */
+function getTemplateReferences(config) {
+    const names = new Set();
+    for (const field of [config.value, config.default]) {
+        if (typeof field !== 'string') continue;
+        for (const reference of parseReferences(field)) {
+            if (!reference.env) {
+                names.add(reference.name);
+            }
+        }
+    }
+    return Array.from(names);
+}
+
+/**
+ * Get the template variables that must be resolved before a variable: those its value and default reference and,
+ * as conditions see resolved values, those its "when" condition reads
+ * @param {object} config - Variable configuration
+ * @param {{ references: Array<{ name: string, env: boolean }> }|null} [condition] - Compiled condition, see compileCondition
+ * @returns {string[]} Template variable names (process env references excluded)
+ */
+function getDependencies(config, condition) {
+    const conditionReferences = condition ? condition.references.filter(ref => !ref.env).map(ref => ref.name) : [];
+    return getTemplateReferences(config).concat(conditionReferences);
+}
+
+/**
+ * Order variables so that every variable comes after the variables it references.
+ * Template order is kept wherever dependencies allow it.
+ * @param {Array<[string, object]>} entries - Template variable entries
+ * @param {(config: object, varName: string) => string[]} getDependencies - Dependency lookup for a variable
+ * @returns {string[]} Variable names in resolution order
+ * @throws {Error} When references form a cycle, naming the cycle (e.g. "A -> B -> A")
+ */
+function orderVariables(entries, getDependencies) {
+    const configs = new Map(entries);
+    const order = [];
+    const state = new Map(); // undefined: unvisited, 1: visiting, 2: done
+    const stack = [];
+
+    const visit = (varName) => {
+        if (state.get(varName) === 2) return;
+        if (state.get(varName) === 1) {
+            const cycle = stack.slice(stack.indexOf(varName)).concat(varName);
+            throw new Error(`Circular reference between template variables: ${cycle.join(' -> ')}`);
+        }
+
+        state.set(varName, 1);
+        stack.push(varName);
+        for (const dependency of getDependencies(configs.get(varName), varName)) {
+            if (configs.has(dependency)) {
+                visit(dependency);
+            }
+        }
+        stack.pop();
+        state.set(varName, 2);
+        order.push(varName);
+    };
+
+    for (const [varName] of entries) {
+        visit(varName);
+    }
+    return order;
+}
+
+module.exports = {
+    parseReferences,
+    interpolate,
+    getTemplateReferences,
+    getDependencies,
+    orderVariables,
+};
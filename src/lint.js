@@ -0,0 +1,654 @@
+const fs = require('fs');
+const path = require('path');
+const {readTemplateFile, parseTemplateFile} = require('./parsers');
+const {getDependencies, orderVariables} = require('./interpolate');
+const {getProfiles, applyProfile} = require('./profiles');
+const {getVariableEntries, getInheritedOrigin} = require('./compose');
+const {isPlainObject} = require('./objects');
+const TEMPLATE_SCHEMA = require('../schema/template.schema.json');
+
+// Variable names a POSIX shell can export
+const VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Get the edit distance between two strings, counting a swap of adjacent characters as one edit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Find the candidate a misspelled name was most likely meant to be
+ * @param {string} name - Misspelled name
+ * @param {string[]} candidates - Valid names
+ * @returns {string|undefined} The closest candidate within a third of the name's length (at least one edit), ignoring case
+ */
+function suggest(name, candidates) {
+    const lower = String(name).toLowerCase();
+    let best;
+    let bestDistance = Math.max(1, Math.floor(lower.length / 3));
+    for (const candidate of candidates) {
+        const distance = getEditDistance(lower, candidate.toLowerCase());
+        if (distance < bestDistance || (distance === bestDistance && best === undefined)) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @param {*} value - Value
+ * @param {string} type - JSON Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'null':
+            return value === null;
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Resolve a local "#/definitions/..." reference of the template schema
+ * @param {object|boolean} schema - Schema, possibly a reference
+ * @returns {object|boolean}
+ */
+function dereference(schema) {
+    while (schema && typeof schema === 'object' && schema.$ref) {
+        const {$ref, ...rest} = schema;
+        const target = $ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], TEMPLATE_SCHEMA);
+        schema = {...target, ...rest};
+    }
+    return schema;
+}
+
+/**
+ * Describe what a schema accepts, for error messages
+ * @param {object|boolean} schema - Schema
+ * @returns {string}
+ */
+function describeSchema(schema) {
+    schema = dereference(schema);
+    if (schema.enum) {
+        return schema.enum.map(value => JSON.stringify(value)).join(', ');
+    }
+    if (schema.oneOf || schema.anyOf) {
+        return (schema.oneOf || schema.anyOf).map(describeSchema).join(' or ');
+    }
+    if (schema.required) {
+        return `an object with "${schema.required.join('", "')}"`;
+    }
+    const types = [].concat(schema.type || []);
+    const names = {array: 'a list', object: 'an object', integer: 'an integer', null: 'null'};
+    return types.map(type => names[type] || `a ${type}`).join(' or ');
+}
+
+/**
+ * Validate a value against the template schema. Supports the keywords the schema uses: $ref, type, enum, oneOf/anyOf
+ * (as "any of"), properties, patternProperties, additionalProperties, required, items, minimum and minLength.
+ * @param {*} value - Value to validate
+ * @param {object|boolean} [schema] - Schema (default: the template schema)
+ * @param {Array<string|number>} [keys] - Path of the value (for the problems)
+ * @returns {Array<{ keys: Array<string|number>, message: string, unknown?: boolean, suggestion?: string }>} Problems:
+ *   message completes "<path> ...", unknown marks a property the schema does not allow and suggestion is the closest
+ *   allowed name or value
+ */
+function validateSchema(value, schema = TEMPLATE_SCHEMA, keys = []) {
+    schema = dereference(schema);
+    if (schema === true) {
+        return [];
+    }
+    if (schema === false) {
+        return [{keys, message: 'is not allowed', unknown: true}];
+    }
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return [{keys, message: `must be ${describeSchema({type: types})}`}];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        const strings = schema.enum.filter(option => typeof option === 'string');
+        const suggestion = typeof value === 'string' ? suggest(value, strings) : undefined;
+        return [{keys, message: `must be one of ${describeSchema(schema)}`, suggestion}];
+    }
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        return [{keys, message: `must be at least ${schema.minimum}`}];
+    }
+    if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+        return [{keys, message: 'must not be empty'}];
+    }
+
+    const branches = schema.oneOf || schema.anyOf;
+    if (branches) {
+        const results = branches.map(branch => validateSchema(value, branch, keys));
+        if (results.some(result => result.length === 0)) {
+            return [];
+        }
+        // Report the details of the one branch the value was evidently meant for, else what would be accepted
+        const candidates = branches.map(dereference).filter(branch => {
+            const branchTypes = [].concat(branch.type || []);
+            if (branch.enum) {
+                return branch.enum.some(option => typeof option === typeof value);
+            }
+            if (branch.required && matchesType(value, 'object')) {
+                return branch.required.every(key => key in value);
+            }
+            return branchTypes.some(type => matchesType(value, type));
+        });
+        if (candidates.length === 1) {
+            return validateSchema(value, candidates[0], keys);
+        }
+        return [{keys, message: `must be ${describeSchema(schema)}`}];
+    }
+
+    const problems = [];
+    if (matchesType(value, 'object')) {
+        const properties = schema.properties || {};
+        for (const required of schema.required || []) {
+            if (!(required in value)) {
+                problems.push({keys: keys.concat(required), message: 'is required'});
+            }
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const patterns = Object.entries(schema.patternProperties || {}).filter(([pattern]) => new RegExp(pattern).test(key));
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                problems.push(...validateSchema(item, properties[key], keys.concat(key)));
+            } else if (patterns.length > 0) {
+                for (const [, patternSchema] of patterns) {
+                    problems.push(...validateSchema(item, patternSchema, keys.concat(key)).map(problem => (
+                        problem.unknown ? {...problem, suggestion: suggest(key, Object.keys(properties))} : problem
+                    )));
+                }
+            } else if (schema.additionalProperties === false) {
+                problems.push({keys: keys.concat(key), message: 'is not allowed', unknown: true, suggestion: suggest(key, Object.keys(properties))});
+            } else if (schema.additionalProperties !== undefined) {
+                problems.push(...validateSchema(item, schema.additionalProperties, keys.concat(key)));
+            }
+        }
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => problems.push(...validateSchema(item, schema.items, keys.concat(index))));
+    }
+    return problems;
+}
+
+/**
+ * Turn a schema problem into a message about a template
+ * @param {{ keys: Array<string|number>, message: string, unknown?: boolean, suggestion?: string }} problem - Problem
+ *   from validateSchema
+ * @returns {string}
+ */
+function formatSchemaProblem(problem) {
+    const [name, ...rest] = problem.keys;
+    const hint = problem.suggestion === undefined ? '' : ` (did you mean "${problem.suggestion}"?)`;
+    if (name.startsWith('$')) {
+        if (rest.length === 0 && problem.unknown) {
+            return `Unknown directive "${name}"${hint}`;
+        }
+        return `Directive "${[name, ...rest].join('.')}" ${problem.message}${hint}`;
+    }
+
+    let subject = `Variable "${name}"`;
+    let fields = rest;
+    if (rest[0] === 'profiles' && rest.length > 1) {
+        subject += ` profile "${rest[1]}"`;
+        fields = rest.slice(2);
+    }
+    const field = fields.reduce((text, key) => typeof key === 'number' ? `${text}[${key}]` : (text ? `${text}.${key}` : key), '');
+    if (problem.unknown && fields.length === 1) {
+        return `${subject} has unknown field "${field}"${hint}`;
+    }
+    return field ? `${subject} field "${field}" ${problem.message}${hint}` : `${subject} ${problem.message}${hint}`;
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create a function that finds the line a key path is declared on in a template's text. Lines are found by layout
+ * (indentation for YAML and JSON, tables and assignments for TOML), so inline objects resolve to their parent's line.
+ * @param {string} content - Template file content
+ * @param {string} filePath - Template file path (its extension selects the format)
+ * @returns {(keys: Array<string|number>) => number|undefined} 1-based line of the deepest key found, or undefined
+ */
+function createLineLocator(content, filePath) {
+    const lines = content.split(/\r?\n/);
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.toml' || ext === '.tml') {
+        return keys => locateTomlLine(lines, keys.filter(key => typeof key === 'string'));
+    }
+
+    const isContent = line => line.trim() !== '' && !line.trim().startsWith('#') && !/^[\s{}[\],]*$/.test(line);
+    const indentOf = line => line.length - line.trimStart().length;
+    const keyPattern = ext === '.json'
+        ? key => new RegExp(`^\\s*"${escapeRegExp(key)}"\\s*:`)
+        : key => new RegExp(`^\\s*(?:-\\s+)?(["']?)${escapeRegExp(key)}\\1\\s*:(?:\\s|$)`);
+
+    return (keys) => {
+        let found;
+        let start = 0;
+        let end = lines.length;
+        for (const key of keys.filter(item => typeof item === 'string')) {
+            // Children are the lines of the block indented like its first content line
+            const first = lines.slice(start, end).findIndex(isContent);
+            if (first === -1) {
+                break;
+            }
+            const indent = indentOf(lines[start + first]);
+            const pattern = keyPattern(key);
+            let match = -1;
+            for (let i = start + first; i < end; i++) {
+                if (isContent(lines[i]) && indentOf(lines[i]) === indent && pattern.test(lines[i])) {
+                    match = i;
+                    break;
+                }
+            }
+            if (match === -1) {
+                break;
+            }
+            found = match + 1;
+            start = match + 1;
+            end = lines.length;
+            for (let i = start; i < lines.length; i++) {
+                if (isContent(lines[i]) && indentOf(lines[i]) <= indent) {
+                    end = i;
+                    break;
+                }
+            }
+        }
+        return found;
+    };
+}
+
+/**
+ * Find the line of a key path in TOML text: a table header for the longest leading part of the path, then an
+ * assignment of the next key in that table
+ * @param {string[]} lines - File lines
+ * @param {string[]} keys - Key path
+ * @returns {number|undefined} 1-based line
+ */
+function locateTomlLine(lines, keys) {
+    const splitKey = text => (text.match(/"(?:[^"\\]|\\.)*"|'[^']*'|[^.\s]+/g) || []).map(part => part.replace(/^["']|["']$/g, ''));
+    const headers = [];
+    lines.forEach((line, index) => {
+        const match = line.match(/^\s*\[([^[\]]+)\]\s*(?:#.*)?$/);
+        if (match) {
+            headers.push({index, keys: splitKey(match[1])});
+        }
+    });
+    // Dotted keys (profiles.prod.required = true) match as many of the remaining keys as they spell out
+    const findAssignment = (from, to, rest) => {
+        for (let length = rest.length; length > 0; length--) {
+            const dotted = rest.slice(0, length).map((key, index) => `(["']?)${escapeRegExp(String(key))}\\${index + 1}`);
+            const pattern = new RegExp(`^\\s*${dotted.join('\\s*\\.\\s*')}\\s*[.=]`);
+            for (let i = from; i < to; i++) {
+                if (pattern.test(lines[i])) {
+                    return i + 1;
+                }
+            }
+        }
+        return undefined;
+    };
+
+    for (let length = keys.length; length > 0; length--) {
+        const header = headers.find(item => item.keys.join('.') === keys.slice(0, length).join('.'));
+        if (header) {
+            if (length === keys.length) {
+                return header.index + 1;
+            }
+            const next = headers.find(item => item.index > header.index);
+            return findAssignment(header.index + 1, next ? next.index : lines.length, keys.slice(length)) || header.index + 1;
+        }
+    }
+    // Variables declared as inline tables or dotted keys before the first table
+    return findAssignment(0, headers.length > 0 ? headers[0].index : lines.length, keys);
+}
+
+/**
+ * Find keys declared twice in the same JSON object, which JSON.parse silently resolves to the last one
+ * @param {string} content - JSON text
+ * @returns {Array<{ keys: string[], line: number }>} Path and 1-based line of each repeated key
+ */
+function findDuplicateJsonKeys(content) {
+    const duplicates = [];
+    const stack = []; // { keys: Set<string>|null (arrays), path: string[], pending: string|undefined }
+    let line = 1;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (char === '\n') {
+            line++;
+        } else if (char === '"') {
+            let end = i + 1;
+            while (end < content.length && content[end] !== '"') {
+                end += content[end] === '\\' ? 2 : 1;
+            }
+            const text = content.slice(i, end + 1);
+            const top = stack[stack.length - 1];
+            const rest = content.slice(end + 1).match(/^\s*:/);
+            if (rest && top && top.keys) {
+                let key;
+                try {
+                    key = JSON.parse(text);
+                } catch {
+                    key = text.slice(1, -1);
+                }
+                if (top.keys.has(key)) {
+                    duplicates.push({keys: top.path.concat(key), line});
+                }
+                top.keys.add(key);
+                top.pending = key;
+            }
+            i = end;
+        } else if (char === '{' || char === '[') {
+            const top = stack[stack.length - 1];
+            const parentPath = top ? top.path.concat(top.keys ? [top.pending] : []) : [];
+            stack.push({keys: char === '{' ? new Set() : null, path: parentPath, pending: undefined});
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+        }
+    }
+    return duplicates;
+}
+
+/**
+ * Get the 1-based line of a template parse error, when the parser reports one
+ * @param {Error} err - Error thrown by JSON.parse, js-yaml or smol-toml
+ * @param {string} content - Parsed text
+ * @returns {number|undefined}
+ */
+function getErrorLine(err, content) {
+    if (err.mark && Number.isInteger(err.mark.line)) {
+        return err.mark.line + 1;
+    }
+    if (Number.isInteger(err.line)) {
+        return err.line;
+    }
+    const lineMatch = /line (\d+)/.exec(err.message);
+    if (lineMatch) {
+        return Number(lineMatch[1]);
+    }
+    const positionMatch = /at position (\d+)/.exec(err.message);
+    if (positionMatch) {
+        return content.slice(0, Number(positionMatch[1])).split('\n').length;
+    }
+    return undefined;
+}
+
+/**
+ * Check whether a variable's default can never apply: a string source with a fixed value always has a value
+ * @param {*} config - Variable configuration
+ * @returns {boolean}
+ */
+function hasUnusableDefault(config) {
+    if (!config || typeof config !== 'object' || config.default === undefined || config.default === null) {
+        return false;
+    }
+    const isString = config.source === undefined || config.source === 'string';
+    // Interpolated values are missing when a referenced variable is
+    return isString && config.value !== undefined && config.value !== null && !String(config.value).includes('${');
+}
+
+/**
+ * Check a template and the templates it extends or includes without resolving anything: each file against the
+ * published JSON Schema (unknown fields and directives, wrong types and values, with the closest valid name), variable
+ * names, keys repeated in a JSON file or declared by more than one include, defaults that can never apply, sources
+ * that are not registered, and everything resolving rejects before any lookup (transforms, lookup limits, validation
+ * rules, conditions, source configuration, reference cycles), for the base variables and every profile.
+ * Variables with schema errors are not checked further. Fields the schema does not know are only reported for
+ * variables of plugin sources when they look like a misspelled field, as plugins may read fields of their own.
+ * @param {string} templatePath - Path to template file
+ * @param {{ builtInSources: string[], sourceNames: string[], findSource: (source: string) => object|undefined,
+ *   compileVariable: Function, loadPlugins: (template: object, baseDir: string) => void }} resolver - What resolving
+ *   uses: the built-in and all known source names, the source lookup, the variable compiler that throws on the first
+ *   invalid part, and the $plugins loader
+ * @returns {{ success: boolean, errors: string[], problems: Array<{ severity: 'error'|'warning', message: string,
+ *   file: string, line?: number }> }}
+ */
+function lintTemplateFiles(templatePath, resolver) {
+    const rootPath = path.resolve(templatePath);
+    const problems = [];
+    const locators = new Map();
+    const reported = new Set();
+    const report = (severity, file, message, keys) => {
+        if (reported.has(`${file}\n${message}`)) {
+            return;
+        }
+        reported.add(`${file}\n${message}`);
+        const locate = locators.get(file);
+        const line = locate && keys ? locate(keys) : undefined;
+        problems.push(line === undefined ? {severity, message, file} : {severity, message, file, line});
+    };
+
+    // The composed template tells which source a variable ends up with, even when a file only overrides its value
+    let composed = null;
+    let compositionError = null;
+    try {
+        composed = parseTemplateFile(rootPath);
+    } catch (err) {
+        compositionError = err;
+    }
+    const invalid = new Set();
+
+    const lintFile = (filePath) => {
+        const content = fs.readFileSync(filePath, 'utf8');
+        locators.set(filePath, createLineLocator(content, filePath));
+        let template;
+        try {
+            template = readTemplateFile(filePath);
+        } catch (err) {
+            const reason = err.reason || err.message.split('\n')[0];
+            const line = getErrorLine(err, content);
+            problems.push({severity: 'error', message: `Cannot parse template: ${reason}`, file: filePath, ...(line ? {line} : {})});
+            return;
+        }
+        if (!isPlainObject(template)) {
+            report('error', filePath, 'Template must contain an object of variables');
+            return;
+        }
+
+        // JSON.parse keeps the last of repeated keys; the YAML and TOML parsers reject them
+        if (path.extname(filePath).toLowerCase() === '.json') {
+            for (const {keys, line} of findDuplicateJsonKeys(content)) {
+                problems.push({severity: 'error', message: `Key "${keys.join('.')}" is declared more than once; only the last one is used`, file: filePath, line});
+            }
+        }
+
+        // Profile overrides clear inherited fields with null
+        const checked = {};
+        for (const [key, config] of Object.entries(template)) {
+            checked[key] = isPlainObject(config) && isPlainObject(config.profiles) ? {
+                ...config,
+                profiles: Object.fromEntries(Object.entries(config.profiles).map(([profile, overrides]) => [
+                    profile,
+                    isPlainObject(overrides) ? Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== null)) : overrides,
+                ])),
+            } : config;
+        }
+        for (const problem of validateSchema(checked)) {
+            const [varName] = problem.keys;
+            const config = composed && isPlainObject(composed[varName]) ? composed[varName] : template[varName];
+            const source = isPlainObject(config) ? config.source : undefined;
+            if (problem.unknown && source !== undefined && !varName.startsWith('$') && !resolver.builtInSources.includes(source)) {
+                if (problem.suggestion !== undefined) {
+                    report('warning', filePath, formatSchemaProblem(problem), problem.keys);
+                }
+                continue;
+            }
+            invalid.add(varName);
+            report('error', filePath, formatSchemaProblem(problem), problem.keys);
+        }
+
+        for (const [varName, config] of getVariableEntries(template)) {
+            // Names of bulk entries are labels; the variables they expand into are named after the parameters
+            if (!VARIABLE_NAME_PATTERN.test(varName) && !(isPlainObject(config) && config.bulk === true)) {
+                report('error', filePath, `Variable name "${varName}" is not a valid environment variable name (use letters, digits and underscores, not starting with a digit)`, [varName]);
+            }
+        }
+
+        const dir = path.dirname(filePath);
+        const lists = {};
+        for (const directive of ['$extends', '$include']) {
+            lists[directive] = [].concat(template[directive] || []).filter(item => typeof item === 'string' && item !== '');
+            for (const parentPath of lists[directive]) {
+                const absolutePath = path.resolve(dir, parentPath);
+                if (!fs.existsSync(absolutePath)) {
+                    report('error', filePath, `Template "${parentPath}" in ${directive} does not exist`, [directive]);
+                } else if (!locators.has(absolutePath)) {
+                    lintFile(absolutePath);
+                }
+            }
+        }
+
+        // Includes are meant to add variables; one declared by two of them is usually a copy that drifted
+        const declaredBy = new Map();
+        for (const includePath of lists.$include) {
+            let included;
+            try {
+                included = parseTemplateFile(path.resolve(dir, includePath));
+            } catch {
+                continue;
+            }
+            for (const [varName] of getVariableEntries(included)) {
+                if (declaredBy.has(varName)) {
+                    report('warning', filePath, `Variable "${varName}" is declared by both "${declaredBy.get(varName)}" and "${includePath}" in $include; the later one overrides the earlier one`, ['$include']);
+                } else {
+                    declaredBy.set(varName, includePath);
+                }
+            }
+        }
+    };
+
+    if (!fs.existsSync(rootPath)) {
+        return {success: false, errors: [`Template "${templatePath}" does not exist`], problems: [{severity: 'error', message: `Template "${templatePath}" does not exist`, file: rootPath}]};
+    }
+    lintFile(rootPath);
+
+    if (composed === null) {
+        // Parse errors are already reported per file; what remains are errors of the composition itself
+        if (!problems.some(problem => problem.severity === 'error')) {
+            report('error', rootPath, compositionError.message);
+        }
+    } else {
+        try {
+            resolver.loadPlugins(composed, path.dirname(rootPath));
+        } catch (err) {
+            report('error', rootPath, err.message, ['$plugins']);
+        }
+
+        const variants = [{profile: null, template: composed}];
+        for (const profile of getProfiles(composed)) {
+            try {
+                variants.push({profile, template: applyProfile(composed, profile)});
+            } catch (err) {
+                report('error', rootPath, err.message);
+            }
+        }
+
+        for (const {profile, template} of variants) {
+            const prefix = profile ? `[${profile}] ` : '';
+            const entries = getVariableEntries(template).filter(([varName, config]) => !invalid.has(varName) && isPlainObject(config));
+            const configs = new Map(getVariableEntries(template));
+            const conditions = new Map();
+            for (const [varName, config] of entries) {
+                const origin = getInheritedOrigin(composed, varName) || rootPath;
+                const overrides = profile && isPlainObject(composed[varName]) && isPlainObject(composed[varName].profiles) ? composed[varName].profiles[profile] : null;
+                const keysOf = field => (isPlainObject(overrides) && field in overrides ? [varName, 'profiles', profile, field] : [varName, field]);
+                // A profile repeats the base variable's problems; only its own are reported
+                const fail = (message, keys) => {
+                    if (!profile || !reported.has(`${origin}\n${message}`)) {
+                        report('error', origin, `${prefix}${message}`, keys);
+                    }
+                };
+
+                try {
+                    const {condition} = resolver.compileVariable(config, varName, configs);
+                    conditions.set(varName, condition);
+                } catch (err) {
+                    fail(err.message, [varName]);
+                }
+                const source = config.source || 'string';
+                const definition = resolver.findSource(source);
+                if (!definition) {
+                    const suggestion = suggest(source, resolver.sourceNames);
+                    const hint = suggestion === undefined ? '' : ` (did you mean "${suggestion}"?)`;
+                    fail(`Variable "${varName}" uses unknown source "${source}"${hint}`, keysOf('source'));
+                } else if (typeof definition.validate === 'function') {
+                    try {
+                        definition.validate(config, varName);
+                    } catch (err) {
+                        fail(err.message, keysOf('value'));
+                    }
+                }
+            }
+            try {
+                orderVariables(entries, (config, varName) => getDependencies(config, conditions.get(varName)));
+            } catch (err) {
+                if (!profile || !reported.has(`${rootPath}\n${err.message}`)) {
+                    report('error', rootPath, `${prefix}${err.message}`);
+                }
+            }
+        }
+
+        for (const [varName] of getVariableEntries(composed)) {
+            if (!invalid.has(varName) && variants.every(({template}) => hasUnusableDefault(template[varName]))) {
+                const origin = getInheritedOrigin(composed, varName) || rootPath;
+                report('warning', origin, `Variable "${varName}" default is never used: its string value is always set`, [varName, 'default']);
+            }
+        }
+    }
+
+    // Files in the order they were read, problems without a line first
+    const files = Array.from(locators.keys());
+    problems.sort((a, b) => (files.indexOf(a.file) - files.indexOf(b.file)) || ((a.line || 0) - (b.line || 0)));
+    const errors = problems.filter(problem => problem.severity === 'error').map(problem => problem.message);
+    return {success: errors.length === 0, errors, problems};
+}
+
+module.exports = {
+    TEMPLATE_SCHEMA,
+    VARIABLE_NAME_PATTERN,
+    suggest,
+    validateSchema,
+    formatSchemaProblem,
+    createLineLocator,
+    findDuplicateJsonKeys,
+    getErrorLine,
+    lintTemplateFiles,
+};
@@ -0,0 +1,17 @@
+/**
+ * Mask a value for display
+ * @param {string|null|undefined} value - Value to mask
+ * @param {number} [visible] - Number of leading characters to keep (never more than a quarter of the value)
+ * @returns {string} Masked value; empty values stay empty so they remain recognizable
+ */
+function maskValue(value, visible = 0) {
+    if (value === undefined || value === null || value === '') {
+        return value;
+    }
+    const shown = Math.min(visible, Math.floor(value.length / 4));
+    return `${value.slice(0, shown)}****`;
+}
+
+module.exports = {
+    maskValue,
+};
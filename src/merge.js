@@ -0,0 +1,177 @@
+const {scanDotenv, stringifyDotenv} = require('./dotenv');
+
+const MANAGED_START = '# makeenv:managed-start';
+const MANAGED_END = '# makeenv:managed-end';
+// Lists the keys makeenv updates outside the managed block, so that --prune can find them too
+const MANAGED_KEYS = '# makeenv:managed-keys';
+
+/**
+ * Render one assignment in dotenv syntax
+ * @param {string} key - Variable name
+ * @param {string} value - Value
+ * @param {string} [dialect] - Dotenv dialect
+ * @returns {string[]} Lines of the assignment
+ */
+function renderAssignment(key, value, dialect) {
+    return stringifyDotenv([[key, value]], {dialect}).replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Read the keys listed by a "# makeenv:managed-keys" line
+ * @param {string} line - Comment line
+ * @returns {string[]|null} Keys, or null when the line is no such marker
+ */
+function parseManagedKeysLine(line) {
+    const text = line.trim();
+    if (text !== MANAGED_KEYS && !text.startsWith(`${MANAGED_KEYS} `)) {
+        return null;
+    }
+    return text.slice(MANAGED_KEYS.length).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Merge generated values into an existing dotenv file.
+ * Template-managed keys are updated in place (unchanged lines are kept verbatim, inline comments survive),
+ * other lines, comments and ordering are kept, and new keys are appended inside the managed block
+ * (between "# makeenv:managed-start" and "# makeenv:managed-end") or, without one, in a new managed block at the end
+ * of the file. Template keys updated outside the block are listed on a "# makeenv:managed-keys" line at its start.
+ * @param {string|null} existing - Current file content, or null when the file does not exist yet
+ * @param {Map<string, string>} values - Generated values in output order
+ * @param {{ prune?: boolean, dialect?: string }} [options] - With prune, keys inside the managed block or listed as
+ *   managed that the template no longer produces are removed; dialect selects how the file is read and written
+ *   (default "dotenv")
+ * @returns {string} Merged content
+ */
+function mergeEnvContent(existing, values, options = {}) {
+    if (existing === null || existing === undefined || existing === '') {
+        const lines = [MANAGED_START];
+        for (const [key, value] of values) {
+            lines.push(...renderAssignment(key, value, options.dialect));
+        }
+        lines.push(MANAGED_END);
+        return `${lines.join('\n')}\n`;
+    }
+
+    const eol = existing.includes('\r\n') ? '\r\n' : '\n';
+    const entries = scanDotenv(existing, {dialect: options.dialect});
+    const listed = new Set();
+    for (const entry of entries) {
+        if (entry.key === undefined) {
+            (parseManagedKeysLine(entry.lines[0]) || []).forEach(key => listed.add(key));
+        }
+    }
+
+    const output = [];
+    const seen = new Set();
+    const managedOutside = [];
+    let inBlock = false;
+    let blockStart = -1;
+    let blockEnd = -1;
+    for (const entry of entries) {
+        if (entry.key === undefined) {
+            const marker = entry.lines[0].trim();
+            if (parseManagedKeysLine(marker)) {
+                // Rewritten below with the keys managed now
+                continue;
+            }
+            if (marker === MANAGED_START) {
+                inBlock = true;
+            } else if (marker === MANAGED_END) {
+                inBlock = false;
+                if (blockEnd === -1) {
+                    blockEnd = output.length;
+                }
+            }
+            output.push(...entry.lines);
+            if (marker === MANAGED_START && blockStart === -1) {
+                blockStart = output.length;
+            }
+            continue;
+        }
+
+        if (!values.has(entry.key)) {
+            const managed = inBlock || listed.has(entry.key);
+            if (!(managed && options.prune)) {
+                output.push(...entry.lines);
+                if (!inBlock && managed) {
+                    managedOutside.push(entry.key);
+                }
+            }
+            continue;
+        }
+
+        seen.add(entry.key);
+        if (!inBlock) {
+            managedOutside.push(entry.key);
+        }
+        const value = values.get(entry.key);
+        if (entry.value === value) {
+            output.push(...entry.lines);
+            continue;
+        }
+        const rendered = renderAssignment(entry.key, value, options.dialect);
+        rendered[0] = `${entry.prefix}${rendered[0]}`;
+        rendered[rendered.length - 1] += entry.comment;
+        output.push(...rendered);
+    }
+
+    const added = [];
+    for (const [key, value] of values) {
+        if (!seen.has(key)) {
+            added.push(...renderAssignment(key, value, options.dialect));
+        }
+    }
+    const keysLine = managedOutside.length > 0 ? [`${MANAGED_KEYS} ${[...new Set(managedOutside)].join(' ')}`] : [];
+    if (blockEnd !== -1) {
+        output.splice(blockEnd, 0, ...added);
+        output.splice(blockStart === -1 ? blockEnd : blockStart, 0, ...keysLine);
+    } else if (inBlock) {
+        // A block left open at the end of the file is closed after the new keys
+        output.push(...added, MANAGED_END);
+        output.splice(blockStart, 0, ...keysLine);
+    } else if (added.length > 0 || keysLine.length > 0) {
+        // Appended keys get a managed block of their own, so that a later prune can remove them
+        if (output.length > 0 && output[output.length - 1].trim() !== '') {
+            output.push('');
+        }
+        output.push(MANAGED_START, ...keysLine, ...added, MANAGED_END);
+    }
+
+    return output.join(eol) + eol;
+}
+
+/**
+ * Find the keys makeenv manages in a dotenv file: those inside its managed blocks and those listed as managed
+ * @param {string} content - File content
+ * @param {{ dialect?: string }} [options] - Dotenv dialect (default "dotenv")
+ * @returns {Set<string>|null} Managed keys, or null when the file has no managed block
+ */
+function getManagedKeys(content, options = {}) {
+    const keys = new Set();
+    let found = false;
+    let inBlock = false;
+    for (const entry of scanDotenv(content, {dialect: options.dialect})) {
+        if (entry.key === undefined) {
+            const marker = entry.lines[0].trim();
+            if (marker === MANAGED_START) {
+                found = true;
+                inBlock = true;
+            } else if (marker === MANAGED_END) {
+                inBlock = false;
+            } else {
+                (parseManagedKeysLine(marker) || []).forEach(key => keys.add(key));
+            }
+        } else if (inBlock) {
+            keys.add(entry.key);
+        }
+    }
+    return found ? keys : null;
+}
+
+module.exports = {
+    MANAGED_START,
+    MANAGED_END,
+    MANAGED_KEYS,
+    mergeEnvContent,
+    getManagedKeys,
+};
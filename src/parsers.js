@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const toml = require('smol-toml');
+const {applyProfile} = require('./profiles');
+const {composeTemplate} = require('./compose');
+const {parseDotenv, getDotenvComments} = require('./dotenv');
+
+/**
+ * Read a single template file based on extension, without resolving $extends/$include
+ * @param {string} filePath - Path to the template file
+ * @returns {object} Parsed template object
+ */
+function readTemplateFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+
+    switch (ext) {
+        case '.json':
+            return JSON.parse(content);
+        case '.yaml':
+        case '.yml':
+            return yaml.load(content);
+        case '.toml':
+        case '.tml':
+            return toml.parse(content);
+        default:
+            throw new Error(`Unsupported file extension: ${ext}. Supported: .json, .yaml, .yml, .toml, .tml`);
+    }
+}
+
+/**
+ * Parse template file based on extension, merging in the templates it extends or includes
+ * @param {string} filePath - Path to the template file
+ * @param {{ profile?: string }} [options] - With a profile, its overrides are merged into the variables
+ * @returns {object} Parsed template object
+ */
+function parseTemplateFile(filePath, options = {}) {
+    const template = composeTemplate(filePath, readTemplateFile);
+    return options.profile ? applyProfile(template, options.profile) : template;
+}
+
+/**
+ * Parse a .env file into key-value pairs
+ * @param {string} filePath - Path to .env file
+ * @param {{ dialect?: string }} [options] - Dotenv dialect ("dotenv" or "docker-compose", default "dotenv")
+ * @returns {Object<string, string>} Parsed key-value pairs
+ */
+function parseEnvFile(filePath, options = {}) {
+    return parseDotenv(fs.readFileSync(filePath, 'utf8'), {dialect: options.dialect});
+}
+
+/**
+ * Read a .env file with the comments describing its keys
+ * @param {string} filePath - Path to .env file
+ * @param {{ dialect?: string }} [options] - Dotenv dialect ("dotenv" or "docker-compose", default "dotenv")
+ * @returns {{ values: Object<string, string>, comments: Object<string, string> }} Parsed key-value pairs, and the
+ *   comment lines above and inline comment of each key that has them
+ */
+function readEnvFile(filePath, options = {}) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return {
+        values: parseDotenv(content, {dialect: options.dialect}),
+        comments: getDotenvComments(content, {dialect: options.dialect}),
+    };
+}
+
+/**
+ * Check whether a path points to a dotenv file (.env, .env.local, prod.env)
+ * @param {string} filePath - Path to check
+ * @returns {boolean}
+ */
+function isDotenvPath(filePath) {
+    const base = path.basename(filePath).toLowerCase();
+    return base === '.env' || base.startsWith('.env.') || path.extname(base) === '.env';
+}
+
+module.exports = {
+    readTemplateFile,
+    parseTemplateFile,
+    parseEnvFile,
+    readEnvFile,
+    isDotenvPath,
+};
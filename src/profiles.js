@@ -0,0 +1,92 @@
+const {copyOrigins} = require('./compose');
+const {isPlainObject} = require('./objects');
+
+// Marks a template whose profile layer has already been merged
+const APPLIED_PROFILE = Symbol('makeenv.appliedProfile');
+
+/**
+ * Get the profiles a template declares, in declaration order: the top-level
+ * $profiles list first, then profiles only mentioned by variables
+ * @param {object} template - Parsed template object
+ * @returns {string[]} Profile names
+ */
+function getProfiles(template) {
+    const profiles = new Set(getDeclaredProfiles(template) || []);
+    for (const [varName, config] of Object.entries(template)) {
+        if (varName.startsWith('$') || !config || !isPlainObject(config.profiles)) continue;
+        for (const profile of Object.keys(config.profiles)) {
+            profiles.add(profile);
+        }
+    }
+    return Array.from(profiles);
+}
+
+/**
+ * Get the top-level $profiles list
+ * @param {object} template - Parsed template object
+ * @returns {string[]|null} Declared profiles, or null when the template has no $profiles list
+ */
+function getDeclaredProfiles(template) {
+    if (template.$profiles === undefined || template.$profiles === null) {
+        return null;
+    }
+    if (!Array.isArray(template.$profiles)) {
+        throw new Error('Template "$profiles" must be a list of profile names');
+    }
+    return template.$profiles.map(String);
+}
+
+/**
+ * Merge a profile's overrides into every variable and drop the per-variable "profiles" layer
+ * @param {object} template - Parsed template object
+ * @param {string} [profile] - Profile to apply; without one only the base values are kept
+ * @returns {object} New template with the profile applied
+ * @throws {Error} For an unknown profile, or a variable overriding a profile missing from $profiles
+ */
+function applyProfile(template, profile) {
+    if (Object.prototype.hasOwnProperty.call(template, APPLIED_PROFILE)) {
+        const applied = template[APPLIED_PROFILE];
+        if (profile && profile !== applied) {
+            throw new Error(`Template already has profile "${applied || '(base)'}" applied; cannot apply "${profile}"`);
+        }
+        return template;
+    }
+
+    const declared = getDeclaredProfiles(template);
+    const known = getProfiles(template);
+    if (profile && !known.includes(profile)) {
+        const available = known.length > 0 ? known.join(', ') : 'none';
+        throw new Error(`Unknown profile "${profile}". Available profiles: ${available}`);
+    }
+
+    const result = {};
+    for (const [varName, config] of Object.entries(template)) {
+        if (varName === '$profiles') continue;
+        if (varName.startsWith('$') || !isPlainObject(config) || config.profiles === undefined) {
+            result[varName] = config;
+            continue;
+        }
+
+        if (!isPlainObject(config.profiles)) {
+            throw new Error(`Variable "${varName}" field "profiles" must map profile names to overrides`);
+        }
+        for (const [name, overrides] of Object.entries(config.profiles)) {
+            if (declared && !declared.includes(name)) {
+                throw new Error(`Variable "${varName}" overrides profile "${name}", which is not listed in $profiles`);
+            }
+            if (!isPlainObject(overrides)) {
+                throw new Error(`Variable "${varName}" profile "${name}" must be an object of overrides`);
+            }
+        }
+
+        const {profiles, ...base} = config;
+        result[varName] = profile && profiles[profile] ? {...base, ...profiles[profile]} : base;
+    }
+    Object.defineProperty(result, APPLIED_PROFILE, {value: profile || null});
+    return copyOrigins(template, result);
+}
+
+module.exports = {
+    getProfiles,
+    applyProfile,
+};
@@ -0,0 +1,86 @@
+const path = require('path');
+
+// Registered sources by name, in registration order
+const sources = new Map();
+
+/**
+ * Turn a resolver function or source definition into a source definition
+ * @param {string} name - Source name (for error messages)
+ * @param {Function|{ resolve: Function, validate?: Function, expand?: Function, files?: Function }} resolver -
+ *   Resolver function (config, varName, context) returning a value or null, or a source definition
+ * @returns {{ resolve: Function, validate?: Function, expand?: Function, files?: Function }}
+ * @throws {Error} When the name is empty or the resolver is neither
+ */
+function toSourceDefinition(name, resolver) {
+    if (typeof name !== 'string' || name === '') {
+        throw new Error('Source name must be a non-empty string');
+    }
+
+    const definition = typeof resolver === 'function' ? {resolve: resolver} : resolver;
+    if (!definition || typeof definition.resolve !== 'function') {
+        throw new Error(`Source "${name}" must be a function or an object with a resolve() method`);
+    }
+    return definition;
+}
+
+/**
+ * Register a source type, replacing any source registered under the same name
+ * @param {string} name - Source name used in the template "source" field
+ * @param {Function|{ resolve: Function, validate?: Function, expand?: Function, files?: Function }} resolver -
+ *   Resolver function (config, varName, context) returning a value or null, or a source definition
+ */
+function registerSource(name, resolver) {
+    sources.set(name, toSourceDefinition(name, resolver));
+}
+
+/**
+ * Get the definition of a registered source
+ * @param {string} name - Source name
+ * @returns {{ resolve: Function, validate?: Function, expand?: Function }|undefined}
+ */
+function getSource(name) {
+    return sources.get(name);
+}
+
+/**
+ * Get the names of all registered sources
+ * @returns {string[]}
+ */
+function getSourceNames() {
+    return Array.from(sources.keys());
+}
+
+/**
+ * Load a plugin module that registers one or more sources.
+ * A plugin exports either a function receiving { registerSource }, a source
+ * definition with a "name", or an object with a "sources" map of name to resolver.
+ * @param {string} pluginPath - Module path (relative paths resolve against baseDir) or package name
+ * @param {string} [baseDir] - Directory relative plugin paths are resolved against
+ */
+function loadPlugin(pluginPath, baseDir = process.cwd()) {
+    const isRelative = pluginPath.startsWith('.') || path.isAbsolute(pluginPath);
+    const modulePath = isRelative
+        ? path.resolve(baseDir, pluginPath)
+        : require.resolve(pluginPath, {paths: [baseDir]});
+    const plugin = require(modulePath);
+
+    if (typeof plugin === 'function') {
+        plugin({registerSource});
+    } else if (plugin && typeof plugin.name === 'string' && typeof plugin.resolve === 'function') {
+        registerSource(plugin.name, plugin);
+    } else if (plugin && plugin.sources && typeof plugin.sources === 'object') {
+        for (const [name, resolver] of Object.entries(plugin.sources)) {
+            registerSource(name, resolver);
+        }
+    } else {
+        throw new Error(`Plugin "${pluginPath}" must export a function, a source with name and resolve(), or a sources map`);
+    }
+}
+
+module.exports = {
+    toSourceDefinition,
+    registerSource,
+    getSource,
+    getSourceNames,
+    loadPlugin,
+};
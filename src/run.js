@@ -0,0 +1,83 @@
+const {spawn} = require('child_process');
+
+// Signals passed on to the child while it runs, so that it can shut down cleanly
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP', 'SIGQUIT'];
+
+/**
+ * Merge resolved values into an environment
+ * @param {Object<string, string|undefined>} env - Existing environment
+ * @param {Map<string, string>} values - Resolved values
+ * @param {{ override?: boolean }} [options] - Whether resolved values replace variables already set (default true)
+ * @returns {Object<string, string|undefined>} New environment; env is not modified
+ */
+function mergeEnv(env, values, options = {}) {
+    const merged = {...env};
+    for (const [name, value] of values) {
+        if (options.override !== false || merged[name] === undefined) {
+            merged[name] = value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Start a command with the given environment
+ * @param {string} command - Executable to run (not interpreted by a shell)
+ * @param {string[]} args - Arguments
+ * @param {Object<string, string|undefined>} env - Environment of the command
+ * @returns {{ child: import('child_process').ChildProcess, exited: Promise<{ exitCode: number|null, signal: string|null }> }}
+ *   exited resolves with the exit code, or the signal that ended the command, and rejects when it cannot be started
+ */
+function startCommand(command, args, env) {
+    const child = spawn(command, args, {env, stdio: 'inherit'});
+    const exited = new Promise((resolve, reject) => {
+        child.on('error', err => {
+            reject(new Error(err.code === 'ENOENT' ? `Command "${command}" not found` : `Failed to run "${command}": ${err.message}`));
+        });
+        child.on('exit', (exitCode, signal) => resolve({exitCode, signal}));
+    });
+    return {child, exited};
+}
+
+/**
+ * Stop a started command: SIGTERM first, SIGKILL when it is still running after the grace period
+ * @param {{ child: import('child_process').ChildProcess, exited: Promise<object> }} started - Result of startCommand()
+ * @param {number} [gracePeriod] - Milliseconds to wait before SIGKILL (default 5000)
+ * @returns {Promise<void>} Resolves once the command has exited
+ */
+async function stopCommand(started, gracePeriod = 5000) {
+    const exited = started.exited.catch(() => null);
+    if (started.child.exitCode !== null || started.child.signalCode !== null) {
+        return;
+    }
+    started.child.kill('SIGTERM');
+    const timer = setTimeout(() => started.child.kill('SIGKILL'), gracePeriod);
+    await exited;
+    clearTimeout(timer);
+}
+
+/**
+ * Run a command with the given environment, forwarding signals it receives to the command
+ * @param {string} command - Executable to run (not interpreted by a shell)
+ * @param {string[]} args - Arguments
+ * @param {Object<string, string|undefined>} env - Environment of the command
+ * @returns {Promise<{ exitCode: number|null, signal: string|null }>} Exit code, or the signal that ended the command
+ * @throws {Error} When the command cannot be started
+ */
+async function runCommand(command, args, env) {
+    const {child, exited} = startCommand(command, args, env);
+    const forward = signal => child.kill(signal);
+    FORWARDED_SIGNALS.forEach(signal => process.on(signal, forward));
+    try {
+        return await exited;
+    } finally {
+        FORWARDED_SIGNALS.forEach(signal => process.removeListener(signal, forward));
+    }
+}
+
+module.exports = {
+    mergeEnv,
+    startCommand,
+    stopCommand,
+    runCommand,
+};
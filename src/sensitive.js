@@ -0,0 +1,131 @@
+const {getTemplateReferences} = require('./interpolate');
+
+// Secret stores and encrypted values; variables read from them are sensitive unless they set "sensitive: false"
+const SENSITIVE_SOURCES = ['AwsSecretManager', 'vault', 'encrypted'];
+
+const SENSITIVE_NAME_PATTERN = /SECRET|PASSW(?:OR)?D|PASSPHRASE|TOKEN|CREDENTIAL|PRIVATE|APIKEY|(?:^|_)(?:PASS|PWD|KEY)(?:_|$)/i;
+
+const SENSITIVE_VALUE_PATTERNS = [
+    /^[a-z][a-z0-9+.-]*:\/\/[^\s/:@]*:[^\s/@]+@/i, // URL with a password
+    /-----BEGIN [A-Z ]*PRIVATE KEY-----/,
+    /^eyJ[\w-]+\.eyJ[\w-]+\.[\w-]*$/, // JSON Web Token
+    /^(?:AKIA|ASIA)[0-9A-Z]{16}$/, // AWS access key id
+    /^(?:gh[pousr]_|github_pat_|xox[abprs]-|[sr]k_live_|glpat-)\w/, // GitHub, Slack, Stripe and GitLab tokens
+];
+
+// Random strings shorter than this are too short to tell apart from ordinary values
+const MIN_RANDOM_LENGTH = 20;
+
+/**
+ * Get the Shannon entropy of a string
+ * @param {string} value - Value
+ * @returns {number} Bits per character
+ */
+function getEntropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const share = count / value.length;
+        entropy -= share * Math.log2(share);
+    }
+    return entropy;
+}
+
+/**
+ * Guess whether a value is a random string such as a generated key or token: a long hex or base64 string that mixes
+ * character classes and has high entropy. Words joined by dashes, version strings and dates stay below the thresholds.
+ * @param {string} value - Value
+ * @returns {boolean}
+ */
+function looksRandom(value) {
+    if (value.length < MIN_RANDOM_LENGTH) {
+        return false;
+    }
+    if (/^[0-9a-f]+$/i.test(value)) {
+        return /[0-9]/.test(value) && /[a-f]/i.test(value) && getEntropy(value) >= 3;
+    }
+    if (/^[\w+/=-]+$/.test(value)) {
+        return /[0-9]/.test(value) && /[a-z]/.test(value) && /[A-Z]/.test(value) && getEntropy(value) >= 4.2;
+    }
+    return false;
+}
+
+/**
+ * Check whether a variable holds a sensitive value
+ * @param {object} config - Variable configuration
+ * @param {string} varName - Variable name (for error messages)
+ * @returns {boolean} The "sensitive" field, or true for secret store sources when it is not set
+ * @throws {Error} When "sensitive" is not a boolean
+ */
+function isSensitive(config, varName) {
+    if (config.sensitive === undefined || config.sensitive === null) {
+        return SENSITIVE_SOURCES.includes(config.source);
+    }
+    if (typeof config.sensitive !== 'boolean') {
+        throw new Error(`Variable "${varName}" field "sensitive" must be true or false`);
+    }
+    return config.sensitive;
+}
+
+/**
+ * Guess whether a plain name/value pair is a secret: a secret-like name (password, token, key, ...),
+ * a value carrying credentials (a URL with a password, a private key, a well-known token format)
+ * or a value that looks randomly generated
+ * @param {string} name - Variable name
+ * @param {string} value - Value
+ * @returns {boolean}
+ */
+function looksSensitive(name, value) {
+    if (value === '') {
+        return false;
+    }
+    return SENSITIVE_NAME_PATTERN.test(name) || SENSITIVE_VALUE_PATTERNS.some(pattern => pattern.test(value)) ||
+        looksRandom(value);
+}
+
+/**
+ * Get the names of variables whose value is or contains a secret: sensitive variables and the variables that
+ * interpolate them (through ${VAR} in value or default, however many steps removed)
+ * @param {object} template - Parsed template object
+ * @param {{ strict?: boolean }} [options] - Without strict, "sensitive: false" opts a variable out, also of the
+ *   sensitivity it would take over from the variables it interpolates; with strict, values read from the encrypted
+ *   source are always secrets, as are the variables interpolating them (for values written to files)
+ * @returns {Set<string>}
+ */
+function getSensitiveNames(template, options = {}) {
+    const entries = Object.entries(template)
+        .filter(([varName, config]) => !varName.startsWith('$') && config !== null && typeof config === 'object');
+    const optedOut = config => !options.strict && config.sensitive === false;
+    // Invalid "sensitive" values are reported when resolving; until then they count as sensitive
+    const names = new Set(entries.filter(([, config]) => {
+        if (options.strict && config.source === 'encrypted') {
+            return true;
+        }
+        if (config.sensitive === undefined || config.sensitive === null) {
+            return SENSITIVE_SOURCES.includes(config.source);
+        }
+        return config.sensitive !== false;
+    }).map(([varName]) => varName));
+
+    let added = true;
+    while (added) {
+        added = false;
+        for (const [varName, config] of entries) {
+            if (!names.has(varName) && !optedOut(config) && getTemplateReferences(config).some(name => names.has(name))) {
+                names.add(varName);
+                added = true;
+            }
+        }
+    }
+    return names;
+}
+
+module.exports = {
+    SENSITIVE_SOURCES,
+    isSensitive,
+    looksSensitive,
+    getSensitiveNames,
+};
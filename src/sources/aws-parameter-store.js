@@ -0,0 +1,155 @@
+const {SSMClient, GetParameterCommand, GetParametersByPathCommand} = require('@aws-sdk/client-ssm');
+const {getCached} = require('../concurrency');
+const {getClientKey, getAwsClient} = require('./aws');
+
+// Cache for AWS SSM Parameter Store parameters and path listings to avoid repeated API calls, used when the
+// context has no cache
+const parametersCache = new Map();
+
+// SSM clients per region/profile/endpoint, all using the AWS SDK default credential chain
+const ssmClients = new Map();
+
+/**
+ * Get an SSM client for the variable's region, profile and endpoint (with caching)
+ * @param {{ region?: string, profile?: string, endpoint?: string }} config - Variable configuration
+ * @param {{ clients?: { ssm?: object } }} context - Source context; an injected client is used as is
+ * @returns {SSMClient}
+ */
+function getSsmClient(config, context) {
+    if (context.clients && context.clients.ssm) {
+        return context.clients.ssm;
+    }
+    return getAwsClient(ssmClients, SSMClient, config);
+}
+
+/**
+ * Get a parameter from AWS SSM Parameter Store (with caching)
+ * @param {string} name - Parameter name or ARN
+ * @param {{ region?: string, profile?: string, endpoint?: string, decrypt?: boolean }} config - Variable configuration
+ * @param {{ clients?: { ssm?: object }, cache?: Map<string, *>, signal?: AbortSignal }} context - Source context; a
+ *   context cache replaces the module cache, and the signal cancels the request
+ * @returns {Promise<string>} Parameter value (SecureString values are decrypted unless decrypt is false)
+ */
+function getAwsParameter(name, config, context) {
+    const cache = context.cache || parametersCache;
+    const withDecryption = config.decrypt !== false;
+    const cacheKey = `AwsParameterStore|${getClientKey(config)}|${name}|${withDecryption}`;
+    return getCached(cache, cacheKey, async () => {
+        const command = new GetParameterCommand({Name: name, WithDecryption: withDecryption});
+        const response = await getSsmClient(config, context).send(command, {abortSignal: context.signal});
+
+        const parameterValue = response.Parameter && response.Parameter.Value;
+        if (parameterValue === undefined || parameterValue === null) {
+            throw new Error(`Parameter "${name}" has no value`);
+        }
+        return parameterValue;
+    });
+}
+
+/**
+ * Get all parameters below a path from AWS SSM Parameter Store (with caching)
+ * @param {string} parameterPath - Path prefix (e.g. "/myapp/prod/")
+ * @param {{ region?: string, endpoint?: string, decrypt?: boolean, recursive?: boolean }} config - Variable configuration
+ * @param {{ clients?: { ssm?: object }, cache?: Map<string, *>, signal?: AbortSignal }} context - Source context, as
+ *   for getAwsParameter
+ * @returns {Promise<Array<{ name: string, value: string }>>} Parameters sorted by name
+ */
+function getAwsParametersByPath(parameterPath, config, context) {
+    const cache = context.cache || parametersCache;
+    const withDecryption = config.decrypt !== false;
+    const recursive = config.recursive !== false;
+    const cacheKey = `AwsParameterStore|${getClientKey(config)}|${parameterPath}/*|${withDecryption}|${recursive}`;
+    return getCached(cache, cacheKey, async () => {
+        const client = getSsmClient(config, context);
+        const parameters = [];
+        let nextToken;
+
+        do {
+            const command = new GetParametersByPathCommand({
+                Path: parameterPath,
+                Recursive: recursive,
+                WithDecryption: withDecryption,
+                NextToken: nextToken,
+            });
+            const response = await client.send(command, {abortSignal: context.signal});
+            for (const parameter of response.Parameters || []) {
+                parameters.push({name: parameter.Name, value: parameter.Value});
+            }
+            nextToken = response.NextToken;
+        } while (nextToken);
+
+        parameters.sort((a, b) => a.name.localeCompare(b.name));
+        return parameters;
+    });
+}
+
+/**
+ * Map a parameter name below a path prefix to an environment variable name.
+ * Explicit entries in config.map win; otherwise the relative name is upper-cased,
+ * non-alphanumeric characters become "_" and config.prefix is prepended.
+ * @param {string} parameterName - Full parameter name (e.g. "/myapp/prod/db/host")
+ * @param {string} parameterPath - Path prefix the parameter was listed under
+ * @param {{ prefix?: string, map?: Object<string, string> }} config - Variable configuration
+ * @returns {string} Environment variable name (e.g. "DB_HOST")
+ */
+function mapParameterName(parameterName, parameterPath, config) {
+    const base = parameterPath.endsWith('/') ? parameterPath : `${parameterPath}/`;
+    const relative = parameterName.startsWith(base) ? parameterName.slice(base.length) : parameterName.replace(/^\/+/, '');
+    const map = config.map || {};
+
+    if (Object.prototype.hasOwnProperty.call(map, relative)) {
+        return String(map[relative]);
+    }
+    if (Object.prototype.hasOwnProperty.call(map, parameterName)) {
+        return String(map[parameterName]);
+    }
+
+    const mapped = relative.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').toUpperCase();
+    return `${config.prefix || ''}${mapped}`;
+}
+
+/**
+ * AwsParameterStore source: read a single parameter, or expand a path prefix with bulk: true
+ */
+module.exports = {
+    validate(config, varName) {
+        if (!config.value) {
+            if (config.bulk === true) {
+                throw new Error(`Variable "${varName}" with source AwsParameterStore and bulk: true requires a path prefix value (e.g. "/myapp/prod/")`);
+            }
+            throw new Error(`Variable "${varName}" with source AwsParameterStore requires a parameter name value`);
+        }
+    },
+
+    async resolve(config, varName, context = {}) {
+        if (config.bulk === true) {
+            throw new Error(`Variable "${varName}" uses bulk mode and expands into multiple variables`);
+        }
+
+        try {
+            return await getAwsParameter(String(config.value), config, context);
+        } catch (err) {
+            throw new Error(`Failed to retrieve parameter "${config.value}" for variable "${varName}": ${err.message}`, {cause: err});
+        }
+    },
+
+    async expand(config, varName, context = {}) {
+        const parameterPath = String(config.value);
+        let parameters;
+        try {
+            parameters = await getAwsParametersByPath(parameterPath, config, context);
+        } catch (err) {
+            throw new Error(`Failed to retrieve parameters under "${parameterPath}" for variable "${varName}": ${err.message}`, {cause: err});
+        }
+
+        const result = {};
+        for (const parameter of parameters) {
+            const name = mapParameterName(parameter.name, parameterPath, config);
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+                throw new Error(`Parameter "${parameter.name}" maps to invalid variable name "${name}" in variable "${varName}"`);
+            }
+            result[name] = parameter.value;
+        }
+        return result;
+    },
+};
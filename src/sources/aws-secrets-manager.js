@@ -0,0 +1,230 @@
+const {SecretsManagerClient, GetSecretValueCommand, BatchGetSecretValueCommand} = require('@aws-sdk/client-secrets-manager');
+const {getCached} = require('../concurrency');
+const {getClientKey, getAwsClient} = require('./aws');
+
+// A secret ARN has seven colon-separated parts: arn:aws:secretsmanager:<region>:<account>:secret:<name>
+const ARN_PARTS = 7;
+
+// BatchGetSecretValue accepts at most 20 secret ids per request
+const BATCH_SIZE = 20;
+
+// Cache for AWS Secrets Manager secrets to avoid repeated API calls, used when the context has no cache
+const secretsCache = new Map();
+
+// Secrets Manager clients per region/profile/endpoint, all using the AWS SDK default credential chain
+const secretsManagerClients = new Map();
+
+/**
+ * Get a Secrets Manager client for the variable's region, profile and endpoint (with caching)
+ * @param {{ region?: string, profile?: string, endpoint?: string }} config - Variable configuration
+ * @param {{ clients?: { secretsManager?: object } }} context - Source context; an injected client is used as is
+ * @returns {SecretsManagerClient}
+ */
+function getSecretsManagerClient(config, context) {
+    if (context.clients && context.clients.secretsManager) {
+        return context.clients.secretsManager;
+    }
+    return getAwsClient(secretsManagerClients, SecretsManagerClient, config);
+}
+
+/**
+ * Get the cache key of a secret version
+ * @param {string} secretId - Secret ID/name
+ * @param {{ versionStage?: string, versionId?: string }} config - Variable configuration
+ * @returns {string}
+ */
+function getCacheKey(secretId, config) {
+    return `AwsSecretManager|${getClientKey(config)}|${secretId}|${config.versionStage || ''}|${config.versionId || ''}`;
+}
+
+/**
+ * Take the value out of a GetSecretValue or BatchGetSecretValue response entry
+ * @param {{ SecretString?: string, SecretBinary?: Uint8Array }} response - Response entry
+ * @param {string} secretId - Secret ID/name (for error messages)
+ * @returns {{ string?: string, binary?: Uint8Array }} The secret's string or binary value
+ */
+function toSecret(response, secretId) {
+    if (response.SecretString !== undefined && response.SecretString !== null) {
+        return {string: response.SecretString};
+    }
+    if (response.SecretBinary) {
+        return {binary: response.SecretBinary};
+    }
+    throw new Error(`Secret "${secretId}" has no value`);
+}
+
+/**
+ * Get secret from AWS Secrets Manager (with caching)
+ * @param {string} secretId - Secret ID/name
+ * @param {{ region?: string, profile?: string, endpoint?: string, versionStage?: string, versionId?: string }} config -
+ *   Variable configuration
+ * @param {{ clients?: { secretsManager?: object }, cache?: Map<string, *>, signal?: AbortSignal }} context - Source
+ *   context: an injected client replaces the default ones, a context cache replaces the module cache, and the signal
+ *   cancels the request
+ * @returns {Promise<{ string?: string, binary?: Uint8Array }>} The secret's string or binary value
+ */
+function getAwsSecret(secretId, config, context) {
+    const cache = context.cache || secretsCache;
+    return getCached(cache, getCacheKey(secretId, config), async () => {
+        const input = {SecretId: secretId};
+        if (config.versionStage) {
+            input.VersionStage = String(config.versionStage);
+        }
+        if (config.versionId) {
+            input.VersionId = String(config.versionId);
+        }
+        const client = getSecretsManagerClient(config, context);
+        const response = await client.send(new GetSecretValueCommand(input), {abortSignal: context.signal});
+        return toSecret(response, secretId);
+    });
+}
+
+/**
+ * Fetch the current versions of many secrets with BatchGetSecretValue and cache them.
+ * Secrets the batch could not return are left out of the cache, so they are fetched (and their errors reported) one by one.
+ * @param {string[]} secretIds - Secret IDs/names
+ * @param {object} config - Configuration of one of the variables (for the client)
+ * @param {{ clients?: { secretsManager?: object }, cache?: Map<string, *>, signal?: AbortSignal }} context - Source
+ *   context, as for getAwsSecret
+ * @returns {Promise<void>}
+ */
+async function batchGetAwsSecrets(secretIds, config, context) {
+    const cache = context.cache || secretsCache;
+    const client = getSecretsManagerClient(config, context);
+
+    for (let start = 0; start < secretIds.length; start += BATCH_SIZE) {
+        const batch = secretIds.slice(start, start + BATCH_SIZE);
+        let nextToken;
+        do {
+            const command = new BatchGetSecretValueCommand({SecretIdList: batch, NextToken: nextToken});
+            const response = await client.send(command, {abortSignal: context.signal});
+            for (const entry of response.SecretValues || []) {
+                // Secrets are referenced by name or ARN; the response carries both
+                const secretId = batch.find(id => id === entry.Name || id === entry.ARN);
+                if (secretId === undefined) {
+                    continue;
+                }
+                try {
+                    cache.set(getCacheKey(secretId, config), toSecret(entry, secretId));
+                } catch {
+                    // Left to the individual lookup, which reports the error
+                }
+            }
+            nextToken = response.NextToken;
+        } while (nextToken);
+    }
+}
+
+/**
+ * Split a "SecretId" or "SecretId:Key" reference into its parts (SecretId may be an ARN)
+ * @param {string} value - Reference from the template value
+ * @returns {{ secretId: string, secretKey: string|undefined }} secretKey is undefined for the whole secret value
+ */
+function parseSecretReference(value) {
+    if (value.startsWith('arn:')) {
+        const parts = value.split(':');
+        return {
+            secretId: parts.slice(0, ARN_PARTS).join(':'),
+            secretKey: parts.length > ARN_PARTS ? parts.slice(ARN_PARTS).join(':') : undefined,
+        };
+    }
+
+    const colonIndex = value.lastIndexOf(':');
+    if (colonIndex === -1) {
+        return {secretId: value, secretKey: undefined};
+    }
+    return {
+        secretId: value.slice(0, colonIndex),
+        secretKey: value.slice(colonIndex + 1),
+    };
+}
+
+/**
+ * Read a variable's value from a secret
+ * @param {{ string?: string, binary?: Uint8Array }} secret - Secret value
+ * @param {string} secretId - Secret ID/name (for error messages)
+ * @param {string|undefined} secretKey - JSON key to read, or undefined for the whole value
+ * @param {string} varName - Variable name (for error messages)
+ * @returns {string|null} The value (binary secrets base64-encoded), or null when the key is missing
+ */
+function readSecretValue(secret, secretId, secretKey, varName) {
+    if (secretKey === undefined) {
+        return secret.binary ? Buffer.from(secret.binary).toString('base64') : secret.string;
+    }
+
+    let parsed;
+    try {
+        parsed = secret.string === undefined ? undefined : JSON.parse(secret.string);
+    } catch {
+        parsed = undefined;
+    }
+    if (!parsed || typeof parsed !== 'object') {
+        const kind = secret.binary ? 'binary' : 'not a JSON object';
+        throw new Error(`Secret "${secretId}" for variable "${varName}" is ${kind}; use "${secretId}" without ":${secretKey}" to read the whole value`);
+    }
+
+    const secretValue = parsed[secretKey];
+    if (secretValue !== undefined && secretValue !== null) {
+        return String(secretValue);
+    }
+    return null;
+}
+
+/**
+ * AwsSecretManager source: read a secret's whole value (value format "SecretId") or a key of a JSON secret
+ * (value format "SecretId:Key")
+ */
+module.exports = {
+    validate(config, varName) {
+        const value = config.value;
+        if (!value) {
+            throw new Error(`Variable "${varName}" with source AwsSecretManager requires a value in format "SecretId" or "SecretId:Key"`);
+        }
+        const {secretId, secretKey} = parseSecretReference(String(value));
+        if (!secretId || secretKey === '') {
+            throw new Error(`Variable "${varName}" value "${value}" must be in format "SecretId" or "SecretId:Key"`);
+        }
+    },
+
+    async resolve(config, varName, context = {}) {
+        const {secretId, secretKey} = parseSecretReference(String(config.value));
+
+        let secret;
+        try {
+            secret = await getAwsSecret(secretId, config, context);
+        } catch (err) {
+            throw new Error(`Failed to retrieve secret "${secretId}" for variable "${varName}": ${err.message}`, {cause: err});
+        }
+        return readSecretValue(secret, secretId, secretKey, varName);
+    },
+
+    /**
+     * Fetch the secrets of many variables in batches before they are resolved one by one. Only current versions can be
+     * batched, so variables with a versionStage or versionId are left to resolve(); failures are ignored here.
+     */
+    async prefetch(configs, context = {}) {
+        const groups = new Map(); // client key -> { config, secretIds }
+        const cache = context.cache || secretsCache;
+        for (const config of configs) {
+            if (!config.value || config.versionStage || config.versionId) {
+                continue;
+            }
+            const {secretId} = parseSecretReference(String(config.value));
+            if (!secretId || cache.has(getCacheKey(secretId, config))) {
+                continue;
+            }
+            const clientKey = getClientKey(config);
+            if (!groups.has(clientKey)) {
+                groups.set(clientKey, {config, secretIds: new Set()});
+            }
+            groups.get(clientKey).secretIds.add(secretId);
+        }
+
+        for (const {config, secretIds} of groups.values()) {
+            // A single secret is cheaper to fetch with GetSecretValue
+            if (secretIds.size > 1) {
+                await batchGetAwsSecrets(Array.from(secretIds), config, context).catch(() => {});
+            }
+        }
+    },
+};
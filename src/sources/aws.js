@@ -0,0 +1,36 @@
+/**
+ * Get the key identifying the AWS client a variable's values are fetched with; variables with the same region,
+ * profile and endpoint share a client
+ * @param {{ region?: string, profile?: string, endpoint?: string }} config - Variable configuration
+ * @returns {string}
+ */
+function getClientKey(config) {
+    return `${config.region || ''}|${config.profile || ''}|${config.endpoint || ''}`;
+}
+
+/**
+ * Get the AWS client for a variable's region, profile and endpoint, creating it on first use; the other settings,
+ * credentials included, come from the AWS SDK default chain
+ * @param {Map<string, object>} clients - Clients created so far, by getClientKey()
+ * @param {Function} Client - SDK client class, e.g. SSMClient
+ * @param {{ region?: string, profile?: string, endpoint?: string }} config - Variable configuration
+ * @returns {object} Client instance
+ */
+function getAwsClient(clients, Client, config) {
+    const clientKey = getClientKey(config);
+    if (!clients.has(clientKey)) {
+        const clientConfig = {};
+        for (const option of ['region', 'profile', 'endpoint']) {
+            if (config[option]) {
+                clientConfig[option] = String(config[option]);
+            }
+        }
+        clients.set(clientKey, new Client(clientConfig));
+    }
+    return clients.get(clientKey);
+}
+
+module.exports = {
+    getClientKey,
+    getAwsClient,
+};
@@ -0,0 +1,26 @@
+const {isEncryptedValue, decryptValue, getKeyFile, loadKey} = require('../encryption');
+
+/**
+ * encrypted source: decrypt a value encrypted with `makeenv --encrypt` (AES-256-GCM).
+ * The key comes from keyFile, the environment variable named by keyEnv, MAKEENV_KEY_FILE or MAKEENV_KEY.
+ */
+module.exports = {
+    validate(config, varName) {
+        if (!isEncryptedValue(config.value)) {
+            throw new Error(`Variable "${varName}" with source encrypted requires a value created with --encrypt ("enc:v1:...")`);
+        }
+    },
+
+    resolve(config, varName, context) {
+        try {
+            return decryptValue(config.value, loadKey(config, context));
+        } catch (err) {
+            throw new Error(`Failed to decrypt variable "${varName}": ${err.message}`);
+        }
+    },
+
+    files(config, varName, context) {
+        const keyFile = getKeyFile(config, context);
+        return keyFile ? [keyFile] : [];
+    },
+};
@@ -0,0 +1,13 @@
+/**
+ * env source: read from the environment variable named in value (defaults to the variable name)
+ */
+module.exports = {
+    resolve(config, varName, context) {
+        const envVarName = config.value || varName;
+        const envValue = context.env[envVarName];
+        if (envValue !== undefined && envValue !== null) {
+            return envValue;
+        }
+        return null;
+    },
+};
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const {readTemplateFile, parseEnvFile, isDotenvPath} = require('../parsers');
+
+/**
+ * File extensions that support "path:key" lookups for the file source
+ */
+const STRUCTURED_FILE_EXTENSIONS = ['.json', '.yaml', '.yml', '.toml', '.tml', '.env'];
+
+/**
+ * Split a file reference into the file path and the key to read
+ * @param {string} reference - File path, or "path:key" for JSON/YAML/TOML/.env files
+ * @returns {{ filePath: string, key: string|null }} key is null when the whole file is read
+ */
+function parseFileReference(reference) {
+    const colonIndex = reference.lastIndexOf(':');
+    if (colonIndex !== -1) {
+        const candidate = reference.slice(0, colonIndex);
+        const ext = path.extname(candidate).toLowerCase();
+        if (STRUCTURED_FILE_EXTENSIONS.includes(ext) || isDotenvPath(candidate)) {
+            return {filePath: candidate, key: reference.slice(colonIndex + 1)};
+        }
+    }
+    return {filePath: reference, key: null};
+}
+
+/**
+ * Read a value from a local file, either whole or a single key of a structured file
+ * @param {string} reference - File path, or "path:key" for JSON/YAML/TOML/.env files
+ * @param {object} config - Variable configuration (trim, encoding, dialect)
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @returns {string|null} File content, key value, or null if the key is missing
+ */
+function readFileValue(reference, config, baseDir) {
+    const {filePath, key} = parseFileReference(reference);
+    const fullPath = path.resolve(baseDir, filePath);
+    let result;
+
+    if (key === null) {
+        const buffer = fs.readFileSync(fullPath);
+        result = config.encoding === 'base64' ? buffer.toString('base64') : buffer.toString('utf8');
+    } else {
+        const data = isDotenvPath(fullPath) ? parseEnvFile(fullPath, {dialect: config.dialect}) : readTemplateFile(fullPath);
+        const found = lookupKey(data, key);
+        if (found === undefined || found === null) {
+            return null;
+        }
+        result = typeof found === 'object' ? JSON.stringify(found) : String(found);
+        if (config.encoding === 'base64') {
+            result = Buffer.from(result, 'utf8').toString('base64');
+        }
+    }
+
+    return config.trim === true ? result.trim() : result;
+}
+
+/**
+ * Look up a key in parsed data, falling back to a dotted path for nested objects
+ * @param {object} data - Parsed file content
+ * @param {string} key - Key or dotted path (e.g. "database.host")
+ * @returns {*} Found value or undefined
+ */
+function lookupKey(data, key) {
+    if (data === null || typeof data !== 'object') {
+        return undefined;
+    }
+    if (Object.prototype.hasOwnProperty.call(data, key)) {
+        return data[key];
+    }
+
+    let current = data;
+    for (const part of key.split('.')) {
+        if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, part)) {
+            return undefined;
+        }
+        current = current[part];
+    }
+    return current;
+}
+
+/**
+ * file source: read a whole file, or one key of a JSON/YAML/TOML/.env file ("path:key")
+ */
+module.exports = {
+    validate(config, varName) {
+        if (!config.value) {
+            throw new Error(`Variable "${varName}" with source file requires a value in format "path" or "path:key"`);
+        }
+    },
+
+    resolve(config, varName, context) {
+        try {
+            return readFileValue(String(config.value), config, context.baseDir);
+        } catch (err) {
+            throw new Error(`Failed to read file "${config.value}" for variable "${varName}": ${err.message}`);
+        }
+    },
+
+    files(config, varName, context) {
+        return config.value ? [path.resolve(context.baseDir, parseFileReference(String(config.value)).filePath)] : [];
+    },
+};
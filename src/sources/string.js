@@ -0,0 +1,11 @@
+/**
+ * string source: use the value field directly as the variable value
+ */
+module.exports = {
+    resolve(config) {
+        if (config.value !== undefined && config.value !== null) {
+            return String(config.value);
+        }
+        return null;
+    },
+};
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const {getCached} = require('../concurrency');
+
+/**
+ * Defaults used when the corresponding VAULT_* environment variables are not set
+ */
+const VAULT_DEFAULTS = {
+    ADDR: 'http://127.0.0.1:8200',
+    KV_VERSION: 2,
+    APPROLE_MOUNT: 'approle',
+    K8S_MOUNT: 'kubernetes',
+    K8S_TOKEN_PATH: '/var/run/secrets/kubernetes.io/serviceaccount/token',
+};
+
+// Cache for Vault secrets (per address, namespace and path) to avoid repeated API calls, used when the context
+// has no cache
+const vaultSecretsCache = new Map();
+
+// Cache for Vault tokens obtained through AppRole or Kubernetes login
+const vaultTokenCache = new Map();
+
+/**
+ * Get Vault connection settings from the environment
+ * @param {Object<string, string|undefined>} env - Environment to read VAULT_* variables from
+ * @returns {{ addr: string, namespace: string|undefined }}
+ */
+function getVaultSettings(env) {
+    return {
+        addr: (env.VAULT_ADDR || VAULT_DEFAULTS.ADDR).replace(/\/+$/, ''),
+        namespace: env.VAULT_NAMESPACE || undefined,
+    };
+}
+
+/**
+ * Send a request to the Vault HTTP API
+ * @param {string} method - HTTP method
+ * @param {string} apiPath - Path below /v1/
+ * @param {Object<string, string|undefined>} env - Environment to read VAULT_* variables from
+ * @param {{ token?: string, body?: object, signal?: AbortSignal }} [options] - Request options
+ * @returns {Promise<object>} Parsed JSON response
+ * @throws {Error} With the HTTP status as statusCode when Vault responds with an error
+ */
+async function vaultRequest(method, apiPath, env, options = {}) {
+    const {addr, namespace} = getVaultSettings(env);
+    const headers = {};
+    if (options.token) {
+        headers['X-Vault-Token'] = options.token;
+    }
+    if (namespace) {
+        headers['X-Vault-Namespace'] = namespace;
+    }
+    if (options.body) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(`${addr}/v1/${apiPath}`, {
+        method,
+        headers,
+        body: options.body ? JSON.stringify(options.body) : undefined,
+        signal: options.signal,
+    });
+
+    const text = await response.text();
+    let payload = {};
+    if (text) {
+        try {
+            payload = JSON.parse(text);
+        } catch {
+            payload = {errors: [text.trim()]};
+        }
+    }
+
+    if (!response.ok) {
+        const details = Array.isArray(payload.errors) && payload.errors.length > 0
+            ? payload.errors.join('; ')
+            : response.statusText;
+        const err = new Error(`Vault responded with ${response.status} for "${apiPath}": ${details}`);
+        err.statusCode = response.status;
+        throw err;
+    }
+
+    return payload;
+}
+
+/**
+ * Log in to Vault and return the client token
+ * @param {string} mount - Auth method mount path
+ * @param {object} body - Login payload
+ * @param {Object<string, string|undefined>} env - Environment to read VAULT_* variables from
+ * @returns {Promise<string>} Client token
+ */
+async function vaultLogin(mount, body, env) {
+    const response = await vaultRequest('POST', `auth/${mount}/login`, env, {body});
+    if (!response.auth || !response.auth.client_token) {
+        throw new Error(`Vault login via "auth/${mount}" returned no client token`);
+    }
+    return response.auth.client_token;
+}
+
+/**
+ * Get a Vault token from VAULT_TOKEN, AppRole or Kubernetes auth (with caching)
+ * @param {Object<string, string|undefined>} env - Environment to read VAULT_* variables from
+ * @returns {Promise<string>} Vault token
+ */
+async function getVaultToken(env) {
+    if (env.VAULT_TOKEN) {
+        return env.VAULT_TOKEN;
+    }
+
+    const {addr, namespace} = getVaultSettings(env);
+
+    if (env.VAULT_ROLE_ID && env.VAULT_SECRET_ID) {
+        const mount = env.VAULT_APPROLE_MOUNT || VAULT_DEFAULTS.APPROLE_MOUNT;
+        const cacheKey = `${addr}|${namespace || ''}|approle|${mount}|${env.VAULT_ROLE_ID}`;
+        if (!vaultTokenCache.has(cacheKey)) {
+            vaultTokenCache.set(cacheKey, vaultLogin(mount, {
+                role_id: env.VAULT_ROLE_ID,
+                secret_id: env.VAULT_SECRET_ID,
+            }, env));
+        }
+        return cachedToken(cacheKey);
+    }
+
+    if (env.VAULT_K8S_ROLE) {
+        const mount = env.VAULT_K8S_MOUNT || VAULT_DEFAULTS.K8S_MOUNT;
+        const tokenPath = env.VAULT_K8S_TOKEN_PATH || VAULT_DEFAULTS.K8S_TOKEN_PATH;
+        const cacheKey = `${addr}|${namespace || ''}|kubernetes|${mount}|${env.VAULT_K8S_ROLE}`;
+        if (!vaultTokenCache.has(cacheKey)) {
+            const jwt = fs.readFileSync(tokenPath, 'utf8').trim();
+            vaultTokenCache.set(cacheKey, vaultLogin(mount, {
+                role: env.VAULT_K8S_ROLE,
+                jwt,
+            }, env));
+        }
+        return cachedToken(cacheKey);
+    }
+
+    throw new Error('No Vault credentials found. Set VAULT_TOKEN, VAULT_ROLE_ID and VAULT_SECRET_ID, or VAULT_K8S_ROLE');
+}
+
+/**
+ * Await a cached login, dropping it from the cache if the login failed
+ * @param {string} cacheKey - Token cache key
+ * @returns {Promise<string>} Vault token
+ */
+async function cachedToken(cacheKey) {
+    try {
+        return await vaultTokenCache.get(cacheKey);
+    } catch (err) {
+        vaultTokenCache.delete(cacheKey);
+        throw err;
+    }
+}
+
+/**
+ * Split a "mount/path:key" reference into its parts
+ * @param {string} reference - Reference from the template value
+ * @param {string} varName - Variable name (for error messages)
+ * @param {{ mount?: string }} [config] - Variable configuration (mount overrides the first path segment)
+ * @returns {{ mount: string, secretPath: string, key: string }}
+ */
+function parseVaultReference(reference, varName, config = {}) {
+    const colonIndex = reference.lastIndexOf(':');
+    if (colonIndex === -1) {
+        throw new Error(`Variable "${varName}" value "${reference}" must be in format "mount/path:key"`);
+    }
+
+    const fullPath = reference.slice(0, colonIndex).replace(/^\/+|\/+$/g, '');
+    const key = reference.slice(colonIndex + 1);
+
+    let mount;
+    let secretPath;
+    if (config.mount) {
+        mount = String(config.mount).replace(/^\/+|\/+$/g, '');
+        secretPath = fullPath.startsWith(`${mount}/`) ? fullPath.slice(mount.length + 1) : fullPath;
+    } else {
+        const slashIndex = fullPath.indexOf('/');
+        mount = slashIndex === -1 ? '' : fullPath.slice(0, slashIndex);
+        secretPath = slashIndex === -1 ? '' : fullPath.slice(slashIndex + 1);
+    }
+
+    if (!mount || !secretPath || !key) {
+        throw new Error(`Variable "${varName}" value "${reference}" must be in format "mount/path:key"`);
+    }
+
+    return {mount, secretPath, key};
+}
+
+/**
+ * Get a secret from a Vault KV engine (with caching)
+ * @param {string} mount - KV engine mount path
+ * @param {string} secretPath - Secret path within the mount
+ * @param {{ kvVersion?: number|string, version?: number|string }} config - Variable configuration
+ * @param {{ env?: Object<string, string|undefined>, cache?: Map<string, *>, signal?: AbortSignal }} context - Source
+ *   context: VAULT_* variables are read from its env, a context cache replaces the module cache, and the signal
+ *   cancels the request
+ * @returns {Promise<object>} Secret key/value data
+ */
+async function getVaultSecret(mount, secretPath, config, context) {
+    const env = context.env || process.env;
+    const cache = context.cache || vaultSecretsCache;
+    const kvVersion = Number(config.kvVersion || env.VAULT_KV_VERSION || VAULT_DEFAULTS.KV_VERSION);
+    if (kvVersion !== 1 && kvVersion !== 2) {
+        throw new Error(`Unsupported Vault KV version "${kvVersion}". Supported: 1, 2`);
+    }
+
+    const {addr, namespace} = getVaultSettings(env);
+    const version = config.version !== undefined ? String(config.version) : '';
+    const cacheKey = `vault|${addr}|${namespace || ''}|kv${kvVersion}|${mount}/${secretPath}|${version}`;
+    return getCached(cache, cacheKey, async () => {
+        const token = await getVaultToken(env);
+        const encodedPath = secretPath.split('/').map(encodeURIComponent).join('/');
+        const signal = context.signal;
+        let data;
+
+        if (kvVersion === 2) {
+            const query = version ? `?version=${encodeURIComponent(version)}` : '';
+            const response = await vaultRequest('GET', `${mount}/data/${encodedPath}${query}`, env, {token, signal});
+            data = response.data && response.data.data;
+        } else {
+            const response = await vaultRequest('GET', `${mount}/${encodedPath}`, env, {token, signal});
+            data = response.data;
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new Error(`Vault secret "${mount}/${secretPath}" has no data`);
+        }
+        return data;
+    });
+}
+
+/**
+ * vault source: read a key of a HashiCorp Vault KV v1/v2 secret (value format "mount/path:key")
+ */
+module.exports = {
+    validate(config, varName) {
+        if (!config.value) {
+            throw new Error(`Variable "${varName}" with source vault requires a value in format "mount/path:key"`);
+        }
+        parseVaultReference(String(config.value), varName, config);
+    },
+
+    async resolve(config, varName, context = {}) {
+        const {mount, secretPath, key} = parseVaultReference(String(config.value), varName, config);
+
+        let secret;
+        try {
+            secret = await getVaultSecret(mount, secretPath, config, context);
+        } catch (err) {
+            throw new Error(`Failed to retrieve Vault secret "${mount}/${secretPath}" for variable "${varName}": ${err.message}`, {cause: err});
+        }
+
+        const secretValue = secret[key];
+        if (secretValue !== undefined && secretValue !== null) {
+            return typeof secretValue === 'object' ? JSON.stringify(secretValue) : String(secretValue);
+        }
+        return null;
+    },
+};
@@ -0,0 +1,190 @@
+/**
+ * Available transforms. Transforms without an argument are written as a plain
+ * string ("trim"); transforms with an argument as a single-key object ({prefix: "x"}).
+ */
+const TRANSFORMS = {
+    base64encode: {
+        argument: false,
+        apply: value => Buffer.from(value, 'utf8').toString('base64'),
+    },
+    base64decode: {
+        argument: false,
+        apply: value => {
+            const normalized = value.trim().replace(/-/g, '+').replace(/_/g, '/');
+            if (!/^[A-Za-z0-9+/]*={0,2}$/.test(normalized)) {
+                throw new Error('value is not valid base64');
+            }
+            return Buffer.from(normalized, 'base64').toString('utf8');
+        },
+    },
+    trim: {
+        argument: false,
+        apply: value => value.trim(),
+    },
+    upper: {
+        argument: false,
+        apply: value => value.toUpperCase(),
+    },
+    lower: {
+        argument: false,
+        apply: value => value.toLowerCase(),
+    },
+    urlencode: {
+        argument: false,
+        apply: value => encodeURIComponent(value),
+    },
+    urldecode: {
+        argument: false,
+        apply: value => decodeURIComponent(value),
+    },
+    jsonpath: {
+        argument: 'string',
+        compile: expression => {
+            const segments = parseJsonPath(expression);
+            return value => extractJsonPath(value, segments, expression);
+        },
+    },
+    prefix: {
+        argument: 'string',
+        compile: prefix => value => `${prefix}${value}`,
+    },
+    suffix: {
+        argument: 'string',
+        compile: suffix => value => `${value}${suffix}`,
+    },
+    replace: {
+        argument: 'object',
+        compile: options => {
+            if (typeof options.pattern !== 'string') {
+                throw new Error('a string "pattern" is required');
+            }
+            const replacement = options.with === undefined ? '' : String(options.with);
+            const regex = new RegExp(options.pattern, options.flags === undefined ? 'g' : String(options.flags));
+            return value => value.replace(regex, replacement);
+        },
+    },
+};
+
+/**
+ * Parse a JSONPath expression ($.a.b[0]['c']) into property and index segments
+ * @param {string} expression - JSONPath expression; the leading "$" is optional
+ * @returns {Array<string|number>} Path segments
+ */
+function parseJsonPath(expression) {
+    const segments = [];
+    let rest = expression.trim();
+    if (rest.startsWith('$')) {
+        rest = rest.slice(1);
+    } else if (rest && !rest.startsWith('.') && !rest.startsWith('[')) {
+        rest = `.${rest}`;
+    }
+
+    const segmentPattern = /^(?:\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\['((?:[^'\\]|\\.)*)'\]|\["((?:[^"\\]|\\.)*)"\])/;
+    while (rest) {
+        const match = rest.match(segmentPattern);
+        if (!match) {
+            throw new Error(`invalid JSONPath "${expression}"`);
+        }
+        if (match[1] !== undefined) {
+            segments.push(match[1]);
+        } else if (match[2] !== undefined) {
+            segments.push(Number(match[2]));
+        } else {
+            segments.push((match[3] !== undefined ? match[3] : match[4]).replace(/\\(.)/g, '$1'));
+        }
+        rest = rest.slice(match[0].length);
+    }
+    return segments;
+}
+
+/**
+ * Extract a field from a JSON string
+ * @param {string} value - JSON text
+ * @param {Array<string|number>} segments - Parsed JSONPath segments
+ * @param {string} expression - Original expression (for error messages)
+ * @returns {string} Extracted value; objects and arrays are returned as JSON
+ */
+function extractJsonPath(value, segments, expression) {
+    let current;
+    try {
+        current = JSON.parse(value);
+    } catch {
+        // The parser's message quotes part of the value, which may be a secret
+        throw new Error('value is not valid JSON');
+    }
+
+    for (const segment of segments) {
+        if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) {
+            throw new Error(`JSONPath "${expression}" did not match`);
+        }
+        current = current[segment];
+    }
+
+    if (current === null || current === undefined) {
+        throw new Error(`JSONPath "${expression}" matched null`);
+    }
+    return typeof current === 'object' ? JSON.stringify(current) : String(current);
+}
+
+/**
+ * Compile a variable's transform list into a single function
+ * @param {Array<string|object>|string|undefined} spec - The "transform" field of a variable
+ * @param {string} varName - Variable name (for error messages)
+ * @returns {(value: string) => string} Function applying all transforms in order
+ * @throws {Error} When a transform is unknown or has an invalid argument
+ */
+function compileTransforms(spec, varName) {
+    if (spec === undefined || spec === null) {
+        return value => value;
+    }
+
+    const steps = (Array.isArray(spec) ? spec : [spec]).map((item, index) => {
+        let name;
+        let argument;
+        if (typeof item === 'string') {
+            name = item;
+        } else if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length === 1) {
+            [[name, argument]] = Object.entries(item);
+        } else {
+            throw new Error(`Variable "${varName}" has an invalid transform at position ${index + 1}: expected a name or a single-key object`);
+        }
+
+        const transform = TRANSFORMS[name];
+        if (!transform) {
+            throw new Error(`Variable "${varName}" uses unknown transform "${name}". Supported: ${Object.keys(TRANSFORMS).join(', ')}`);
+        }
+
+        if (!transform.argument) {
+            if (argument !== undefined && argument !== true && argument !== null) {
+                throw new Error(`Variable "${varName}" transform "${name}" does not take an argument`);
+            }
+            return {name, apply: transform.apply};
+        }
+
+        const validArgument = transform.argument === 'object'
+            ? argument !== null && typeof argument === 'object' && !Array.isArray(argument)
+            : typeof argument === 'string' || typeof argument === 'number';
+        if (!validArgument) {
+            throw new Error(`Variable "${varName}" transform "${name}" requires ${transform.argument === 'object' ? 'an object' : 'a string'} argument`);
+        }
+
+        try {
+            return {name, apply: transform.compile(transform.argument === 'object' ? argument : String(argument))};
+        } catch (err) {
+            throw new Error(`Variable "${varName}" transform "${name}" is invalid: ${err.message}`);
+        }
+    });
+
+    return value => steps.reduce((current, step) => {
+        try {
+            return step.apply(current);
+        } catch (err) {
+            throw new Error(`Transform "${step.name}" failed for variable "${varName}": ${err.message}`);
+        }
+    }, value);
+}
+
+module.exports = {
+    TRANSFORMS,
+    compileTransforms,
+};
@@ -0,0 +1,178 @@
+const {isSensitive} = require('./sensitive');
+const {maskValue} = require('./mask');
+
+/**
+ * Supported value types. Each check returns the normalized value or throws with the reason.
+ */
+const VALUE_TYPES = {
+    string: value => value,
+    int: value => {
+        if (!/^[+-]?\d+$/.test(value.trim())) {
+            throw new Error('is not an integer');
+        }
+        // BigInt keeps integers of any size exact, e.g. IDs beyond Number.MAX_SAFE_INTEGER
+        return BigInt(value.trim()).toString();
+    },
+    number: value => {
+        const trimmed = value.trim();
+        if (trimmed === '' || !Number.isFinite(Number(trimmed))) {
+            throw new Error('is not a number');
+        }
+        // Decimal notation is normalized as text so no precision is lost; other forms (e.g. hex) are converted
+        const match = trimmed.match(/^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/);
+        if (!match) {
+            return String(Number(trimmed));
+        }
+        const [, sign, integer, fraction = '', exponent] = match;
+        const whole = integer.replace(/^0+/, '') || '0';
+        const decimals = fraction.replace(/0+$/, '');
+        if (whole === '0' && decimals === '') {
+            return '0';
+        }
+        const power = exponent === undefined ? 0n : BigInt(exponent);
+        return `${sign === '-' ? '-' : ''}${whole}${decimals ? `.${decimals}` : ''}${power === 0n ? '' : `e${power}`}`;
+    },
+    bool: value => {
+        const normalized = value.trim().toLowerCase();
+        if (['true', '1', 'yes', 'on'].includes(normalized)) {
+            return 'true';
+        }
+        if (['false', '0', 'no', 'off'].includes(normalized)) {
+            return 'false';
+        }
+        throw new Error('is not a boolean (true/false, 1/0, yes/no, on/off)');
+    },
+    url: value => {
+        let url;
+        try {
+            url = new URL(value);
+        } catch {
+            throw new Error('is not a valid URL');
+        }
+        if (!url.protocol || (!url.host && !['file:', 'mailto:'].includes(url.protocol))) {
+            throw new Error('is not a valid URL');
+        }
+        return value;
+    },
+    json: value => {
+        try {
+            JSON.parse(value);
+        } catch {
+            throw new Error('is not valid JSON');
+        }
+        return value;
+    },
+};
+
+// Accepted aliases for type names
+const TYPE_ALIASES = {
+    integer: 'int',
+    boolean: 'bool',
+    float: 'number',
+};
+
+/**
+ * Check that a rule option is a finite number
+ * @param {object} config - Variable configuration
+ * @param {string} option - Option name
+ * @param {string} varName - Variable name (for error messages)
+ * @returns {number|undefined}
+ */
+function numericOption(config, option, varName) {
+    const value = config[option];
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`Variable "${varName}" option "${option}" must be a number`);
+    }
+    return value;
+}
+
+/**
+ * Compile the validation rules of a variable (type, enum, pattern, min/max, minLength/maxLength).
+ * Failures quote the value, masked for sensitive variables.
+ * @param {object} config - Variable configuration
+ * @param {string} varName - Variable name (for error messages)
+ * @param {{ sensitive?: boolean }} [options] - Mask values even when the variable itself is not sensitive, e.g. because
+ *   it interpolates a sensitive variable
+ * @returns {(value: string) => { value: string, errors: string[] }} Validator returning the normalized value and failures
+ * @throws {Error} When a rule itself is invalid (unknown type, bad regex, non-numeric bounds)
+ */
+function compileValidator(config, varName, options = {}) {
+    const sensitive = isSensitive(config, varName) || options.sensitive === true;
+    let type;
+    if (config.type !== undefined && config.type !== null) {
+        type = TYPE_ALIASES[config.type] || config.type;
+        if (!VALUE_TYPES[type]) {
+            throw new Error(`Variable "${varName}" has unknown type "${config.type}". Supported: ${Object.keys(VALUE_TYPES).join(', ')}`);
+        }
+    }
+
+    let allowed;
+    if (config.enum !== undefined && config.enum !== null) {
+        if (!Array.isArray(config.enum) || config.enum.length === 0) {
+            throw new Error(`Variable "${varName}" option "enum" must be a non-empty list`);
+        }
+        allowed = config.enum.map(String);
+    }
+
+    let pattern;
+    if (config.pattern !== undefined && config.pattern !== null) {
+        try {
+            pattern = new RegExp(config.pattern);
+        } catch (err) {
+            throw new Error(`Variable "${varName}" option "pattern" is invalid: ${err.message}`);
+        }
+    }
+
+    const min = numericOption(config, 'min', varName);
+    const max = numericOption(config, 'max', varName);
+    const minLength = numericOption(config, 'minLength', varName);
+    const maxLength = numericOption(config, 'maxLength', varName);
+    if ((min !== undefined || max !== undefined) && type !== 'int' && type !== 'number') {
+        throw new Error(`Variable "${varName}" options "min"/"max" require type "int" or "number"`);
+    }
+
+    return (value) => {
+        const errors = [];
+        const shown = sensitive ? maskValue(value) : value;
+        const fail = (rule, reason) => errors.push(`Variable "${varName}" failed "${rule}": "${shown}" ${reason}`);
+        let normalized = value;
+
+        if (type) {
+            try {
+                normalized = VALUE_TYPES[type](value);
+            } catch (err) {
+                fail(`type: ${type}`, err.message);
+                return {value, errors};
+            }
+        }
+
+        if (allowed && !allowed.includes(normalized)) {
+            fail('enum', `is not one of: ${allowed.join(', ')}`);
+        }
+        if (pattern && !pattern.test(normalized)) {
+            fail('pattern', `does not match ${pattern}`);
+        }
+        if (min !== undefined && Number(normalized) < min) {
+            fail('min', `is less than ${min}`);
+        }
+        if (max !== undefined && Number(normalized) > max) {
+            fail('max', `is greater than ${max}`);
+        }
+        if (minLength !== undefined && normalized.length < minLength) {
+            fail('minLength', `is shorter than ${minLength} characters`);
+        }
+        if (maxLength !== undefined && normalized.length > maxLength) {
+            fail('maxLength', `is longer than ${maxLength} characters`);
+        }
+
+        return {value: normalized, errors};
+    };
+}
+
+module.exports = {
+    VALUE_TYPES,
+    compileValidator,
+};
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Watch a set of files and call onChange once a burst of changes has settled.
+ * Directories are watched rather than the files themselves, so files that editors replace on save
+ * (write to a temporary file, then rename) and files that do not exist yet are still noticed.
+ * @param {() => void} onChange - Called after changes, at most once per debounce period
+ * @param {{ debounce?: number }} [options] - Milliseconds without further changes before onChange is called (default 200)
+ * @returns {{ setFiles: (files: Iterable<string>) => void, close: () => void }}
+ *   setFiles replaces the watched files; close stops watching
+ */
+function createFileWatcher(onChange, options = {}) {
+    const debounce = options.debounce === undefined ? 200 : options.debounce;
+    const watchers = new Map(); // directory -> { watcher, names }
+    let timer = null;
+
+    const schedule = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            timer = null;
+            onChange();
+        }, debounce);
+    };
+
+    const setFiles = (files) => {
+        const wanted = new Map();
+        for (const file of files) {
+            const dir = path.dirname(path.resolve(file));
+            if (!wanted.has(dir)) {
+                wanted.set(dir, new Set());
+            }
+            wanted.get(dir).add(path.basename(file));
+        }
+
+        for (const [dir, entry] of watchers) {
+            if (!wanted.has(dir)) {
+                entry.watcher.close();
+                watchers.delete(dir);
+            }
+        }
+        for (const [dir, names] of wanted) {
+            if (watchers.has(dir)) {
+                watchers.get(dir).names = names;
+                continue;
+            }
+            let watcher;
+            try {
+                watcher = fs.watch(dir);
+            } catch {
+                // A missing directory cannot be watched; it is retried on the next setFiles()
+                continue;
+            }
+            const entry = {watcher, names};
+            // Some platforms omit the file name; any change in the directory counts then
+            watcher.on('change', (eventType, filename) => {
+                if (!filename || entry.names.has(String(filename))) {
+                    schedule();
+                }
+            });
+            watcher.on('error', () => {
+                watcher.close();
+                watchers.delete(dir);
+            });
+            watchers.set(dir, entry);
+        }
+    };
+
+    const close = () => {
+        clearTimeout(timer);
+        watchers.forEach(entry => entry.watcher.close());
+        watchers.clear();
+    };
+
+    return {setFiles, close};
+}
+
+module.exports = {
+    createFileWatcher,
+};
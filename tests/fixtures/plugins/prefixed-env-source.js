@@ -0,0 +1,8 @@
+// Example plugin: "prefixedEnv" source reads <prefix><VAR_NAME> from the environment
+module.exports = {
+    name: 'prefixedEnv',
+    resolve(config, varName, context) {
+        const envValue = context.env[`${config.prefix || 'APP_'}${varName}`];
+        return envValue === undefined ? null : envValue;
+    },
+};
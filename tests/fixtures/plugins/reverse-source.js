@@ -0,0 +1,13 @@
+// Example plugin: "reverse" source returns the value reversed
+module.exports = function (makeenv) {
+    makeenv.registerSource('reverse', {
+        validate(config, varName) {
+            if (!config.value) {
+                throw new Error(`Variable "${varName}" with source reverse requires a value`);
+            }
+        },
+        resolve(config) {
+            return String(config.value).split('').reverse().join('');
+        },
+    });
+};
@@ -1,4 +1,4 @@
-const {execSync} = require('child_process');
+const {execSync, spawnSync} = require('child_process');
 const fs = require('fs');
 const path = require('path');
 
@@ -43,6 +43,104 @@ const tests = [
         snapshot: 'special-chars.yaml.env',
         env: {},
     },
+    {
+        name: 'Template with file source',
+        fixture: 'file-source.yaml',
+        snapshot: 'file-source.yaml.env',
+        env: {},
+    },
+    {
+        name: 'Template with plugin sources',
+        fixture: 'plugin-source.yaml',
+        snapshot: 'plugin-source.yaml.env',
+        env: {TEST_PREFIX_FROM_PREFIXED_ENV: 'from-env'},
+        args: `--plugin "${path.join(FIXTURES_DIR, 'plugins', 'prefixed-env-source.js')}"`,
+    },
+    {
+        name: 'Template with interpolation',
+        fixture: 'interpolation.yaml',
+        snapshot: 'interpolation.yaml.env',
+        env: {TEST_DB_PASSWORD: 'pw', TEST_STAGING_TOKEN: 'tok'},
+    },
+    {
+        name: 'Template with transforms',
+        fixture: 'transforms.yaml',
+        snapshot: 'transforms.yaml.env',
+        env: {},
+    },
+    {
+        name: 'Template with validation rules',
+        fixture: 'validation.yaml',
+        snapshot: 'validation.yaml.env',
+        env: {},
+    },
+    {
+        name: 'Template with profiles (base)',
+        fixture: 'profiles.yaml',
+        snapshot: 'profiles.yaml.env',
+        env: {},
+    },
+    {
+        name: 'Template with profiles (prod)',
+        fixture: 'profiles.yaml',
+        snapshot: 'profiles.yaml.prod.env',
+        env: {TEST_PROD_DB_PASSWORD: 'prod-secret'},
+        args: '--profile prod',
+    },
+    {
+        name: 'Template with $extends and $include',
+        fixture: 'compose-service.toml',
+        snapshot: 'compose-service.toml.env',
+        env: {},
+    },
+    {
+        name: 'Template with conditions',
+        fixture: 'conditions.yaml',
+        snapshot: 'conditions.yaml.env',
+        env: {TEST_NODE_ENV: 'production', TEST_FEATURE_DEBUG: '1'},
+    },
+    {
+        name: 'Output format export',
+        fixture: 'formats.yaml',
+        snapshot: 'formats.yaml.export',
+        env: {},
+        args: '--format export --name app-config --namespace prod',
+    },
+    {
+        name: 'Output format json',
+        fixture: 'formats.yaml',
+        snapshot: 'formats.yaml.json',
+        env: {},
+        args: '--format json --name app-config --namespace prod',
+    },
+    {
+        name: 'Output format yaml',
+        fixture: 'formats.yaml',
+        snapshot: 'formats.yaml.yaml',
+        env: {},
+        args: '--format yaml --name app-config --namespace prod',
+    },
+    {
+        name: 'Output format docker',
+        fixture: 'formats.yaml',
+        snapshot: 'formats.yaml.docker',
+        env: {},
+        args: '--format docker --name app-config --namespace prod',
+    },
+    {
+        name: 'Output format k8s-secret',
+        fixture: 'formats.yaml',
+        snapshot: 'formats.yaml.k8s-secret',
+        env: {},
+        args: '--format k8s-secret --name app-config --namespace prod',
+    },
+    {
+        name: 'Output format k8s-configmap',
+        fixture: 'formats.yaml',
+        snapshot: 'formats.yaml.k8s-configmap',
+        env: {},
+        args: '--format k8s-configmap --name app-config --namespace prod',
+    },
 ];
 
 let passed = 0;
@@ -61,7 +159,7 @@ for (const test of tests) {
 
         // Run makeenv via the bin script
         const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
-        execSync(`node "${binPath}" "${fixturePath}" "${outputPath}"`, {
+        execSync(`node "${binPath}" "${fixturePath}" "${outputPath}" ${test.args || ''}`, {
             env: testEnv,
             stdio: 'pipe',
         });
@@ -167,213 +265,2378 @@ try {
     }
 }
 
-// Test --generate flag
-console.log('');
-console.log('Testing --generate flag...');
-
-const generateEnvPath = path.join(FIXTURES_DIR, 'generate-source.env');
-const generateOutputPath = path.join(TEMP_DIR, 'generated-template.yaml');
-const generateSnapshotPath = path.join(SNAPSHOTS_DIR, 'generate-source.env.yaml');
+// Test --dry-run with an unknown transform (should fail even for optional variables)
+const unknownTransformFixture = path.join(TEMP_DIR, 'unknown-transform.yaml');
+fs.writeFileSync(unknownTransformFixture, `
+OPTIONAL_VALUE:
+  required: false
+  source: string
+  value: hello
+  transform:
+    - base64
+`);
 
 try {
     const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
-    execSync(`node "${binPath}" --generate "${generateEnvPath}" "${generateOutputPath}"`, {
+    execSync(`node "${binPath}" "${unknownTransformFixture}" --dry-run`, {
         stdio: 'pipe',
     });
-
-    try {
-        execSync(`diff "${generateOutputPath}" "${generateSnapshotPath}"`, {stdio: 'pipe'});
-        console.log('  PASS: --generate creates correct template from .env');
+    console.log('  FAIL: --dry-run should fail for an unknown transform');
+    failed++;
+} catch (error) {
+    if (error.status !== 0 && error.stderr.toString().includes('unknown transform "base64"')) {
+        console.log('  PASS: --dry-run fails for an unknown transform');
         passed++;
-    } catch (diffError) {
-        console.log('  FAIL: --generate output differs from snapshot');
-        const output = fs.readFileSync(generateOutputPath, 'utf8');
-        const snapshot = fs.readFileSync(generateSnapshotPath, 'utf8');
-        console.log('    --- Expected:');
-        console.log(snapshot.split('\n').map(l => `    ${l}`).join('\n'));
-        console.log('    --- Got:');
-        console.log(output.split('\n').map(l => `    ${l}`).join('\n'));
+    } else {
+        console.log(`  FAIL: --dry-run unexpected error behavior: ${error.message}`);
         failed++;
     }
-} catch (error) {
-    console.log(`  FAIL: --generate error: ${error.message}`);
-    failed++;
 }
 
-// Test --set-defaults flag
+// Test profiles
 console.log('');
-console.log('Testing --set-defaults flag...');
-
-const setDefaultsInput = path.join(FIXTURES_DIR, 'set-defaults-input.yaml');
-const setDefaultsWorkCopy = path.join(TEMP_DIR, 'set-defaults-work.yaml');
-const setDefaultsSnapshot = path.join(SNAPSHOTS_DIR, 'set-defaults-output.yaml');
+console.log('Testing profiles...');
 
-// Copy fixture to temp so we can modify it
-fs.copyFileSync(setDefaultsInput, setDefaultsWorkCopy);
+const profilesFixture = path.join(FIXTURES_DIR, 'profiles.yaml');
 
 try {
     const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
-    execSync(`node "${binPath}" --set-defaults "${setDefaultsWorkCopy}"`, {
-        env: {...process.env, TEST_FEATURE: 'enabled'},
+    execSync(`node "${binPath}" "${profilesFixture}" --dry-run --all-profiles`, {
+        env: {...process.env, TEST_PROD_DB_PASSWORD: undefined},
         stdio: 'pipe',
     });
+    console.log('  FAIL: --all-profiles should fail when one profile is missing a required variable');
+    failed++;
+} catch (error) {
+    const stderr = error.stderr ? error.stderr.toString() : '';
+    if (error.status !== 0 && stderr.includes('[prod] Required variable "DB_PASSWORD" has no value') && !stderr.includes('[dev]')) {
+        console.log('  PASS: --all-profiles reports errors per profile');
+        passed++;
+    } else {
+        console.log(`  FAIL: --all-profiles unexpected error behavior: ${error.message}`);
+        failed++;
+    }
+}
 
-    try {
-        execSync(`diff "${setDefaultsWorkCopy}" "${setDefaultsSnapshot}"`, {stdio: 'pipe'});
-        console.log('  PASS: --set-defaults updates template with current values');
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const stdout = execSync(`node "${binPath}" "${profilesFixture}" --dry-run --all-profiles`, {
+        env: {...process.env, TEST_PROD_DB_PASSWORD: 'prod-secret'},
+        stdio: 'pipe',
+    }).toString();
+    const selected = execSync(`node "${binPath}" "${profilesFixture}" -`, {
+        env: {...process.env, MAKEENV_PROFILE: 'prod', TEST_PROD_DB_PASSWORD: 'prod-secret'},
+        stdio: 'pipe',
+    }).toString();
+    if (stdout.includes('profiles: dev, prod') && selected.includes('APP_ENV=production\n')) {
+        console.log('  PASS: --all-profiles validates every profile and MAKEENV_PROFILE selects one');
         passed++;
-    } catch (diffError) {
-        console.log('  FAIL: --set-defaults output differs from snapshot');
-        const output = fs.readFileSync(setDefaultsWorkCopy, 'utf8');
-        const snapshot = fs.readFileSync(setDefaultsSnapshot, 'utf8');
-        console.log('    --- Expected:');
-        console.log(snapshot.split('\n').map(l => `    ${l}`).join('\n'));
-        console.log('    --- Got:');
-        console.log(output.split('\n').map(l => `    ${l}`).join('\n'));
+    } else {
+        console.log(`  FAIL: Unexpected output: ${stdout} / ${selected}`);
         failed++;
     }
 } catch (error) {
-    console.log(`  FAIL: --set-defaults error: ${error.message}`);
+    console.log(`  FAIL: profile selection error: ${error.message}`);
     failed++;
 }
 
-// Test AwsSecretManager source type
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" "${profilesFixture}" --dry-run --profile prd`, {stdio: 'pipe'});
+    console.log('  FAIL: An unknown profile should fail');
+    failed++;
+} catch (error) {
+    if (error.status !== 0 && error.stderr.toString().includes('Unknown profile "prd". Available profiles: dev, prod')) {
+        console.log('  PASS: Rejects an unknown profile');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unknown profile unexpected error behavior: ${error.message}`);
+        failed++;
+    }
+}
+
+// Test template composition
 console.log('');
-console.log('Testing AwsSecretManager source type...');
+console.log('Testing template composition...');
 
-// Test invalid value format (missing colon)
-const awsInvalidFormatFixture = path.join(TEMP_DIR, 'aws-invalid-format.yaml');
-fs.mkdirSync(TEMP_DIR, {recursive: true});
-fs.writeFileSync(awsInvalidFormatFixture, `
-DB_HOST:
-  required: true
-  source: AwsSecretManager
-  value: prod-no-colon
-`);
+const composeDir = path.join(TEMP_DIR, 'compose');
+fs.mkdirSync(composeDir, {recursive: true});
+fs.writeFileSync(path.join(composeDir, 'a.yaml'), '$include: b.json\nA:\n  value: a\n');
+fs.writeFileSync(path.join(composeDir, 'b.json'), JSON.stringify({$extends: './a.yaml', B: {value: 'b'}}));
 
 try {
     const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
-    execSync(`node "${binPath}" "${awsInvalidFormatFixture}" "${path.join(TEMP_DIR, 'aws.env')}"`, {
-        stdio: 'pipe',
-    });
-    console.log('  FAIL: Should fail for invalid AwsSecretManager value format');
+    execSync(`node "${binPath}" "${path.join(composeDir, 'a.yaml')}" --dry-run`, {stdio: 'pipe'});
+    console.log('  FAIL: Circular composition should fail');
     failed++;
 } catch (error) {
-    if (error.stderr && error.stderr.toString().includes('must be in format')) {
-        console.log('  PASS: Correctly fails for invalid value format (missing colon)');
-        passed++;
-    } else if (error.status !== 0) {
-        console.log('  PASS: Correctly fails for invalid value format (missing colon)');
+    if (error.status !== 0 && error.stderr.toString().includes('Circular template composition: a.yaml -> b.json -> a.yaml')) {
+        console.log('  PASS: Detects circular composition');
         passed++;
     } else {
-        console.log('  FAIL: Unexpected error for invalid format');
+        console.log(`  FAIL: Circular composition unexpected error behavior: ${error.message}`);
         failed++;
     }
 }
 
-// Test missing value for AwsSecretManager
-const awsMissingValueFixture = path.join(TEMP_DIR, 'aws-missing-value.yaml');
-fs.writeFileSync(awsMissingValueFixture, `
-DB_HOST:
-  required: true
-  source: AwsSecretManager
-`);
+fs.writeFileSync(path.join(composeDir, 'base.yaml'), 'TOKEN:\n  required: true\n  source: env\n  value: TEST_COMPOSE_TOKEN\n');
+fs.writeFileSync(path.join(composeDir, 'service.yaml'), '$extends: base.yaml\nPORT:\n  value: "8080"\n');
 
 try {
     const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
-    execSync(`node "${binPath}" "${awsMissingValueFixture}" "${path.join(TEMP_DIR, 'aws.env')}"`, {
+    execSync(`node "${binPath}" "${path.join(composeDir, 'service.yaml')}" --dry-run`, {
+        env: {...process.env, TEST_COMPOSE_TOKEN: undefined},
         stdio: 'pipe',
     });
-    console.log('  FAIL: Should fail for missing AwsSecretManager value');
+    console.log('  FAIL: Missing inherited variable should fail');
     failed++;
 } catch (error) {
-    if (error.status !== 0) {
-        console.log('  PASS: Correctly fails for missing AwsSecretManager value');
+    if (error.status !== 0 && error.stderr.toString().includes('Required variable "TOKEN" has no value (from base.yaml)')) {
+        console.log('  PASS: Errors name the file an inherited variable came from');
         passed++;
     } else {
-        console.log('  FAIL: Unexpected error for missing value');
+        console.log(`  FAIL: Inherited variable unexpected error behavior: ${error.message}`);
         failed++;
     }
 }
 
-// Test non-required AwsSecretManager with default (should use default when AWS fails)
-const awsWithDefaultFixture = path.join(TEMP_DIR, 'aws-with-default.yaml');
-fs.writeFileSync(awsWithDefaultFixture, `
-DB_HOST:
-  required: false
-  source: AwsSecretManager
-  value: nonexistent-secret:DB_HOST
-  default: localhost
-`);
-
 try {
     const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
-    execSync(`node "${binPath}" "${awsWithDefaultFixture}" "${path.join(TEMP_DIR, 'aws-default.env')}"`, {
+    execSync(`node "${binPath}" --set-defaults "${path.join(composeDir, 'service.yaml')}"`, {
+        env: {...process.env, TEST_COMPOSE_TOKEN: 'tok'},
         stdio: 'pipe',
     });
-    const output = fs.readFileSync(path.join(TEMP_DIR, 'aws-default.env'), 'utf8');
-    if (output.includes('DB_HOST=localhost')) {
-        console.log('  PASS: Uses default value when AWS secret is unavailable');
+    const service = fs.readFileSync(path.join(composeDir, 'service.yaml'), 'utf8');
+    const base = fs.readFileSync(path.join(composeDir, 'base.yaml'), 'utf8');
+    if (service.includes('$extends: base.yaml') && service.includes("default: '8080'") &&
+        !service.includes('TOKEN') && !base.includes('default')) {
+        console.log('  PASS: --set-defaults only updates variables declared in the file');
         passed++;
     } else {
-        console.log('  FAIL: Should use default value when AWS secret unavailable');
-        console.log(`    Got: ${output}`);
+        console.log(`  FAIL: Unexpected templates: ${service} / ${base}`);
         failed++;
     }
 } catch (error) {
-    // If AWS credentials are not configured, default should still be used
-    console.log('  FAIL: Should not throw for non-required variable with default');
-    console.log(`    Error: ${error.message}`);
+    console.log(`  FAIL: --set-defaults with $extends error: ${error.message}`);
     failed++;
 }
 
-// Test resolveValue directly for AwsSecretManager validation
+// Test --dry-run with conditions
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const stdout = execSync(`node "${binPath}" "${path.join(FIXTURES_DIR, 'conditions.yaml')}" --dry-run`, {
+        env: {...process.env, TEST_NODE_ENV: undefined, TEST_FEATURE_DEBUG: undefined},
+        stdio: 'pipe',
+    }).toString();
+    if (stdout.includes('Skipped SENTRY_DSN: condition "NODE_ENV == \'production\'" is false') &&
+        stdout.includes('Skipped DEBUG: condition "env.TEST_FEATURE_DEBUG && NODE_ENV != \'production\'" is false') &&
+        !stdout.includes('LOG_LEVEL') && stdout.includes('validation successful')) {
+        console.log('  PASS: --dry-run explains skipped variables, which are not required');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected output: ${stdout}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --dry-run with conditions error: ${error.message}`);
+    failed++;
+}
+
+// Test --check drift detection
 console.log('');
-console.log('Testing AwsSecretManager resolveValue validation...');
+console.log('Testing --check...');
 
-const {resolveValue} = require('../src/index.js');
+const checkEnvPath = path.join(TEMP_DIR, 'check.env');
+const checkOptions = {env: {...process.env, AWS_ACCESS_KEY_ID: 'test-access-key-123'}, stdio: 'pipe'};
 
-// Test format validation
-(async () => {
-    try {
-        await resolveValue({source: 'AwsSecretManager', value: 'no-colon'}, 'TEST_VAR');
-        console.log('  FAIL: resolveValue should reject value without colon');
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    fs.copyFileSync(path.join(SNAPSHOTS_DIR, 'basic.yaml.env'), checkEnvPath);
+    const stdout = execSync(`node "${binPath}" "${dryRunFixture}" "${checkEnvPath}" --check`, checkOptions).toString();
+    if (stdout.includes(`No drift: ${checkEnvPath} matches the template`)) {
+        console.log('  PASS: --check passes when the file matches');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected output: ${stdout}`);
         failed++;
-    } catch (error) {
-        if (error.message.includes('must be in format')) {
-            console.log('  PASS: resolveValue rejects value without colon');
-            passed++;
-        } else {
-            console.log(`  FAIL: Unexpected error: ${error.message}`);
-            failed++;
-        }
     }
+} catch (error) {
+    console.log(`  FAIL: --check error: ${error.message}`);
+    failed++;
+}
 
-    // Test missing value
-    try {
-        await resolveValue({source: 'AwsSecretManager'}, 'TEST_VAR');
-        console.log('  FAIL: resolveValue should reject missing value');
+fs.writeFileSync(checkEnvPath, 'AWS_REGION=us-east-1\nAPI_URL=https://api.example.com\nLEGACY=old-secret\n');
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" "${dryRunFixture}" "${checkEnvPath}" --diff`, checkOptions);
+    console.log('  FAIL: --check should fail on drift');
+    failed++;
+} catch (error) {
+    const stdout = error.stdout ? error.stdout.toString() : '';
+    if (error.status === 1 && stdout.includes('+ AWS_ACCESS_KEY_ID=**** (missing from the file)') &&
+        stdout.includes('- LEGACY=**** (not produced by the template)') &&
+        stdout.includes('~ AWS_REGION: **** -> ****') && !stdout.includes('old-secret')) {
+        console.log('  PASS: --check reports masked drift and exits non-zero');
+        passed++;
+    } else {
+        console.log(`  FAIL: --check unexpected drift output: ${stdout || error.message}`);
         failed++;
-    } catch (error) {
-        if (error.message.includes('requires a value')) {
-            console.log('  PASS: resolveValue rejects missing value');
-            passed++;
-        } else {
-            console.log(`  FAIL: Unexpected error: ${error.message}`);
-            failed++;
-        }
     }
+}
 
-    // Test empty secret ID
-    try {
-        await resolveValue({source: 'AwsSecretManager', value: ':KEY'}, 'TEST_VAR');
-        // This should fail when trying to fetch from AWS with empty secret ID
-        console.log('  PASS: resolveValue handles empty secret ID');
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" "${dryRunFixture}" "${checkEnvPath}" --check --json --show-values`, checkOptions);
+    console.log('  FAIL: --check --json should fail on drift');
+    failed++;
+} catch (error) {
+    const report = JSON.parse(error.stdout.toString());
+    const expectedReport = {
+        errors: [],
+        drift: true,
+        added: [{key: 'AWS_ACCESS_KEY_ID', value: 'test-access-key-123'}],
+        removed: [{key: 'LEGACY', value: 'old-secret'}],
+        changed: [{key: 'AWS_REGION', expected: 'eu-north-1', actual: 'us-east-1'}],
+    };
+    if (error.status === 1 && JSON.stringify(report) === JSON.stringify(expectedReport)) {
+        console.log('  PASS: --check --json prints a machine-readable report');
         passed++;
-    } catch (error) {
-        // Expected to fail - AWS will reject empty secret ID
-        console.log('  PASS: resolveValue fails for empty secret ID');
+    } else {
+        console.log(`  FAIL: Unexpected report: ${error.stdout}`);
+        failed++;
+    }
+}
+
+// Test --explain
+console.log('');
+console.log('Testing --explain...');
+
+const explainFixture = path.join(FIXTURES_DIR, 'explain.yaml');
+const explainOptions = {env: {...process.env}, stdio: 'pipe'};
+['EXPLAIN_API_TOKEN', 'EXPLAIN_SENTRY_DSN', 'EXPLAIN_DEBUG'].forEach(name => delete explainOptions.env[name]);
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const stdout = execSync(`node "${binPath}" "${explainFixture}" --explain --json --visible-chars 4`, explainOptions).toString();
+    const report = JSON.parse(stdout);
+    const [apiUrl, apiToken, sentryDsn, debugToolbar] = report.variables;
+    if (report.errors.length === 0 && report.variables.length === 4 &&
+        apiUrl.status === 'set' && apiUrl.value === 'http****' && apiUrl.source === 'string' && apiUrl.usedDefault === false &&
+        apiToken.status === 'set' && apiToken.usedDefault === true && apiToken.value === 'lo****' &&
+        apiToken.reason === 'source returned no value' &&
+        sentryDsn.status === 'missing' && sentryDsn.required === false && sentryDsn.value === undefined &&
+        debugToolbar.status === 'skipped' && debugToolbar.reason === 'condition "env.EXPLAIN_DEBUG == \'true\'" is false' &&
+        !fs.existsSync(path.join(FIXTURES_DIR, '.env'))) {
+        console.log('  PASS: --explain --json reports sources, defaults and skip reasons with masked values');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected report: ${stdout}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --explain error: ${error.message}`);
+    failed++;
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const stdout = execSync(`node "${binPath}" "${explainFixture}" --explain`, explainOptions).toString();
+    if (stdout.includes('  API_URL=**** (string, required)\n') &&
+        stdout.includes('  API_TOKEN=**** (env, optional, default used: source returned no value)\n') &&
+        stdout.includes('  SENTRY_DSN: not set (env, optional): source returned no value and there is no default\n') &&
+        !stdout.includes('api.example.com') && !stdout.includes('local-token')) {
+        console.log('  PASS: --explain masks every value by default');
         passed++;
+    } else {
+        console.log(`  FAIL: Unexpected output: ${stdout}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --explain error: ${error.message}`);
+    failed++;
+}
+
+// Test --lint
+console.log('');
+console.log('Testing --lint...');
+
+const lintFixture = path.join(FIXTURES_DIR, 'lint', 'app.yaml');
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" --lint "${lintFixture}"`, {stdio: 'pipe', cwd: FIXTURES_DIR});
+    console.log('  FAIL: --lint should exit with 1 when there are errors');
+    failed++;
+} catch (error) {
+    const stdout = error.stdout ? error.stdout.toString() : '';
+    const expected = [
+        'lint/app.yaml:1: warning: Variable "REDIS_URL" is declared by both "./database.yaml" and "./cache.json" in $include',
+        'lint/app.yaml:9: warning: Variable "APP_NAME" default is never used',
+        'lint/app.yaml:12: error: Variable "API_TOKEN" has unknown field "requierd" (did you mean "required"?)',
+        'lint/app.yaml:18: error: Variable "DB_PASSWORD" uses unknown source "AwsSecretsManager" (did you mean "AwsSecretManager"?)',
+        'lint/app.yaml:21: error: Variable name "log-level" is not a valid environment variable name',
+        'lint/app.yaml:28: error: Variable "PORT" field "type" must be one of',
+        'lint/cache.json:9: error: Key "CACHE_TTL.value" is declared more than once',
+        '5 error(s), 2 warning(s)',
+    ];
+    const lines = stdout.trim().split('\n');
+    if (error.status === 1 && lines.length === expected.length && expected.every((start, i) => lines[i].startsWith(start))) {
+        console.log('  PASS: --lint reports problems with file, line and suggestions without resolving anything');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected output: ${stdout}`);
+        failed++;
+    }
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const fixtures = ['basic.yaml', 'basic.json', 'basic.toml', 'profiles.yaml', 'conditions.yaml', 'transforms.yaml',
+        'validation.yaml', 'interpolation.yaml', 'compose-service.toml'];
+    const stdout = execSync(`node "${binPath}" --lint ${fixtures.map(name => `"${path.join(FIXTURES_DIR, name)}"`).join(' ')}`, {stdio: 'pipe'}).toString();
+    const report = JSON.parse(execSync(`node "${binPath}" --lint "${lintFixture}" --json || true`, {stdio: 'pipe', cwd: FIXTURES_DIR}).toString());
+    const unknownField = report.problems.find(problem => problem.message.includes('"requierd"'));
+    if (stdout.trim() === 'No problems found' && report.problems.length === 7 &&
+        unknownField.file === path.join('lint', 'app.yaml') && unknownField.line === 12 && unknownField.severity === 'error') {
+        console.log('  PASS: --lint accepts valid templates and prints a JSON report with --json');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected output: ${stdout} ${JSON.stringify(report)}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --lint error: ${error.message} ${error.stdout || ''}`);
+    failed++;
+}
+
+// Test sensitive values
+console.log('');
+console.log('Testing sensitive values...');
+
+const sensitiveFixture = path.join(FIXTURES_DIR, 'sensitive.yaml');
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const sensitiveOutput = path.join(TEMP_DIR, 'sensitive', '.env');
+    const existingOutput = path.join(TEMP_DIR, 'sensitive', '.env.existing');
+    fs.mkdirSync(path.dirname(sensitiveOutput), {recursive: true});
+    fs.rmSync(sensitiveOutput, {force: true});
+    fs.writeFileSync(existingOutput, 'OLD=1\n');
+    fs.chmodSync(existingOutput, 0o644);
+    execSync(`node "${binPath}" "${sensitiveFixture}" "${sensitiveOutput}"`, {stdio: 'pipe'});
+    execSync(`node "${binPath}" "${sensitiveFixture}" "${existingOutput}"`, {stdio: 'pipe'});
+    const mode = fs.statSync(sensitiveOutput).mode & 0o777;
+    const existingMode = fs.statSync(existingOutput).mode & 0o777;
+    const leftovers = fs.readdirSync(path.dirname(sensitiveOutput)).filter(file => !['.env', '.env.existing'].includes(file));
+    if (mode === 0o600 && existingMode === 0o600 && leftovers.length === 0 &&
+        fs.readFileSync(sensitiveOutput, 'utf8').includes('API_TOKEN=tok-1234567890') &&
+        fs.readFileSync(existingOutput, 'utf8').includes('API_TOKEN=tok-1234567890')) {
+        console.log('  PASS: Output files are replaced atomically with 0600 permissions, also when they were world-readable');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected modes ${mode.toString(8)}/${existingMode.toString(8)} or leftovers ${leftovers.join(', ')}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: Sensitive output error: ${error.message}`);
+    failed++;
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const linkDir = path.join(TEMP_DIR, 'symlinked');
+    const realOutput = path.join(linkDir, 'shared', 'real.env');
+    const linkOutput = path.join(linkDir, 'link.env');
+    fs.mkdirSync(path.dirname(realOutput), {recursive: true});
+    fs.rmSync(linkOutput, {force: true});
+    fs.writeFileSync(realOutput, 'X=1\n');
+    fs.chmodSync(realOutput, 0o644);
+    fs.symlinkSync(path.join('shared', 'real.env'), linkOutput);
+    execSync(`node "${binPath}" "${sensitiveFixture}" "${linkOutput}"`, {stdio: 'pipe'});
+    const leftovers = fs.readdirSync(path.dirname(realOutput)).filter(file => file !== 'real.env');
+    if (fs.lstatSync(linkOutput).isSymbolicLink() && (fs.statSync(realOutput).mode & 0o777) === 0o600 &&
+        fs.readFileSync(realOutput, 'utf8').includes('API_TOKEN=tok-1234567890') && leftovers.length === 0) {
+        console.log('  PASS: A symlinked output file is written through the link');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected symlinked output: ${fs.readFileSync(realOutput, 'utf8')} / ${leftovers.join(', ')}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: Symlinked output error: ${error.message}`);
+    failed++;
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" "${sensitiveFixture}" -`, {stdio: 'pipe'});
+    console.log('  FAIL: Writing sensitive values to stdout should be refused');
+    failed++;
+} catch (error) {
+    const stdout = error.stdout ? error.stdout.toString() : '';
+    if (error.status === 1 && stdout === '' &&
+        error.stderr.toString().includes('Refusing to write sensitive variables to stdout without force: API_TOKEN')) {
+        console.log('  PASS: Refuses to write sensitive values to stdout');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected error behavior: ${error.message}`);
+        failed++;
+    }
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const stdout = execSync(`node "${binPath}" "${sensitiveFixture}" - --force`, {stdio: 'pipe'}).toString();
+    const explained = JSON.parse(execSync(`node "${binPath}" "${sensitiveFixture}" --explain --json --show-values`, {
+        stdio: 'pipe',
+    }).toString());
+    if (stdout.includes('API_TOKEN=tok-1234567890') &&
+        explained.variables[0].value === 'https://api.example.com' &&
+        explained.variables[1].value === '****' && explained.variables[1].sensitive === true) {
+        console.log('  PASS: --force writes to stdout; --show-values keeps sensitive values masked');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected output: ${stdout} / ${JSON.stringify(explained)}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --force error: ${error.message}`);
+    failed++;
+}
+
+// Test encrypted values
+console.log('');
+console.log('Testing encrypted values...');
+
+const encryptedDir = path.join(TEMP_DIR, 'encrypted');
+const keyPath = path.join(encryptedDir, 'makeenv.key');
+const encryptedTemplate = path.join(encryptedDir, 'env.yaml');
+const encryptedOptions = {env: {...process.env, MAKEENV_KEY_FILE: keyPath}, stdio: 'pipe'};
+delete encryptedOptions.env.MAKEENV_KEY;
+fs.mkdirSync(encryptedDir, {recursive: true});
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" --generate-key "${keyPath}"`, {stdio: 'pipe'});
+    const encrypted = execSync(`node "${binPath}" --encrypt - --key-file "${keyPath}"`, {
+        input: 's3cret "quoted" $value\n',
+        stdio: 'pipe',
+    }).toString().trim();
+    const decrypted = execSync(`node "${binPath}" --decrypt "${encrypted}"`, encryptedOptions).toString();
+    fs.writeFileSync(encryptedTemplate, [
+        'DB_PASSWORD:',
+        '  required: true',
+        '  source: encrypted',
+        `  value: ${encrypted}`,
+        '  profiles:',
+        '    prod:',
+        `      value: ${encrypted}`,
+        '',
+    ].join('\n'));
+    const stdout = execSync(`node "${binPath}" "${encryptedTemplate}" - --force --format json`, encryptedOptions).toString();
+    if ((fs.statSync(keyPath).mode & 0o777) === 0o600 && /^enc:v1:[0-9a-f]{8}:/.test(encrypted) &&
+        decrypted === 's3cret "quoted" $value\n' && JSON.parse(stdout).DB_PASSWORD === 's3cret "quoted" $value') {
+        console.log('  PASS: --generate-key, --encrypt and --decrypt round trip through the encrypted source');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected output: ${encrypted} / ${decrypted} / ${stdout}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: Encryption error: ${error.stderr ? error.stderr.toString() : error.message}`);
+    failed++;
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const otherKeyPath = path.join(encryptedDir, 'other.key');
+    execSync(`node "${binPath}" --generate-key "${otherKeyPath}"`, {stdio: 'pipe'});
+    execSync(`node "${binPath}" "${encryptedTemplate}" --dry-run --key-file "${otherKeyPath}"`, {stdio: 'pipe'});
+    console.log('  FAIL: Decrypting with another key should fail');
+    failed++;
+} catch (error) {
+    if (error.status === 1 && /Failed to decrypt variable "DB_PASSWORD": Value was encrypted with key [0-9a-f]{8}, but the key provided is [0-9a-f]{8}/.test(error.stderr.toString())) {
+        console.log('  PASS: Decrypting with another key names both key ids');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected error behavior: ${error.message}`);
+        failed++;
+    }
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const oldKey = fs.readFileSync(keyPath, 'utf8');
+    const oldTemplate = fs.readFileSync(encryptedTemplate, 'utf8');
+    const stdout = execSync(`node "${binPath}" --rotate-key "${encryptedTemplate}" --key-file "${keyPath}"`, {stdio: 'pipe'}).toString();
+    const rotated = execSync(`node "${binPath}" "${encryptedTemplate}" - --force --profile prod`, encryptedOptions).toString();
+    const leftovers = fs.readdirSync(encryptedDir).filter(file => !['makeenv.key', 'other.key', 'env.yaml'].includes(file));
+    if (stdout.includes('Re-encrypted 2 value(s)') && fs.readFileSync(keyPath, 'utf8') !== oldKey &&
+        fs.readFileSync(encryptedTemplate, 'utf8') !== oldTemplate && leftovers.length === 0 &&
+        rotated === "DB_PASSWORD='s3cret \"quoted\" $value'\n") {
+        console.log('  PASS: --rotate-key re-encrypts values and profile overrides and replaces the key file');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected rotation: ${stdout} / ${rotated} / ${leftovers}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --rotate-key error: ${error.stderr ? error.stderr.toString() : error.message}`);
+    failed++;
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const mixedDir = path.join(TEMP_DIR, 'encrypted-mixed');
+    fs.mkdirSync(mixedDir, {recursive: true});
+    const mixedKey = path.join(mixedDir, 'k1');
+    const otherKey = path.join(mixedDir, 'k2');
+    const mixedTemplate = path.join(mixedDir, 'enc.yaml');
+    execSync(`node "${binPath}" --generate-key "${mixedKey}"`, {stdio: 'pipe'});
+    execSync(`node "${binPath}" --generate-key "${otherKey}"`, {stdio: 'pipe'});
+    const encryptWith = (key, value) => execSync(`node "${binPath}" --encrypt ${value} --key-file "${key}"`, {stdio: 'pipe'}).toString().trim();
+    const otherValue = encryptWith(otherKey, 'two');
+    fs.writeFileSync(mixedTemplate, [
+        'A:',
+        '  source: encrypted',
+        `  value: ${encryptWith(mixedKey, 'one')}`,
+        'B:',
+        '  source: encrypted',
+        `  value: ${otherValue}`,
+        '  keyFile: k2',
+        'C:',
+        '  source: encrypted',
+        `  value: ${encryptWith(mixedKey, 'three')}`,
+        '  keyFile: k1',
+        '',
+    ].join('\n'));
+    const stdout = execSync(`node "${binPath}" --rotate-key "${mixedTemplate}" --key-file "${mixedKey}"`, {stdio: 'pipe'}).toString();
+    const generated = execSync(`node "${binPath}" "${mixedTemplate}" - --force --key-file "${mixedKey}"`, {stdio: 'pipe'}).toString();
+    if (stdout.includes('Re-encrypted 2 value(s)') && stdout.includes('Left 1 value(s)') &&
+        fs.readFileSync(mixedTemplate, 'utf8').includes(otherValue) && generated === 'A=one\nB=two\nC=three\n') {
+        console.log('  PASS: --rotate-key leaves values encrypted with another keyFile unchanged');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected mixed-key rotation: ${stdout} / ${generated}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: Mixed-key --rotate-key error: ${error.stderr ? error.stderr.toString() : error.message}`);
+    failed++;
+}
+
+// Test run mode
+console.log('');
+console.log('Testing run...');
+
+const runFixture = path.join(FIXTURES_DIR, 'run.yaml');
+const runOptions = {env: {...process.env, APP_NAME: 'outer'}, stdio: 'pipe'};
+delete runOptions.env.RUN_TEST_API_URL;
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const printEnv = `node -e "console.log(process.env.APP_NAME + ' ' + process.env.API_URL)"`;
+    const overridden = execSync(`node "${binPath}" run "${runFixture}" --profile dev -- ${printEnv}`, runOptions).toString();
+    const kept = execSync(`node "${binPath}" run "${runFixture}" --profile dev --no-override -- ${printEnv}`, runOptions).toString();
+    if (overridden === 'run-test http://localhost:3000\n' && kept === 'outer http://localhost:3000\n' &&
+        !fs.existsSync(path.join(FIXTURES_DIR, '.env'))) {
+        console.log('  PASS: run injects variables of the selected profile, with and without --no-override');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected environment: ${overridden} / ${kept}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: run error: ${error.stderr ? error.stderr.toString() : error.message}`);
+    failed++;
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" run "${runFixture}" -- node -e "console.log('started')"`, runOptions);
+    console.log('  FAIL: run should not start the command when a required variable is missing');
+    failed++;
+} catch (error) {
+    if (error.status === 1 && !error.stdout.toString().includes('started') &&
+        error.stderr.toString().includes('Required variable "API_URL" has no value')) {
+        console.log('  PASS: run validates required variables before starting the command');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected error behavior: ${error.message}`);
+        failed++;
+    }
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    // The command signals makeenv, which forwards SIGTERM back to it; the command then exits with 7
+    const script = "process.on('SIGTERM', () => process.exit(7)); process.kill(process.ppid, 'SIGTERM'); setTimeout(() => {}, 5000)";
+    execSync(`node "${binPath}" run "${runFixture}" --profile dev -- node -e "${script}"`, runOptions);
+    console.log('  FAIL: run should exit with the command\'s exit code');
+    failed++;
+} catch (error) {
+    if (error.status === 7) {
+        console.log('  PASS: run forwards signals to the command and exits with its exit code');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected exit: ${error.status} ${error.signal} ${error.message}`);
+        failed++;
+    }
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const watchOutput = path.join(TEMP_DIR, 'watch-cli.env');
+    // The watcher keeps running until the timeout sends SIGTERM, which stops it cleanly
+    const result = spawnSync('node', [binPath, path.join(FIXTURES_DIR, 'basic.yaml'), watchOutput, '--watch'], {
+        env: checkOptions.env,
+        timeout: 3000,
+    });
+    const stdout = result.stdout.toString();
+    if (result.status === 0 && stdout.includes(`Generated: ${watchOutput}`) && stdout.includes('Watching 1 file(s) for changes') &&
+        fs.readFileSync(watchOutput, 'utf8').includes('AWS_ACCESS_KEY_ID=test-access-key-123')) {
+        console.log('  PASS: --watch generates the output and exits cleanly on SIGTERM');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected watch result: ${result.status} ${result.signal} ${stdout} ${result.stderr}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --watch error: ${error.message}`);
+    failed++;
+}
+
+// Test per-source lookup limits
+console.log('');
+console.log('Testing lookup limits...');
+
+const limitsFixture = path.join(TEMP_DIR, 'limits.yaml');
+fs.writeFileSync(path.join(TEMP_DIR, 'slow-sources.js'), `// Two remote sources that answer after 200 ms
+module.exports = function (makeenv) {
+    const slow = config => new Promise(resolve => setTimeout(() => resolve(config.value), 200));
+    makeenv.registerSource('slow', slow);
+    makeenv.registerSource('patient', slow);
+};
+`);
+fs.writeFileSync(limitsFixture, `$plugins:
+  - ./slow-sources.js
+SLOW:
+  source: slow
+  value: slow-value
+  default: timed-out
+PATIENT:
+  source: patient
+  value: patient-value
+  default: timed-out
+`);
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const output = execSync(`node "${binPath}" "${limitsFixture}" - --timeout 20 --timeout patient=5000 --retries 0`, {stdio: 'pipe'}).toString();
+    if (output.includes('SLOW=timed-out') && output.includes('PATIENT=patient-value')) {
+        console.log('  PASS: --timeout source=ms sets the time limit of one source, a plain value the others');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected output: ${output}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: Lookup limits error: ${error.stderr ? error.stderr.toString() : error.message}`);
+    failed++;
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" "${limitsFixture}" - --timeout patient=soon`, {stdio: 'pipe'});
+    console.log('  FAIL: An invalid per-source timeout should exit with 1');
+    failed++;
+} catch (error) {
+    if (error.status === 1 && error.stderr.toString().includes('Error: --timeout requires a non-negative number of milliseconds')) {
+        console.log('  PASS: An invalid per-source timeout is rejected');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected error behavior: ${error.message}`);
+        failed++;
+    }
+}
+
+// Test --merge
+console.log('');
+console.log('Testing --merge...');
+
+const mergeEnvPath = path.join(TEMP_DIR, 'merge.env');
+fs.writeFileSync(mergeEnvPath, [
+    '# Developer settings',
+    'export AWS_REGION=us-east-1 # local region',
+    'MY_LOCAL_FLAG=1',
+    '',
+    '# makeenv:managed-start',
+    'DROPPED_KEY=old',
+    'API_URL=https://api.example.com',
+    '# makeenv:managed-end',
+    '',
+].join('\n'));
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" "${dryRunFixture}" "${mergeEnvPath}" --merge --prune`, checkOptions);
+    const merged = fs.readFileSync(mergeEnvPath, 'utf8');
+    const expectedMerge = [
+        '# Developer settings',
+        'export AWS_REGION=eu-north-1 # local region',
+        'MY_LOCAL_FLAG=1',
+        '',
+        '# makeenv:managed-start',
+        '# makeenv:managed-keys AWS_REGION',
+        'API_URL=https://api.example.com',
+        'AWS_ACCESS_KEY_ID=test-access-key-123',
+        '# makeenv:managed-end',
+        '',
+    ].join('\n');
+    if (merged === expectedMerge) {
+        console.log('  PASS: --merge updates keys in place, keeps other lines and prunes the managed block');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected merged file:\n${merged}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --merge error: ${error.message}`);
+    failed++;
+}
+
+try {
+    // Keys appended to a file without markers get a managed block, so pruning can remove them on a later run
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const unmanagedEnvPath = path.join(TEMP_DIR, 'merge-unmanaged.env');
+    const unmanagedTemplatePath = path.join(TEMP_DIR, 'merge-unmanaged.json');
+    fs.writeFileSync(unmanagedEnvPath, '# Local settings\nMY_LOCAL_FLAG=1\n');
+    fs.writeFileSync(unmanagedTemplatePath, JSON.stringify({A: {value: 'a'}, B: {value: 'b'}}));
+    execSync(`node "${binPath}" "${unmanagedTemplatePath}" "${unmanagedEnvPath}" --merge`, checkOptions);
+    const firstMerge = fs.readFileSync(unmanagedEnvPath, 'utf8');
+    fs.writeFileSync(unmanagedTemplatePath, JSON.stringify({A: {value: 'a'}}));
+    execSync(`node "${binPath}" "${unmanagedTemplatePath}" "${unmanagedEnvPath}" --merge --prune`, checkOptions);
+    const secondMerge = fs.readFileSync(unmanagedEnvPath, 'utf8');
+    const managedHeader = '# Local settings\nMY_LOCAL_FLAG=1\n\n# makeenv:managed-start\nA=a\n';
+    if (firstMerge === `${managedHeader}B=b\n# makeenv:managed-end\n` && secondMerge === `${managedHeader}# makeenv:managed-end\n`) {
+        console.log('  PASS: --merge adds a managed block to a file without one, and --prune later removes dropped keys');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected merged files:\n${firstMerge}\n${secondMerge}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --merge without markers error: ${error.message}`);
+    failed++;
+}
+
+try {
+    // Keys updated in place outside the managed block are listed in it, so pruning removes them once dropped
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const inPlaceEnvPath = path.join(TEMP_DIR, 'merge-in-place.env');
+    const inPlaceTemplatePath = path.join(TEMP_DIR, 'merge-in-place.json');
+    fs.writeFileSync(inPlaceEnvPath, 'MY_LOCAL_FLAG=1\nA=old\nB=old\n');
+    fs.writeFileSync(inPlaceTemplatePath, JSON.stringify({A: {value: 'a'}, B: {value: 'b'}}));
+    execSync(`node "${binPath}" "${inPlaceTemplatePath}" "${inPlaceEnvPath}" --merge`, checkOptions);
+    const firstMerge = fs.readFileSync(inPlaceEnvPath, 'utf8');
+    fs.writeFileSync(inPlaceTemplatePath, JSON.stringify({A: {value: 'a'}}));
+    execSync(`node "${binPath}" "${inPlaceTemplatePath}" "${inPlaceEnvPath}" --merge`, checkOptions);
+    const keptMerge = fs.readFileSync(inPlaceEnvPath, 'utf8');
+    execSync(`node "${binPath}" "${inPlaceTemplatePath}" "${inPlaceEnvPath}" --merge --prune`, checkOptions);
+    const prunedMerge = fs.readFileSync(inPlaceEnvPath, 'utf8');
+    const markers = '\n# makeenv:managed-start\n# makeenv:managed-keys A B\n# makeenv:managed-end\n';
+    if (firstMerge === `MY_LOCAL_FLAG=1\nA=a\nB=b\n${markers}` && keptMerge === firstMerge &&
+        prunedMerge === 'MY_LOCAL_FLAG=1\nA=a\n\n# makeenv:managed-start\n# makeenv:managed-keys A\n# makeenv:managed-end\n') {
+        console.log('  PASS: --prune removes dropped keys that were updated in place outside the managed block');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected merged files:\n${firstMerge}\n${keptMerge}\n${prunedMerge}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --merge in place then --prune error: ${error.message}`);
+    failed++;
+}
+
+try {
+    // Keys kept outside the managed block are the file's own, so a merged file has no drift
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const mergedEnvPath = path.join(TEMP_DIR, 'merge-check.env');
+    const mergedTemplatePath = path.join(TEMP_DIR, 'merge-check.json');
+    fs.writeFileSync(mergedEnvPath, '# Local settings\nMY_LOCAL_FLAG=1\n');
+    fs.writeFileSync(mergedTemplatePath, JSON.stringify({A: {value: 'a'}}));
+    execSync(`node "${binPath}" "${mergedTemplatePath}" "${mergedEnvPath}" --merge`, checkOptions);
+    const stdout = execSync(`node "${binPath}" "${mergedTemplatePath}" "${mergedEnvPath}" --check`, checkOptions).toString();
+    fs.writeFileSync(mergedEnvPath, fs.readFileSync(mergedEnvPath, 'utf8').replace('A=a\n', 'A=a\nSTALE=1\n'));
+    let report = null;
+    try {
+        execSync(`node "${binPath}" "${mergedTemplatePath}" "${mergedEnvPath}" --check --json`, checkOptions);
+    } catch (error) {
+        report = JSON.parse(error.stdout.toString());
+    }
+    if (stdout.includes('No drift') && report && report.removed.length === 1 && report.removed[0].key === 'STALE' &&
+        report.added.length === 0 && report.changed.length === 0) {
+        console.log('  PASS: --check after --merge ignores keys outside the managed block');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected check after merge: ${stdout} / ${JSON.stringify(report)}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --check after --merge error: ${error.stdout ? error.stdout.toString() : error.message}`);
+    failed++;
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" "${dryRunFixture}" "${path.join(TEMP_DIR, 'merge.json')}" --merge`, checkOptions);
+    console.log('  FAIL: --merge should reject non-dotenv output');
+    failed++;
+} catch (error) {
+    if (error.status !== 0 && error.stderr.toString().includes('Merging requires a dotenv output file')) {
+        console.log('  PASS: --merge rejects non-dotenv output');
+        passed++;
+    } else {
+        console.log(`  FAIL: --merge unexpected error behavior: ${error.message}`);
+        failed++;
+    }
+}
+
+// Test output formats
+console.log('');
+console.log('Testing output formats...');
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const exportPath = path.join(TEMP_DIR, 'formats.sh');
+    execSync(`node "${binPath}" "${path.join(FIXTURES_DIR, 'formats.yaml')}" "${exportPath}"`, {stdio: 'pipe'});
+    const sourced = execSync(`. "${exportPath}" && printf '%s|%s|%s' "$WITH_QUOTES" "$WITH_SHELL_CHARS" "$EMPTY"`, {
+        shell: '/bin/sh',
+        env: {PATH: process.env.PATH},
+    }).toString();
+    if (sourced === 'it\'s "quoted"|$HOME `cmd` \\n & $(echo)|') {
+        console.log('  PASS: .sh output is inferred as export and round-trips through the shell');
+        passed++;
+    } else {
+        console.log(`  FAIL: Shell round-trip mismatch: ${sourced}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: export format error: ${error.message}`);
+    failed++;
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const stdout = execSync(`node "${binPath}" "${path.join(FIXTURES_DIR, 'basic.yaml')}" - --format json`, {
+        env: {...process.env, AWS_ACCESS_KEY_ID: 'test-key'},
+        stdio: 'pipe',
+    }).toString();
+    if (JSON.parse(stdout).AWS_ACCESS_KEY_ID === 'test-key') {
+        console.log('  PASS: Writes to stdout when the output file is -');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected stdout: ${stdout}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: stdout output error: ${error.message}`);
+    failed++;
+}
+
+const multilineFixture = path.join(TEMP_DIR, 'multiline.yaml');
+fs.writeFileSync(multilineFixture, `
+CERT:
+  required: true
+  source: string
+  value: "line1\\nline2"
+`);
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" "${multilineFixture}" "${path.join(TEMP_DIR, 'multiline.env')}" --format docker`, {
+        stdio: 'pipe',
+    });
+    console.log('  FAIL: docker format should reject multiline values');
+    failed++;
+} catch (error) {
+    if (error.status !== 0 && error.stderr.toString().includes('docker format cannot represent')) {
+        console.log('  PASS: docker format rejects multiline values');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected error behavior: ${error.message}`);
+        failed++;
+    }
+}
+
+// Test --generate flag
+console.log('');
+console.log('Testing --generate flag...');
+
+const generateEnvPath = path.join(FIXTURES_DIR, 'generate-source.env');
+const generateOutputPath = path.join(TEMP_DIR, 'generated-template.yaml');
+const generateSnapshotPath = path.join(SNAPSHOTS_DIR, 'generate-source.env.yaml');
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" --generate "${generateEnvPath}" "${generateOutputPath}"`, {
+        stdio: 'pipe',
+    });
+
+    try {
+        execSync(`diff "${generateOutputPath}" "${generateSnapshotPath}"`, {stdio: 'pipe'});
+        console.log('  PASS: --generate creates correct template from .env');
+        passed++;
+    } catch (diffError) {
+        console.log('  FAIL: --generate output differs from snapshot');
+        const output = fs.readFileSync(generateOutputPath, 'utf8');
+        const snapshot = fs.readFileSync(generateSnapshotPath, 'utf8');
+        console.log('    --- Expected:');
+        console.log(snapshot.split('\n').map(l => `    ${l}`).join('\n'));
+        console.log('    --- Got:');
+        console.log(output.split('\n').map(l => `    ${l}`).join('\n'));
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --generate error: ${error.message}`);
+    failed++;
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const syntaxOutputPath = path.join(TEMP_DIR, 'dotenv-syntax.yaml');
+    execSync(`node "${binPath}" --generate "${path.join(FIXTURES_DIR, 'dotenv-syntax.env')}" "${syntaxOutputPath}"`, {
+        stdio: 'pipe',
+    });
+    const output = fs.readFileSync(syntaxOutputPath, 'utf8');
+    if (output === fs.readFileSync(path.join(SNAPSHOTS_DIR, 'dotenv-syntax.env.yaml'), 'utf8')) {
+        console.log('  PASS: --generate reads export, inline comments, quotes, escapes and multiline values');
+        passed++;
+    } else {
+        console.log(`  FAIL: --generate output differs from snapshot:\n${output}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --generate error: ${error.message}`);
+    failed++;
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const baseEnvPath = path.join(TEMP_DIR, 'generate-base.env');
+    const localEnvPath = path.join(TEMP_DIR, 'generate-local.env');
+    const layeredOutputPath = path.join(TEMP_DIR, 'generate-layered.json');
+    fs.writeFileSync(baseEnvPath, '# Public API endpoint\nAPI_URL=https://api.example.com\nAPI_KEY=\n');
+    fs.writeFileSync(localEnvPath, 'API_URL=http://localhost:3000 # local stub\nAPI_KEY=local-key\n');
+    execSync(`node "${binPath}" --generate "${baseEnvPath}" "${localEnvPath}" "${layeredOutputPath}" --from-env GENERATE_TEST_ --aws-secret dev/app`, {
+        stdio: 'pipe',
+        env: {...process.env, GENERATE_TEST_SIGNING_SEED: 'Xk3pQ9vL2mN8rT5wY7zA1bC4', GENERATE_TEST_REGION: 'eu-west-1'},
+    });
+    const layered = JSON.parse(fs.readFileSync(layeredOutputPath, 'utf8'));
+    const expected = {
+        API_URL: {description: 'local stub', required: true, source: 'string', value: 'http://localhost:3000'},
+        API_KEY: {required: true, source: 'AwsSecretManager', value: 'dev/app:API_KEY'},
+        GENERATE_TEST_REGION: {required: true, source: 'string', value: 'eu-west-1'},
+        GENERATE_TEST_SIGNING_SEED: {required: true, source: 'AwsSecretManager', value: 'dev/app:GENERATE_TEST_SIGNING_SEED'},
+    };
+    if (JSON.stringify(layered) === JSON.stringify(expected)) {
+        console.log('  PASS: --generate layers several .env files and prefixed environment variables and maps secrets to --aws-secret');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected template: ${JSON.stringify(layered)}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --generate error: ${error.message}`);
+    failed++;
+}
+
+// Test --example and --docs
+console.log('');
+console.log('Testing --example and --docs...');
+
+const docsFixture = path.join(FIXTURES_DIR, 'docs.yaml');
+const docsOutputs = [
+    {args: '--example', output: 'docs.env.example', snapshot: 'docs.yaml.env.example', name: '--example writes comments, placeholders and empty secrets'},
+    {args: '--docs --profile prod', output: 'docs.md', snapshot: 'docs.yaml.md', name: '--docs writes a Markdown reference grouped by "group"'},
+];
+
+for (const {args: docsArgs, output, snapshot, name} of docsOutputs) {
+    try {
+        const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+        const outputPath = path.join(TEMP_DIR, output);
+        execSync(`node "${binPath}" "${docsFixture}" "${outputPath}" ${docsArgs}`, {stdio: 'pipe'});
+        const content = fs.readFileSync(outputPath, 'utf8');
+        const expected = fs.readFileSync(path.join(SNAPSHOTS_DIR, snapshot), 'utf8');
+        if (content === expected) {
+            console.log(`  PASS: ${name}`);
+            passed++;
+        } else {
+            console.log(`  FAIL: ${output} differs from snapshot`);
+            console.log('    --- Expected:');
+            console.log(expected.split('\n').map(l => `    ${l}`).join('\n'));
+            console.log('    --- Got:');
+            console.log(content.split('\n').map(l => `    ${l}`).join('\n'));
+            failed++;
+        }
+    } catch (error) {
+        console.log(`  FAIL: ${docsArgs} error: ${error.message}`);
+        failed++;
+    }
+}
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    const stdout = execSync(`node "${binPath}" "${docsFixture}" --docs --format html`, {stdio: 'pipe'}).toString();
+    if (stdout.startsWith('<!DOCTYPE html>') && stdout.includes('<h2>Database</h2>') &&
+        stdout.includes('<td>Token for the partner API | v2</td>') &&
+        stdout.includes('<td>no, when <code>env.NODE_ENV == \'production\'</code></td>') &&
+        !stdout.includes('9f86d081') && !stdout.includes('enc:v1:')) {
+        console.log('  PASS: --docs --format html prints an HTML reference without secret values');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected output: ${stdout}`);
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --docs --format html error: ${error.message}`);
+    failed++;
+}
+
+console.log('');
+console.log('Testing --set-defaults flag...');
+
+const setDefaultsInput = path.join(FIXTURES_DIR, 'set-defaults-input.yaml');
+const setDefaultsWorkCopy = path.join(TEMP_DIR, 'set-defaults-work.yaml');
+const setDefaultsSnapshot = path.join(SNAPSHOTS_DIR, 'set-defaults-output.yaml');
+
+// Copy fixture to temp so we can modify it
+fs.copyFileSync(setDefaultsInput, setDefaultsWorkCopy);
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" --set-defaults "${setDefaultsWorkCopy}"`, {
+        env: {...process.env, TEST_FEATURE: 'enabled'},
+        stdio: 'pipe',
+    });
+
+    try {
+        execSync(`diff "${setDefaultsWorkCopy}" "${setDefaultsSnapshot}"`, {stdio: 'pipe'});
+        console.log('  PASS: --set-defaults updates template with current values');
+        passed++;
+    } catch (diffError) {
+        console.log('  FAIL: --set-defaults output differs from snapshot');
+        const output = fs.readFileSync(setDefaultsWorkCopy, 'utf8');
+        const snapshot = fs.readFileSync(setDefaultsSnapshot, 'utf8');
+        console.log('    --- Expected:');
+        console.log(snapshot.split('\n').map(l => `    ${l}`).join('\n'));
+        console.log('    --- Got:');
+        console.log(output.split('\n').map(l => `    ${l}`).join('\n'));
+        failed++;
+    }
+} catch (error) {
+    console.log(`  FAIL: --set-defaults error: ${error.message}`);
+    failed++;
+}
+
+// Test AwsSecretManager source type
+console.log('');
+console.log('Testing AwsSecretManager source type...');
+
+// Test invalid value format (empty key)
+const awsInvalidFormatFixture = path.join(TEMP_DIR, 'aws-invalid-format.yaml');
+fs.mkdirSync(TEMP_DIR, {recursive: true});
+fs.writeFileSync(awsInvalidFormatFixture, `
+DB_HOST:
+  required: true
+  source: AwsSecretManager
+  value: "prod-empty-key:"
+`);
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" "${awsInvalidFormatFixture}" "${path.join(TEMP_DIR, 'aws.env')}"`, {
+        stdio: 'pipe',
+    });
+    console.log('  FAIL: Should fail for invalid AwsSecretManager value format');
+    failed++;
+} catch (error) {
+    if (error.stderr && error.stderr.toString().includes('must be in format')) {
+        console.log('  PASS: Correctly fails for invalid value format (empty key)');
+        passed++;
+    } else if (error.status !== 0) {
+        console.log('  PASS: Correctly fails for invalid value format (empty key)');
+        passed++;
+    } else {
+        console.log('  FAIL: Unexpected error for invalid format');
+        failed++;
+    }
+}
+
+// Test missing value for AwsSecretManager
+const awsMissingValueFixture = path.join(TEMP_DIR, 'aws-missing-value.yaml');
+fs.writeFileSync(awsMissingValueFixture, `
+DB_HOST:
+  required: true
+  source: AwsSecretManager
+`);
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" "${awsMissingValueFixture}" "${path.join(TEMP_DIR, 'aws.env')}"`, {
+        stdio: 'pipe',
+    });
+    console.log('  FAIL: Should fail for missing AwsSecretManager value');
+    failed++;
+} catch (error) {
+    if (error.status !== 0) {
+        console.log('  PASS: Correctly fails for missing AwsSecretManager value');
+        passed++;
+    } else {
+        console.log('  FAIL: Unexpected error for missing value');
+        failed++;
+    }
+}
+
+// Test non-required AwsSecretManager with default (should use default when AWS fails)
+const awsWithDefaultFixture = path.join(TEMP_DIR, 'aws-with-default.yaml');
+fs.writeFileSync(awsWithDefaultFixture, `
+DB_HOST:
+  required: false
+  source: AwsSecretManager
+  value: nonexistent-secret:DB_HOST
+  default: localhost
+`);
+
+try {
+    const binPath = path.join(__dirname, '..', 'bin', 'makeenv.js');
+    execSync(`node "${binPath}" "${awsWithDefaultFixture}" "${path.join(TEMP_DIR, 'aws-default.env')}"`, {
+        stdio: 'pipe',
+    });
+    const output = fs.readFileSync(path.join(TEMP_DIR, 'aws-default.env'), 'utf8');
+    if (output.includes('DB_HOST=localhost')) {
+        console.log('  PASS: Uses default value when AWS secret is unavailable');
+        passed++;
+    } else {
+        console.log('  FAIL: Should use default value when AWS secret unavailable');
+        console.log(`    Got: ${output}`);
+        failed++;
+    }
+} catch (error) {
+    // If AWS credentials are not configured, default should still be used
+    console.log('  FAIL: Should not throw for non-required variable with default');
+    console.log(`    Error: ${error.message}`);
+    failed++;
+}
+
+// Test resolveValue directly for AwsSecretManager validation
+console.log('');
+console.log('Testing AwsSecretManager resolveValue validation...');
+
+const {resolveValue} = require('../src/index.js');
+
+// Test format validation
+(async () => {
+    try {
+        await resolveValue({source: 'AwsSecretManager', value: 'empty-key:'}, 'TEST_VAR');
+        console.log('  FAIL: resolveValue should reject value with an empty key');
+        failed++;
+    } catch (error) {
+        if (error.message.includes('must be in format')) {
+            console.log('  PASS: resolveValue rejects value with an empty key');
+            passed++;
+        } else {
+            console.log(`  FAIL: Unexpected error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    // Test missing value
+    try {
+        await resolveValue({source: 'AwsSecretManager'}, 'TEST_VAR');
+        console.log('  FAIL: resolveValue should reject missing value');
+        failed++;
+    } catch (error) {
+        if (error.message.includes('requires a value')) {
+            console.log('  PASS: resolveValue rejects missing value');
+            passed++;
+        } else {
+            console.log(`  FAIL: Unexpected error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    // Test empty secret ID
+    try {
+        await resolveValue({source: 'AwsSecretManager', value: ':KEY'}, 'TEST_VAR');
+        // This should fail when trying to fetch from AWS with empty secret ID
+        console.log('  PASS: resolveValue handles empty secret ID');
+        passed++;
+    } catch (error) {
+        // Expected to fail - AWS will reject empty secret ID
+        console.log('  PASS: resolveValue fails for empty secret ID');
+        passed++;
+    }
+
+    // Test file source errors
+    console.log('');
+    console.log('Testing file source errors...');
+
+    try {
+        await resolveValue({source: 'file', value: 'missing/secret.txt'}, 'TEST_VAR', {baseDir: FIXTURES_DIR});
+        console.log('  FAIL: resolveValue should reject a missing file');
+        failed++;
+    } catch (error) {
+        if (error.message.includes('Failed to read file "missing/secret.txt"')) {
+            console.log('  PASS: resolveValue rejects a missing file');
+            passed++;
+        } else {
+            console.log(`  FAIL: Unexpected error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    const {generateEnvContent, parseTemplateFile, parseEnvFile} = require('../src/index.js');
+    const fileResult = await generateEnvContent({
+        SECRET: {required: true, source: 'file', value: 'files/missing'},
+    }, {baseDir: FIXTURES_DIR});
+    if (fileResult.errors.length === 1 && fileResult.errors[0].includes('for variable "SECRET"')) {
+        console.log('  PASS: Missing file for required variable is reported');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected errors: ${JSON.stringify(fileResult.errors)}`);
+        failed++;
+    }
+
+    // Test vault source against a local fake Vault server
+    console.log('');
+    console.log('Testing vault source...');
+
+    const http = require('http');
+    const vaultRequests = [];
+    const vaultServer = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            vaultRequests.push({method: req.method, url: req.url, headers: req.headers, body});
+            const reply = (status, payload) => {
+                res.writeHead(status, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify(payload));
+            };
+
+            if (req.url === '/v1/auth/approle/login') {
+                const {role_id, secret_id} = JSON.parse(body);
+                if (role_id === 'my-role' && secret_id === 'my-secret') {
+                    return reply(200, {auth: {client_token: 'approle-token'}});
+                }
+                return reply(400, {errors: ['invalid role or secret ID']});
+            }
+            const token = req.headers['x-vault-token'];
+            if (token !== 'root-token' && token !== 'approle-token') {
+                return reply(403, {errors: ['permission denied']});
+            }
+            if (req.url === '/v1/secret/data/app/db') {
+                return reply(200, {data: {data: {username: 'app', password: 'kv2-pass'}, metadata: {version: 3}}});
+            }
+            if (req.url === '/v1/kv1/app/db') {
+                return reply(200, {data: {password: 'kv1-pass'}});
+            }
+            return reply(404, {errors: []});
+        });
+    });
+    await new Promise(resolve => vaultServer.listen(0, '127.0.0.1', resolve));
+
+    const savedVaultEnv = {};
+    for (const name of ['VAULT_ADDR', 'VAULT_TOKEN', 'VAULT_NAMESPACE', 'VAULT_ROLE_ID', 'VAULT_SECRET_ID', 'VAULT_KV_VERSION']) {
+        savedVaultEnv[name] = process.env[name];
+        delete process.env[name];
+    }
+    process.env.VAULT_ADDR = `http://127.0.0.1:${vaultServer.address().port}`;
+    process.env.VAULT_TOKEN = 'root-token';
+    process.env.VAULT_NAMESPACE = 'team-a';
+
+    try {
+        const vaultResult = await generateEnvContent({
+            DB_USER: {required: true, source: 'vault', value: 'secret/app/db:username'},
+            DB_PASSWORD: {required: true, source: 'vault', value: 'secret/app/db:password'},
+            LEGACY_PASSWORD: {required: true, source: 'vault', value: 'kv1/app/db:password', kvVersion: 1},
+            MISSING_SECRET: {required: false, source: 'vault', value: 'secret/app/nope:key', default: 'fallback'},
+        });
+        const kv2Reads = vaultRequests.filter(r => r.url === '/v1/secret/data/app/db').length;
+        if (vaultResult.errors.length === 0 &&
+            vaultResult.content === 'DB_USER=app\nDB_PASSWORD=kv2-pass\nLEGACY_PASSWORD=kv1-pass\nMISSING_SECRET=fallback\n') {
+            console.log('  PASS: Reads KV v1 and v2 secrets with token auth');
+            passed++;
+        } else {
+            console.log(`  FAIL: Unexpected vault result: ${JSON.stringify(vaultResult)}`);
+            failed++;
+        }
+        if (kv2Reads === 1) {
+            console.log('  PASS: Caches each Vault secret path per run');
+            passed++;
+        } else {
+            console.log(`  FAIL: Expected 1 read of secret/app/db, got ${kv2Reads}`);
+            failed++;
+        }
+        if (vaultRequests.every(r => r.headers['x-vault-namespace'] === 'team-a')) {
+            console.log('  PASS: Sends VAULT_NAMESPACE with every request');
+            passed++;
+        } else {
+            console.log('  FAIL: Missing X-Vault-Namespace header');
+            failed++;
+        }
+
+        delete process.env.VAULT_TOKEN;
+        process.env.VAULT_ROLE_ID = 'my-role';
+        process.env.VAULT_SECRET_ID = 'my-secret';
+        const appRoleValue = await resolveValue({source: 'vault', value: 'kv1/app/db:password', kvVersion: '1', version: 1}, 'TEST_VAR');
+        const loginRequest = vaultRequests.find(r => r.url === '/v1/auth/approle/login');
+        if (appRoleValue === 'kv1-pass' && loginRequest) {
+            console.log('  PASS: Logs in with AppRole credentials');
+            passed++;
+        } else {
+            console.log(`  FAIL: AppRole login not used (got ${appRoleValue})`);
+            failed++;
+        }
+
+        try {
+            await resolveValue({source: 'vault', value: 'secret/app/missing:key'}, 'TEST_VAR');
+            console.log('  FAIL: resolveValue should reject a missing Vault secret');
+            failed++;
+        } catch (error) {
+            if (error.message.includes('Failed to retrieve Vault secret "secret/app/missing"')) {
+                console.log('  PASS: resolveValue rejects a missing Vault secret');
+                passed++;
+            } else {
+                console.log(`  FAIL: Unexpected error: ${error.message}`);
+                failed++;
+            }
+        }
+
+        try {
+            await resolveValue({source: 'vault', value: 'secret-without-key'}, 'TEST_VAR');
+            console.log('  FAIL: resolveValue should reject an invalid Vault reference');
+            failed++;
+        } catch (error) {
+            if (error.message === 'Variable "TEST_VAR" value "secret-without-key" must be in format "mount/path:key"') {
+                console.log('  PASS: resolveValue rejects an invalid Vault reference, naming the variable');
+                passed++;
+            } else {
+                console.log(`  FAIL: Unexpected error: ${error.message}`);
+                failed++;
+            }
+        }
+    } finally {
+        for (const [name, value] of Object.entries(savedVaultEnv)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+        vaultServer.close();
+    }
+
+    // Test AwsParameterStore source against a local SSM stand-in
+    console.log('');
+    console.log('Testing AwsParameterStore source...');
+
+    const ssmParameters = {
+        '/myapp/prod/db/host': {Type: 'String', Value: 'db.prod.internal'},
+        '/myapp/prod/db/password': {Type: 'SecureString', Value: 'ssm-secret'},
+        '/myapp/prod/feature-flags': {Type: 'StringList', Value: 'a,b'},
+        '/myapp/prod/log_level': {Type: 'String', Value: 'info'},
+        '/other/value': {Type: 'String', Value: 'other'},
+    };
+    const ssmRequests = [];
+    const ssmServer = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const target = req.headers['x-amz-target'];
+            const input = JSON.parse(body || '{}');
+            ssmRequests.push({target, input});
+            const reply = (status, payload) => {
+                res.writeHead(status, {'Content-Type': 'application/x-amz-json-1.1'});
+                res.end(JSON.stringify(payload));
+            };
+            const toParameter = name => ({
+                Name: name,
+                Type: ssmParameters[name].Type,
+                Value: ssmParameters[name].Type === 'SecureString' && !input.WithDecryption
+                    ? 'encrypted-blob'
+                    : ssmParameters[name].Value,
+            });
+
+            if (target === 'AmazonSSM.GetParameter') {
+                if (!ssmParameters[input.Name]) {
+                    return reply(400, {__type: 'ParameterNotFound', message: `Parameter ${input.Name} not found.`});
+                }
+                return reply(200, {Parameter: toParameter(input.Name)});
+            }
+            if (target === 'AmazonSSM.GetParametersByPath') {
+                // Return one parameter per page to exercise pagination
+                const names = Object.keys(ssmParameters).filter(name => name.startsWith(input.Path));
+                const start = input.NextToken ? Number(input.NextToken) : 0;
+                const page = {Parameters: names.slice(start, start + 1).map(toParameter)};
+                if (start + 1 < names.length) {
+                    page.NextToken = String(start + 1);
+                }
+                return reply(200, page);
+            }
+            return reply(400, {__type: 'InvalidAction', message: `Unknown target ${target}`});
+        });
+    });
+    await new Promise(resolve => ssmServer.listen(0, '127.0.0.1', resolve));
+
+    const savedAwsEnv = {};
+    for (const name of ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN', 'AWS_PROFILE']) {
+        savedAwsEnv[name] = process.env[name];
+        delete process.env[name];
+    }
+    process.env.AWS_ACCESS_KEY_ID = 'test-access-key';
+    process.env.AWS_SECRET_ACCESS_KEY = 'test-secret-key';
+    const ssmEndpoint = `http://127.0.0.1:${ssmServer.address().port}`;
+
+    try {
+        const ssmResult = await generateEnvContent({
+            DB_PASSWORD: {required: true, source: 'AwsParameterStore', value: '/myapp/prod/db/password', region: 'us-east-1', endpoint: ssmEndpoint},
+            DB_PASSWORD_AGAIN: {required: true, source: 'AwsParameterStore', value: '/myapp/prod/db/password', region: 'us-east-1', endpoint: ssmEndpoint},
+            RAW_PASSWORD: {required: true, source: 'AwsParameterStore', value: '/myapp/prod/db/password', decrypt: false, region: 'us-east-1', endpoint: ssmEndpoint},
+            MISSING: {required: false, source: 'AwsParameterStore', value: '/myapp/prod/missing', default: 'fallback', region: 'us-east-1', endpoint: ssmEndpoint},
+            PROD_PARAMS: {
+                required: true,
+                source: 'AwsParameterStore',
+                value: '/myapp/prod/',
+                bulk: true,
+                prefix: 'APP_',
+                map: {'log_level': 'LOG_LEVEL'},
+                region: 'us-east-1',
+                endpoint: ssmEndpoint,
+            },
+        });
+        const expected = [
+            'DB_PASSWORD=ssm-secret',
+            'DB_PASSWORD_AGAIN=ssm-secret',
+            'RAW_PASSWORD=encrypted-blob',
+            'MISSING=fallback',
+            'APP_DB_HOST=db.prod.internal',
+            'APP_DB_PASSWORD=ssm-secret',
+            'APP_FEATURE_FLAGS=a,b',
+            'LOG_LEVEL=info',
+        ].join('\n') + '\n';
+        if (ssmResult.errors.length === 0 && ssmResult.content === expected) {
+            console.log('  PASS: Resolves single parameters and expands a path prefix');
+            passed++;
+        } else {
+            console.log(`  FAIL: Unexpected AwsParameterStore result: ${JSON.stringify(ssmResult)}`);
+            failed++;
+        }
+
+        const passwordReads = ssmRequests.filter(r => r.target === 'AmazonSSM.GetParameter' &&
+            r.input.Name === '/myapp/prod/db/password' && r.input.WithDecryption).length;
+        if (passwordReads === 1) {
+            console.log('  PASS: Caches parameters per run');
+            passed++;
+        } else {
+            console.log(`  FAIL: Expected 1 decrypted read of the password, got ${passwordReads}`);
+            failed++;
+        }
+
+        const emptyResult = await generateEnvContent({
+            NOTHING: {required: true, source: 'AwsParameterStore', value: '/nothing/', bulk: true, region: 'us-east-1', endpoint: ssmEndpoint},
+        });
+        if (emptyResult.errors.length === 1 && emptyResult.errors[0].includes('matched no parameters')) {
+            console.log('  PASS: Required bulk entry fails when no parameters match');
+            passed++;
+        } else {
+            console.log(`  FAIL: Unexpected errors: ${JSON.stringify(emptyResult.errors)}`);
+            failed++;
+        }
+
+        try {
+            await resolveValue({source: 'AwsParameterStore', value: '/myapp/prod/missing', region: 'us-east-1', endpoint: ssmEndpoint}, 'TEST_VAR');
+            console.log('  FAIL: resolveValue should reject a missing parameter');
+            failed++;
+        } catch (error) {
+            if (error.message.includes('Failed to retrieve parameter "/myapp/prod/missing"')) {
+                console.log('  PASS: resolveValue rejects a missing parameter');
+                passed++;
+            } else {
+                console.log(`  FAIL: Unexpected error: ${error.message}`);
+                failed++;
+            }
+        }
+    } finally {
+        for (const [name, value] of Object.entries(savedAwsEnv)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+        ssmServer.close();
+    }
+
+    // Test AwsSecretManager source against a local Secrets Manager stand-in
+    console.log('');
+    console.log('Testing AwsSecretManager source...');
+
+    const smSecrets = {
+        'app/db': {
+            AWSCURRENT: {VersionId: 'v-current', SecretString: JSON.stringify({user: 'app', password: 'current-pw'})},
+            AWSPENDING: {VersionId: 'v-pending', SecretString: JSON.stringify({user: 'app', password: 'pending-pw'})},
+            AWSPREVIOUS: {VersionId: 'v-old', SecretString: JSON.stringify({user: 'app', password: 'old-pw'})},
+        },
+        'app/token': {AWSCURRENT: {VersionId: 'v1', SecretString: 'plain-token'}},
+        'app/cert': {AWSCURRENT: {VersionId: 'v1', SecretBinary: Buffer.from([0, 1, 2, 255]).toString('base64')}},
+        'app/api': {AWSCURRENT: {VersionId: 'v1', SecretString: JSON.stringify({key: 'api-key'})}},
+    };
+    const smRequests = [];
+    const smServer = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const target = req.headers['x-amz-target'];
+            const input = JSON.parse(body || '{}');
+            smRequests.push({target, input, authorization: req.headers.authorization});
+            const reply = (status, payload) => {
+                res.writeHead(status, {'Content-Type': 'application/x-amz-json-1.1'});
+                res.end(JSON.stringify(payload));
+            };
+            const findVersion = (secretId, stage, versionId) => {
+                // Full ARNs end in the secret name plus a random six-character suffix
+                const name = secretId.startsWith('arn:') ? secretId.split(':secret:')[1].replace(/-[A-Za-z0-9]{6}$/, '') : secretId;
+                const versions = smSecrets[name] || {};
+                const version = versionId
+                    ? Object.values(versions).find(candidate => candidate.VersionId === versionId)
+                    : versions[stage || 'AWSCURRENT'];
+                return version && {ARN: `arn:aws:secretsmanager:us-east-1:123456789012:secret:${name}-AbCdEf`, Name: name, ...version};
+            };
+
+            if (target === 'secretsmanager.GetSecretValue') {
+                const version = findVersion(input.SecretId, input.VersionStage, input.VersionId);
+                if (!version) {
+                    return reply(400, {__type: 'ResourceNotFoundException', message: `Secret ${input.SecretId} not found.`});
+                }
+                return reply(200, version);
+            }
+            if (target === 'secretsmanager.BatchGetSecretValue') {
+                const result = {SecretValues: [], Errors: []};
+                for (const secretId of input.SecretIdList) {
+                    const version = findVersion(secretId);
+                    if (version) {
+                        result.SecretValues.push(version);
+                    } else {
+                        result.Errors.push({SecretId: secretId, ErrorCode: 'ResourceNotFoundException', Message: 'not found'});
+                    }
+                }
+                return reply(200, result);
+            }
+            return reply(400, {__type: 'InvalidAction', message: `Unknown target ${target}`});
+        });
+    });
+    await new Promise(resolve => smServer.listen(0, '127.0.0.1', resolve));
+
+    const savedSmEnv = {};
+    for (const name of ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'AWS_SESSION_TOKEN', 'AWS_PROFILE', 'AWS_SHARED_CREDENTIALS_FILE', 'AWS_CONFIG_FILE']) {
+        savedSmEnv[name] = process.env[name];
+        delete process.env[name];
+    }
+    const awsCredentialsFile = path.join(TEMP_DIR, 'aws-credentials');
+    fs.writeFileSync(awsCredentialsFile, '[staging]\naws_access_key_id = STAGINGKEY\naws_secret_access_key = staging-secret\n');
+    process.env.AWS_ACCESS_KEY_ID = 'test-access-key';
+    process.env.AWS_SECRET_ACCESS_KEY = 'test-secret-key';
+    process.env.AWS_SHARED_CREDENTIALS_FILE = awsCredentialsFile;
+    process.env.AWS_CONFIG_FILE = path.join(TEMP_DIR, 'aws-config-missing');
+    const smEndpoint = `http://127.0.0.1:${smServer.address().port}`;
+    const sm = extra => ({required: true, source: 'AwsSecretManager', region: 'us-east-1', endpoint: smEndpoint, ...extra});
+
+    try {
+        const smResult = await generateEnvContent({
+            DB_USER: sm({value: 'app/db:user'}),
+            DB_PASSWORD: sm({value: 'app/db:password'}),
+            DB_PENDING: sm({value: 'app/db:password', versionStage: 'AWSPENDING'}),
+            DB_OLD: sm({value: 'app/db:password', versionId: 'v-old'}),
+            TOKEN: sm({value: 'app/token'}),
+            CERT: sm({value: 'app/cert'}),
+            API_KEY: sm({value: 'arn:aws:secretsmanager:us-east-1:123456789012:secret:app/api-AbCdEf:key'}),
+            STAGING_TOKEN: sm({value: 'app/token', region: 'eu-west-1', profile: 'staging'}),
+        });
+        const expected = [
+            'DB_USER=app',
+            'DB_PASSWORD=current-pw',
+            'DB_PENDING=pending-pw',
+            'DB_OLD=old-pw',
+            'TOKEN=plain-token',
+            'CERT=AAEC/w==',
+            'API_KEY=api-key',
+            'STAGING_TOKEN=plain-token',
+        ].join('\n') + '\n';
+        if (smResult.errors.length === 0 && smResult.content === expected) {
+            console.log('  PASS: Reads JSON keys, version stages and ids, plain-text and binary secrets');
+            passed++;
+        } else {
+            console.log(`  FAIL: Unexpected AwsSecretManager result: ${JSON.stringify(smResult)}`);
+            failed++;
+        }
+
+        const batches = smRequests.filter(r => r.target === 'secretsmanager.BatchGetSecretValue');
+        const singles = smRequests.filter(r => r.target === 'secretsmanager.GetSecretValue');
+        const stagingRequest = singles.find(r => r.input.SecretId === 'app/token');
+        if (batches.length === 1 && batches[0].input.SecretIdList.length === 4 &&
+            singles.length === 3 && singles.some(r => r.input.VersionStage === 'AWSPENDING') && singles.some(r => r.input.VersionId === 'v-old') &&
+            stagingRequest && stagingRequest.authorization.includes('Credential=STAGINGKEY/') && stagingRequest.authorization.includes('/eu-west-1/secretsmanager/')) {
+            console.log('  PASS: Batches current versions per client and uses per-variable region and profile');
+            passed++;
+        } else {
+            console.log(`  FAIL: Unexpected requests: ${JSON.stringify(smRequests.map(({target, input}) => ({target, input})))}`);
+            failed++;
+        }
+
+        const smErrors = await generateEnvContent({
+            TOKEN_KEY: sm({value: 'app/token:key'}),
+            CERT_KEY: sm({value: 'app/cert:key'}),
+            MISSING: sm({value: 'app/missing:key'}),
+        });
+        if (smErrors.errors.length === 3 &&
+            smErrors.errors[0].includes('Secret "app/token" for variable "TOKEN_KEY" is not a JSON object') &&
+            smErrors.errors[1].includes('Secret "app/cert" for variable "CERT_KEY" is binary') &&
+            smErrors.errors[2].includes('Failed to retrieve secret "app/missing" for variable "MISSING"')) {
+            console.log('  PASS: Reports keys of non-JSON secrets and secrets the batch could not return');
+            passed++;
+        } else {
+            console.log(`  FAIL: Unexpected errors: ${JSON.stringify(smErrors.errors)}`);
+            failed++;
+        }
+    } finally {
+        for (const [name, value] of Object.entries(savedSmEnv)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+        smServer.close();
+    }
+
+    // Test custom sources registered through the public API
+    console.log('');
+    console.log('Testing registerSource...');
+
+    const {registerSource} = require('../src/index.js');
+    registerSource('testContext', (config, varName, context) => {
+        if (config.value === 'missing') {
+            return null;
+        }
+        if (config.value === 'broken') {
+            throw new Error('store unavailable');
+        }
+        return `${varName}@${path.basename(context.baseDir)}`;
+    });
+
+    const pluginResult = await generateEnvContent({
+        FOUND: {required: true, source: 'testContext'},
+        MISSING: {required: false, source: 'testContext', value: 'missing', default: 'from-default'},
+        BROKEN: {required: false, source: 'testContext', value: 'broken', default: 'after-error'},
+    }, {baseDir: FIXTURES_DIR});
+    if (pluginResult.errors.length === 0 &&
+        pluginResult.content === 'FOUND=FOUND@fixtures\nMISSING=from-default\nBROKEN=after-error\n') {
+        console.log('  PASS: Custom resolver receives context and falls back to default');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected plugin result: ${JSON.stringify(pluginResult)}`);
+        failed++;
+    }
+
+    try {
+        await resolveValue({source: 'testContext', value: 'broken'}, 'TEST_VAR');
+        console.log('  FAIL: resolveValue should surface resolver errors without a default');
+        failed++;
+    } catch (error) {
+        if (error.message === 'store unavailable') {
+            console.log('  PASS: Resolver errors surface without a default');
+            passed++;
+        } else {
+            console.log(`  FAIL: Unexpected error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    try {
+        await resolveValue({source: 'noSuchSource'}, 'TEST_VAR');
+        console.log('  FAIL: resolveValue should reject unknown sources');
+        failed++;
+    } catch (error) {
+        if (error.message.includes('Unknown source type "noSuchSource"') && error.message.includes('testContext')) {
+            console.log('  PASS: Unknown source error lists registered sources');
+            passed++;
+        } else {
+            console.log(`  FAIL: Unexpected error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    // Test interpolation errors
+    console.log('');
+    console.log('Testing interpolation errors...');
+
+    const cycleResult = await generateEnvContent({
+        A: {required: true, value: '${B}'},
+        B: {required: true, value: '${C}-x'},
+        C: {required: true, value: '${A}'},
+    });
+    if (cycleResult.errors.length === 1 &&
+        cycleResult.errors[0] === 'Circular reference between template variables: A -> B -> C -> A') {
+        console.log('  PASS: Reports the variables forming a cycle');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected errors: ${JSON.stringify(cycleResult.errors)}`);
+        failed++;
+    }
+
+    const unknownResult = await generateEnvContent({
+        URL: {required: true, value: 'https://${HOSTNAME}/'},
+        MISSING_DEP: {required: true, value: '${OPTIONAL}'},
+        OPTIONAL: {required: false, source: 'env', value: 'TEST_MISSING_VAR'},
+    });
+    if (unknownResult.errors.length === 2 &&
+        unknownResult.errors[0].includes('references unknown template variable "HOSTNAME"') &&
+        unknownResult.errors[1].includes('references variable "OPTIONAL", which has no value')) {
+        console.log('  PASS: Reports unknown and unresolved references');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected errors: ${JSON.stringify(unknownResult.errors)}`);
+        failed++;
+    }
+
+    // Test transform errors at resolution time
+    console.log('');
+    console.log('Testing transform errors...');
+
+    const transformResult = await generateEnvContent({
+        NOT_JSON: {required: true, value: 'plain', transform: [{jsonpath: '$.a'}]},
+        NO_MATCH: {required: true, value: '{"a": 1}', transform: [{jsonpath: '$.b'}]},
+    });
+    if (transformResult.errors.length === 2 &&
+        transformResult.errors[0].startsWith('Transform "jsonpath" failed for variable "NOT_JSON": value is not valid JSON') &&
+        transformResult.errors[1] === 'Transform "jsonpath" failed for variable "NO_MATCH": JSONPath "$.b" did not match') {
+        console.log('  PASS: Reports failing transforms per variable');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected errors: ${JSON.stringify(transformResult.errors)}`);
+        failed++;
+    }
+
+    // Test validation rules
+    console.log('');
+    console.log('Testing validation rules...');
+
+    const validationResult = await generateEnvContent({
+        PORT: {required: true, value: '80a', type: 'int'},
+        LOG_LEVEL: {required: false, value: 'verbos', enum: ['debug', 'info', 'warn']},
+        WORKERS: {required: true, value: '0', type: 'int', min: 1},
+        NAME: {required: true, value: 'ab', minLength: 3, pattern: '^[0-9]+$'},
+        OK: {required: true, value: 'fine', type: 'string'},
+    });
+    const expectedValidationErrors = [
+        'Variable "PORT" failed "type: int": "80a" is not an integer',
+        'Variable "LOG_LEVEL" failed "enum": "verbos" is not one of: debug, info, warn',
+        'Variable "WORKERS" failed "min": "0" is less than 1',
+        'Variable "NAME" failed "pattern": "ab" does not match /^[0-9]+$/',
+        'Variable "NAME" failed "minLength": "ab" is shorter than 3 characters',
+    ];
+    if (JSON.stringify(validationResult.errors) === JSON.stringify(expectedValidationErrors)) {
+        console.log('  PASS: Reports every failed rule at once');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected errors: ${JSON.stringify(validationResult.errors)}`);
+        failed++;
+    }
+
+    const invalidRuleResult = await generateEnvContent({
+        PORT: {required: false, value: '80', type: 'integr'},
+        NAME: {required: false, value: 'x', pattern: '(['},
+    });
+    if (invalidRuleResult.errors.length === 2 &&
+        invalidRuleResult.errors[0].includes('unknown type "integr"') &&
+        invalidRuleResult.errors[1].includes('option "pattern" is invalid')) {
+        console.log('  PASS: Rejects invalid validation rules');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected errors: ${JSON.stringify(invalidRuleResult.errors)}`);
+        failed++;
+    }
+
+    const precisionResult = await generateEnvContent({
+        ACCOUNT_ID: {required: true, value: '12345678901234567890', type: 'int'},
+        OFFSET: {required: true, value: '+0042', type: 'int', max: 100},
+        RATE: {required: true, value: '0.30000000000000000001', type: 'number'},
+        SCALE: {required: true, value: '+007.2500E+03', type: 'number', min: 7000},
+    });
+    if (precisionResult.errors.length === 0 &&
+        precisionResult.content === 'ACCOUNT_ID=12345678901234567890\nOFFSET=42\nRATE=0.30000000000000000001\nSCALE=7.25e3\n') {
+        console.log('  PASS: int and number normalize large integers and precise decimals without rounding');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result: ${JSON.stringify(precisionResult)}`);
+        failed++;
+    }
+
+    // Test invalid conditions
+    console.log('');
+    console.log('Testing conditions...');
+
+    const conditionResult = await generateEnvContent({
+        A: {value: 'a', when: "env.X == 'y' &&"},
+        B: {value: 'b', when: 'MISSING'},
+    });
+    if (conditionResult.errors.length === 2 &&
+        conditionResult.errors[0] === 'Variable "A" has an invalid "when" expression "env.X == \'y\' &&": unexpected end of expression' &&
+        conditionResult.errors[1].startsWith('Variable "B" condition references unknown template variable "MISSING"')) {
+        console.log('  PASS: Rejects invalid conditions before resolving');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected errors: ${JSON.stringify(conditionResult.errors)}`);
+        failed++;
+    }
+
+    const conditionCycleResult = await generateEnvContent({
+        C: {value: 'c', when: 'D == "x"'},
+        D: {value: 'x', when: 'C'},
+    });
+    if (conditionCycleResult.errors.length === 1 && conditionCycleResult.errors[0] === 'Circular reference between template variables: C -> D -> C') {
+        console.log('  PASS: Condition references join the dependency order');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected errors: ${JSON.stringify(conditionCycleResult.errors)}`);
+        failed++;
+    }
+
+    // Test profile merging through the API
+    console.log('');
+    console.log('Testing profile merging...');
+
+    const typoResult = await generateEnvContent({
+        $profiles: ['dev', 'prod'],
+        API_URL: {value: 'http://localhost', profiles: {prd: {value: 'https://api.example.com'}}},
+    });
+    const merged = parseTemplateFile(path.join(FIXTURES_DIR, 'profiles.yaml'), {profile: 'prod'});
+    const mergedResult = await generateEnvContent(merged, {profile: 'prod'});
+    if (typoResult.errors.length === 1 &&
+        typoResult.errors[0] === 'Variable "API_URL" overrides profile "prd", which is not listed in $profiles' &&
+        merged.APP_ENV.value === 'production' && merged.APP_ENV.profiles === undefined && merged.$profiles === undefined &&
+        mergedResult.content.startsWith('APP_ENV=production\n')) {
+        console.log('  PASS: Merges profile overrides and rejects undeclared profiles');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result: ${JSON.stringify(typoResult.errors)} / ${JSON.stringify(mergedResult)}`);
+        failed++;
+    }
+
+    // Test explainTemplate
+    console.log('');
+    console.log('Testing explainTemplate...');
+
+    const {explainTemplate} = require('../src/index.js');
+    registerSource('testRemote', () => new Promise(resolve => setTimeout(() => resolve('remote-value'), 20)));
+    const explained = await explainTemplate({
+        REMOTE: {source: 'testRemote', value: 'x'},
+        LOCAL: {source: 'string', value: 'local'},
+        FAILING: {source: 'file', value: './does-not-exist.txt'},
+    }, {baseDir: TEMP_DIR, showValues: true});
+    const [remote, local, failing] = explained.variables;
+    if (explained.errors.length === 0 &&
+        remote.value === 'remote-value' && remote.durationMs >= 15 && local.value === 'local' && local.durationMs === undefined &&
+        failing.status === 'failed' && failing.reason.startsWith('Failed to read file "./does-not-exist.txt"')) {
+        console.log('  PASS: explainTemplate times remote lookups and reports optional failures');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected report: ${JSON.stringify(explained)}`);
+        failed++;
+    }
+
+    // Test sensitive values through the API
+    console.log('');
+    console.log('Testing sensitive value masking...');
+
+    const {checkEnv, setDefaults, makeEnv} = require('../src/index.js');
+    const maskedResult = await generateEnvContent({
+        API_TOKEN: {value: 'not-a-token', sensitive: true, pattern: '^tok-'},
+        PLAIN: {value: 'not-a-token', pattern: '^tok-'},
+    });
+    const badFlagResult = await generateEnvContent({BAD_FLAG: {value: 'x', sensitive: 'yes'}});
+    if (maskedResult.errors.length === 2 &&
+        maskedResult.errors[0] === 'Variable "API_TOKEN" failed "pattern": "****" does not match /^tok-/' &&
+        maskedResult.errors[1] === 'Variable "PLAIN" failed "pattern": "not-a-token" does not match /^tok-/' &&
+        badFlagResult.errors.length === 1 && badFlagResult.errors[0] === 'Variable "BAD_FLAG" field "sensitive" must be true or false') {
+        console.log('  PASS: Validation errors mask sensitive values');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected errors: ${JSON.stringify([maskedResult.errors, badFlagResult.errors])}`);
+        failed++;
+    }
+
+    const driftEnvPath = path.join(TEMP_DIR, 'sensitive-drift.env');
+    fs.writeFileSync(driftEnvPath, 'API_URL=https://api.example.com\nAPI_TOKEN=tok-old\n');
+    const driftReport = await checkEnv(path.join(FIXTURES_DIR, 'sensitive.yaml'), driftEnvPath, {showValues: true});
+    const defaultsPath = path.join(TEMP_DIR, 'sensitive-defaults.json');
+    fs.writeFileSync(defaultsPath, JSON.stringify({
+        API_URL: {source: 'string', value: 'https://api.example.com'},
+        API_TOKEN: {source: 'string', value: 'tok-1234567890', sensitive: true},
+    }));
+    await setDefaults(defaultsPath);
+    const withDefaults = JSON.parse(fs.readFileSync(defaultsPath, 'utf8'));
+    if (driftReport.changed.length === 1 && driftReport.changed[0].expected === '****' && driftReport.changed[0].actual === '****' &&
+        withDefaults.API_URL.default === 'https://api.example.com' && withDefaults.API_TOKEN.default === undefined) {
+        console.log('  PASS: Drift reports mask sensitive values and --set-defaults skips them');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result: ${JSON.stringify([driftReport, withDefaults])}`);
+        failed++;
+    }
+
+    // Sensitivity carries over to variables interpolating a sensitive one
+    const interpolatedTemplate = {
+        DB_PASSWORD: {source: 'env', value: 'INTERPOLATED_DB_PASSWORD', sensitive: true},
+        DATABASE_URL: {value: 'postgres://app:${DB_PASSWORD}@db/app', pattern: '^mysql:'},
+        PUBLIC_URL: {value: 'https://${DB_HOST_NAME}/app'},
+        DB_HOST_NAME: {value: 'db'},
+    };
+    const interpolatedPath = path.join(TEMP_DIR, 'sensitive-interpolated.json');
+    fs.writeFileSync(interpolatedPath, JSON.stringify({...interpolatedTemplate, DATABASE_URL: {value: 'postgres://app:${DB_PASSWORD}@db/app'}}));
+    const interpolatedEnvPath = path.join(TEMP_DIR, 'sensitive-interpolated.env');
+    fs.writeFileSync(interpolatedEnvPath, 'DB_PASSWORD=old\nDATABASE_URL=postgres://app:old@db/app\nPUBLIC_URL=x\nDB_HOST_NAME=db\n');
+    process.env.INTERPOLATED_DB_PASSWORD = 'hunter2';
+    const interpolatedErrors = (await generateEnvContent(interpolatedTemplate)).errors;
+    const interpolatedExplain = await explainTemplate(interpolatedTemplate, {showValues: true});
+    const interpolatedDrift = await checkEnv(interpolatedPath, interpolatedEnvPath, {showValues: true});
+    const interpolatedStdout = await makeEnv(interpolatedPath, '-');
+    await setDefaults(interpolatedPath);
+    delete process.env.INTERPOLATED_DB_PASSWORD;
+    const interpolatedDefaults = fs.readFileSync(interpolatedPath, 'utf8');
+    const explainedUrl = interpolatedExplain.variables.find(variable => variable.name === 'DATABASE_URL');
+    const driftedUrl = interpolatedDrift.changed.find(change => change.key === 'DATABASE_URL');
+    const driftedPublic = interpolatedDrift.changed.find(change => change.key === 'PUBLIC_URL');
+    if (interpolatedErrors[0] === 'Variable "DATABASE_URL" failed "pattern": "****" does not match /^mysql:/' &&
+        explainedUrl.sensitive === true && explainedUrl.value === '****' &&
+        driftedUrl.expected === '****' && driftedUrl.actual === '****' && driftedPublic.expected === 'https://db/app' &&
+        interpolatedStdout.errors[0] === 'Refusing to write sensitive variables to stdout without force: DB_PASSWORD, DATABASE_URL' &&
+        !interpolatedDefaults.includes('hunter2') && JSON.parse(interpolatedDefaults).PUBLIC_URL.default === 'https://db/app') {
+        console.log('  PASS: Variables interpolating a sensitive variable are masked and never stored as defaults');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result: ${JSON.stringify([interpolatedErrors, explainedUrl, interpolatedDrift, interpolatedStdout, interpolatedDefaults])}`);
+        failed++;
+    }
+
+    // Test encrypted values through the API
+    console.log('');
+    console.log('Testing encryption API...');
+
+    const {generateKey, encryptValue, decryptValue, rekeyTemplate} = require('../src/index.js');
+    const apiKey = generateKey();
+    const apiEncrypted = encryptValue('hunter2', apiKey);
+    const encryptedDefaultsPath = path.join(TEMP_DIR, 'encrypted-defaults.json');
+    const encryptedDefaults = {
+        DB_PASSWORD: {source: 'encrypted', value: apiEncrypted, sensitive: false},
+        DB_URL: {value: 'postgres://app:${DB_PASSWORD}@db/app'},
+        DB_NAME: {value: 'app'},
+    };
+    fs.writeFileSync(encryptedDefaultsPath, JSON.stringify(encryptedDefaults));
+    process.env.MAKEENV_KEY = apiKey;
+    await setDefaults(encryptedDefaultsPath);
+    delete process.env.MAKEENV_KEY;
+    const encryptedWithDefaults = JSON.parse(fs.readFileSync(encryptedDefaultsPath, 'utf8'));
+    if (encryptedWithDefaults.DB_PASSWORD.default === undefined && encryptedWithDefaults.DB_URL.default === undefined &&
+        encryptedWithDefaults.DB_NAME.default === 'app' && !fs.readFileSync(encryptedDefaultsPath, 'utf8').includes('hunter2')) {
+        console.log('  PASS: --set-defaults never stores decrypted values, even with sensitive: false');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected defaults: ${JSON.stringify(encryptedWithDefaults)}`);
+        failed++;
+    }
+
+    const tampered = apiEncrypted.slice(0, -4) + (apiEncrypted.slice(-4, -3) === 'A' ? 'B' : 'A') + apiEncrypted.slice(-3);
+    let tamperError = null;
+    try {
+        decryptValue(tampered, apiKey);
+    } catch (err) {
+        tamperError = err.message;
+    }
+    const rekeyPath = path.join(TEMP_DIR, 'rekey.json');
+    fs.writeFileSync(rekeyPath, JSON.stringify({
+        GOOD: {source: 'encrypted', value: apiEncrypted},
+        BAD: {source: 'encrypted', value: encryptValue('other', generateKey())},
+    }));
+    const rekeyContent = fs.readFileSync(rekeyPath, 'utf8');
+    const rekeyResult = rekeyTemplate(rekeyPath, {key: apiKey, newKey: generateKey()});
+    const missingKey = await generateEnvContent({SECRET: {source: 'encrypted', value: apiEncrypted, required: true}});
+    const notEncrypted = await generateEnvContent({SECRET: {source: 'encrypted', value: 'hunter2', required: true}});
+    if (tamperError === 'Encrypted value failed authentication; it was modified or belongs to another key' &&
+        !rekeyResult.success && rekeyResult.errors.length === 1 && rekeyResult.errors[0].startsWith('Failed to re-encrypt variable "BAD"') &&
+        fs.readFileSync(rekeyPath, 'utf8') === rekeyContent &&
+        missingKey.errors[0] === 'Failed to decrypt variable "SECRET": No encryption key: set MAKEENV_KEY or MAKEENV_KEY_FILE, or keyFile on the variable' &&
+        notEncrypted.errors[0] === 'Variable "SECRET" with source encrypted requires a value created with --encrypt ("enc:v1:...")') {
+        console.log('  PASS: Tampered values, failed re-encryption and missing keys are reported');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result: ${JSON.stringify([tamperError, rekeyResult, missingKey.errors, notEncrypted.errors])}`);
+        failed++;
+    }
+
+    // Test watch mode
+    console.log('');
+    console.log('Testing watchEnv...');
+
+    const {watchEnv} = require('../src/index.js');
+    const watchDir = path.join(TEMP_DIR, 'watch');
+    const watchOutput = path.join(watchDir, '.env');
+    fs.mkdirSync(watchDir, {recursive: true});
+    fs.writeFileSync(path.join(watchDir, 'base.yaml'), 'BASE:\n  value: base-1\n');
+    fs.writeFileSync(path.join(watchDir, 'token.txt'), 'token-1\n');
+    fs.writeFileSync(path.join(watchDir, 'env.yaml'), [
+        '$include: base.yaml',
+        'TOKEN:',
+        '  source: file',
+        '  value: ./token.txt',
+        '  trim: true',
+        'REMOTE:',
+        '  source: watchRemote',
+        '',
+    ].join('\n'));
+    let remoteCalls = 0;
+    registerSource('watchRemote', () => `remote-${++remoteCalls}`);
+
+    const updates = [];
+    const waitForUpdates = async (count) => {
+        const started = Date.now();
+        while (updates.length < count && Date.now() - started < 5000) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    };
+    const watcher = watchEnv(path.join(watchDir, 'env.yaml'), watchOutput, {
+        debounce: 20,
+        onUpdate: update => updates.push({...update, content: fs.readFileSync(watchOutput, 'utf8')}),
+    });
+    await waitForUpdates(1);
+    fs.writeFileSync(path.join(watchDir, 'token.txt'), 'token-2\n');
+    await waitForUpdates(2);
+    fs.writeFileSync(path.join(watchDir, 'base.yaml'), 'BASE: [unclosed\n');
+    await waitForUpdates(3);
+    fs.writeFileSync(path.join(watchDir, 'base.yaml'), 'BASE:\n  value: base-2\n');
+    await waitForUpdates(4);
+    await watcher.refresh();
+    await watcher.close();
+
+    const contents = updates.map(update => update.content);
+    if (updates.length === 5 && updates[0].files.length === 3 &&
+        contents[0] === 'BASE=base-1\nTOKEN=token-1\nREMOTE=remote-1\n' &&
+        contents[1] === 'BASE=base-1\nTOKEN=token-2\nREMOTE=remote-1\n' &&
+        !updates[2].success && updates[2].files.length === 3 &&
+        contents[3] === 'BASE=base-2\nTOKEN=token-2\nREMOTE=remote-1\n' &&
+        contents[4] === 'BASE=base-2\nTOKEN=token-2\nREMOTE=remote-2\n' && remoteCalls === 2) {
+        console.log('  PASS: watchEnv regenerates on template, include and file changes and only refetches on refresh');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected updates: ${JSON.stringify(updates)}`);
+        failed++;
+    }
+
+    // Test in-memory resolution with injected environment, clients and sources
+    console.log('');
+    console.log('Testing resolveTemplate...');
+
+    const {resolveTemplate, loadIntoProcessEnv} = require('../src/index.js');
+    const secretRequests = [];
+    const secretsManager = {
+        async send(command) {
+            secretRequests.push(command.input.SecretId);
+            return {SecretString: JSON.stringify({user: 'app', password: 's3cret'})};
+        },
+    };
+    const injectedTemplate = {
+        APP_ENV: {source: 'env', value: 'INJECTED_APP_ENV', required: true},
+        DB_USER: {source: 'AwsSecretManager', value: 'app/db:user'},
+        DB_PASSWORD: {source: 'AwsSecretManager', value: 'app/db:password', sensitive: true},
+        FLAG: {source: 'flags', value: 'beta'},
+        DEBUG: {value: 'yes', when: "APP_ENV == 'development'"},
+    };
+    const sharedCache = new Map();
+    const injectedOptions = {
+        env: {INJECTED_APP_ENV: 'production'},
+        clients: {secretsManager},
+        sources: {flags: config => `${config.value}-on`},
+        cache: sharedCache,
+    };
+    const resolvedFirst = await resolveTemplate(injectedTemplate, injectedOptions);
+    const resolvedSecond = await resolveTemplate(injectedTemplate, injectedOptions);
+    const resolvedFresh = await resolveTemplate(injectedTemplate, {...injectedOptions, cache: undefined});
+    const passwordEntry = resolvedFirst.variables.find(variable => variable.name === 'DB_PASSWORD');
+    if (resolvedFirst.errors.length === 0 && process.env.INJECTED_APP_ENV === undefined &&
+        JSON.stringify(resolvedFirst.values) === JSON.stringify({APP_ENV: 'production', DB_USER: 'app', DB_PASSWORD: 's3cret', FLAG: 'beta-on'}) &&
+        passwordEntry.value === 's3cret' && passwordEntry.sensitive === true && resolvedFirst.skipped[0].name === 'DEBUG' &&
+        JSON.stringify(resolvedSecond.values) === JSON.stringify(resolvedFirst.values) &&
+        resolvedFresh.errors.length === 0 && secretRequests.join(',') === 'app/db,app/db') {
+        console.log('  PASS: resolveTemplate uses the injected env, client and sources and shares lookups through the cache');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result: ${JSON.stringify([resolvedFirst, resolvedSecond, secretRequests])}`);
+        failed++;
+    }
+
+    const unknownSource = await resolveTemplate({X: {source: 'flags', value: 'beta', required: true}});
+    process.env.LOAD_EXISTING = 'kept';
+    const loadTemplate = {LOAD_EXISTING: {value: 'replaced'}, LOAD_NEW: {value: 'new'}};
+    const loadedDefault = await loadIntoProcessEnv(loadTemplate);
+    const keptValue = process.env.LOAD_EXISTING;
+    const loadedOverride = await loadIntoProcessEnv(loadTemplate, {override: true});
+    const loadedFailed = await loadIntoProcessEnv({LOAD_FAILED: {source: 'env', value: 'LOAD_MISSING', required: true}});
+    if (unknownSource.errors.length === 1 && unknownSource.errors[0].includes('Unknown source type "flags"') &&
+        loadedDefault.loaded.join(',') === 'LOAD_NEW' && keptValue === 'kept' &&
+        loadedOverride.loaded.join(',') === 'LOAD_EXISTING,LOAD_NEW' && process.env.LOAD_EXISTING === 'replaced' &&
+        loadedFailed.errors.length === 1 && loadedFailed.loaded.length === 0 && !('LOAD_FAILED' in process.env)) {
+        console.log('  PASS: loadIntoProcessEnv keeps existing variables unless override is set and loads nothing on errors');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result: ${JSON.stringify([unknownSource.errors, loadedDefault, loadedOverride, loadedFailed])}`);
+        failed++;
+    }
+    delete process.env.LOAD_EXISTING;
+    delete process.env.LOAD_NEW;
+
+    // Test concurrent resolution, timeouts and retries of remote lookups
+    console.log('');
+    console.log('Testing concurrent resolution...');
+
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const delayed = async (config) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        // Later variables answer sooner, so completion order is the reverse of template order
+        await new Promise(resolve => setTimeout(resolve, Number(config.delay)));
+        inFlight--;
+        return config.value === 'missing' ? null : config.value;
+    };
+    const concurrentTemplate = {
+        FIRST: {source: 'delayed', value: 'one', delay: 60},
+        MISSING_A: {source: 'delayed', value: 'missing', delay: 50, required: true},
+        DERIVED: {source: 'delayed', value: '${FIRST}-derived', delay: 5},
+        SECOND: {source: 'delayed', value: 'two', delay: 30},
+        MISSING_B: {source: 'delayed', value: 'missing', delay: 10, required: true},
+        THIRD: {source: 'delayed', value: 'three', delay: 5},
+    };
+    const concurrent = await resolveTemplate(concurrentTemplate, {sources: {delayed}, concurrency: 2});
+    if (maxInFlight === 2 &&
+        JSON.stringify(Object.keys(concurrent.values)) === JSON.stringify(['FIRST', 'DERIVED', 'SECOND', 'THIRD']) &&
+        concurrent.values.DERIVED === 'one-derived' &&
+        JSON.stringify(concurrent.errors) === JSON.stringify(['Required variable "MISSING_A" has no value', 'Required variable "MISSING_B" has no value'])) {
+        console.log('  PASS: Lookups run concurrently up to the limit while values and errors keep template order');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result (max in flight ${maxInFlight}): ${JSON.stringify(concurrent)}`);
+        failed++;
+    }
+
+    let hangingSignal = null;
+    const hanging = (config, varName, context) => {
+        hangingSignal = context.signal;
+        return new Promise(() => {});
+    };
+    const started = Date.now();
+    const timedOut = await resolveTemplate({
+        HANGING: {source: 'hanging', value: 'x', required: true},
+        QUICK: {source: 'hanging', value: 'y', default: 'fallback', timeout: 10},
+    }, {sources: {hanging}, timeout: 50, retries: 0});
+    const invalidLimit = await resolveTemplate({A: {value: 'a', retries: 'often'}}, {timeout: -1});
+    const invalidVariable = await resolveTemplate({A: {value: 'a', retries: 'often'}});
+    if (JSON.stringify(timedOut.errors) === JSON.stringify(['Variable "HANGING" lookup in source "hanging" timed out after 50 ms']) &&
+        timedOut.values.QUICK === 'fallback' && hangingSignal && hangingSignal.aborted && Date.now() - started < 1000 &&
+        invalidLimit.errors[0] === 'timeout must be a non-negative integer, got "-1"' &&
+        invalidVariable.errors[0] === 'Variable "A" retries must be a non-negative integer, got "often"') {
+        console.log('  PASS: Hanging lookups time out, abort their signal and fall back to defaults');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result: ${JSON.stringify([timedOut, invalidLimit.errors, invalidVariable.errors])}`);
+        failed++;
+    }
+
+    const attempts = {};
+    const flaky = (config) => {
+        attempts[config.value] = (attempts[config.value] || 0) + 1;
+        if (config.value === 'denied') {
+            const err = new Error('Access denied');
+            err.statusCode = 403;
+            throw err;
+        }
+        if (attempts[config.value] <= 2) {
+            const err = new Error('Rate exceeded');
+            err.name = config.value === 'throttled' ? 'ThrottlingException' : 'ServiceUnavailable';
+            err.statusCode = config.value === 'throttled' ? 400 : 503;
+            throw err;
+        }
+        return `${config.value}-ok`;
+    };
+    const retried = await resolveTemplate({
+        THROTTLED: {source: 'flaky', value: 'throttled', required: true},
+        UNAVAILABLE: {source: 'flaky', value: 'unavailable', required: true},
+        DENIED: {source: 'flaky', value: 'denied', required: true},
+        NO_RETRY: {source: 'flaky', value: 'no-retry', required: true, retries: 0},
+    }, {sources: {flaky}, retryDelay: 1});
+    if (retried.values.THROTTLED === 'throttled-ok' && retried.values.UNAVAILABLE === 'unavailable-ok' &&
+        attempts.throttled === 3 && attempts.unavailable === 3 && attempts.denied === 1 && attempts['no-retry'] === 1 &&
+        JSON.stringify(retried.errors) === JSON.stringify(['Access denied', 'Rate exceeded'])) {
+        console.log('  PASS: Throttling and server errors are retried with backoff, other errors fail at once');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result: ${JSON.stringify([retried, attempts])}`);
+        failed++;
+    }
+
+    const perSource = await resolveTemplate({
+        VAULT_VALUE: {source: 'vaultLike', value: 'v', delay: 100, default: 'vault-fallback'},
+        SSM_VALUE: {source: 'ssmLike', value: 's', delay: 100, required: true},
+        OTHER_VALUE: {source: 'otherLike', value: 'o', delay: 100, default: 'other-fallback'},
+    }, {sources: {vaultLike: delayed, ssmLike: delayed, otherLike: delayed}, timeout: {vaultLike: 10, ssmLike: 1000, '*': 20}, retries: {'*': 0}});
+    const invalidSourceLimit = await resolveTemplate({A: {value: 'a'}}, {timeout: {vault: 'soon'}});
+    if (perSource.values.VAULT_VALUE === 'vault-fallback' && perSource.values.SSM_VALUE === 's' &&
+        perSource.values.OTHER_VALUE === 'other-fallback' && perSource.errors.length === 0 &&
+        invalidSourceLimit.errors[0] === 'timeout of source "vault" must be a non-negative integer, got "soon"') {
+        console.log('  PASS: Timeouts and retries can be set per source, with "*" for the other sources');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result: ${JSON.stringify([perSource, invalidSourceLimit.errors])}`);
+        failed++;
+    }
+
+    // Test lintTemplate
+    console.log('');
+    console.log('Testing lintTemplate...');
+
+    const {lintTemplate} = require('../src/index.js');
+    const lintDir = path.join(TEMP_DIR, 'lint');
+    fs.mkdirSync(lintDir, {recursive: true});
+    fs.writeFileSync(path.join(lintDir, 'app.toml'), [
+        '"$inclde" = "./broken.yaml"',
+        '',
+        '[HOST]',
+        'source = "custom"',
+        'value = "x"',
+        'regon = "eu"',
+        'label = "plugin field"',
+        '',
+        '[PORT]',
+        'value = "${URL}"',
+        '',
+        '[URL]',
+        'value = "${PORT}"',
+        '',
+        '[MODE]',
+        'source = "env"',
+        'value = "MODE"',
+        'profiles.prod.requird = true',
+        '',
+    ].join('\n'));
+    fs.writeFileSync(path.join(lintDir, 'broken.yaml'), '$extends: ./app.toml\nA:\n  value: [unclosed\n');
+    const linted = lintTemplate(path.join(lintDir, 'app.toml'), {sources: {custom: () => 'x'}});
+    const broken = lintTemplate(path.join(lintDir, 'broken.yaml'));
+    const lintSummary = linted.problems.map(({severity, message, line}) => `${line}: ${severity}: ${message}`);
+    if (!linted.success && JSON.stringify(lintSummary) === JSON.stringify([
+        'undefined: error: Circular reference between template variables: PORT -> URL -> PORT',
+        '1: error: Unknown directive "$inclde" (did you mean "$include"?)',
+        '6: warning: Variable "HOST" has unknown field "regon" (did you mean "region"?)',
+        '18: error: Variable "MODE" profile "prod" has unknown field "requird" (did you mean "required"?)',
+    ]) && linted.errors.length === 3 &&
+        broken.errors.length === 1 && broken.problems[0].line === 4 && broken.errors[0].startsWith('Cannot parse template: ')) {
+        console.log('  PASS: lintTemplate reports TOML lines, profile fields, cycles and parse errors, and tolerates plugin fields');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result: ${JSON.stringify([linted, broken])}`);
+        failed++;
+    }
+
+    // Test generateDocsContent
+    console.log('');
+    console.log('Testing generateDocsContent...');
+
+    const {generateDocsContent} = require('../src/index.js');
+    const docsTemplate = {
+        APP_PASSWORD: {source: 'string', value: 'hunter2', description: 'Left out by name'},
+        NOTE: {source: 'string', value: 'a `b` | c', description: 'Pipes | and <tags>'},
+        PORT: {source: 'env', value: 'PORT', example: 8080, group: 'Server', profiles: {prod: {example: 443}}},
+    };
+    const example = generateDocsContent(docsTemplate, {profile: 'prod'});
+    const markdown = generateDocsContent(docsTemplate, {format: 'markdown', title: 'App settings'});
+    const unknownFormat = generateDocsContent(docsTemplate, {format: 'pdf'});
+    if (example.errors.length === 0 && example.content.includes('# Left out by name\n# Optional; secret\nAPP_PASSWORD=\n') &&
+        example.content.includes('# === Server ===\n\n# Optional\nPORT=443\n') && !example.content.includes('hunter2') &&
+        markdown.content.startsWith('# App settings\n') &&
+        markdown.content.includes('| `NOTE` | Pipes \\| and \\<tags\\> | string ``a `b` \\| c`` | no | | |') &&
+        unknownFormat.errors[0] === 'Unknown documentation format "pdf". Supported: example, markdown, html') {
+        console.log('  PASS: generateDocsContent applies profiles, hides secrets and escapes Markdown');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected result: ${JSON.stringify([example, markdown, unknownFormat])}`);
+        failed++;
+    }
+
+    // Test dotenv dialects
+    console.log('');
+    console.log('Testing dotenv dialects...');
+
+    const composeParsed = parseEnvFile(path.join(FIXTURES_DIR, 'dotenv-syntax.env'), {dialect: 'docker-compose'});
+    fs.writeFileSync(path.join(TEMP_DIR, 'comments.env'), 'A=x#y\nB=x #y\n');
+    const dotenvComments = parseEnvFile(path.join(TEMP_DIR, 'comments.env'));
+    const composeComments = parseEnvFile(path.join(TEMP_DIR, 'comments.env'), {dialect: 'docker-compose'});
+    if (composeParsed.ESCAPED_QUOTE === 'say "hi"' && composeParsed.DOUBLE_QUOTED === 'line1\nline2' &&
+        dotenvComments.A === 'x' && dotenvComments.B === 'x' && composeComments.A === 'x#y' && composeComments.B === 'x') {
+        console.log('  PASS: docker-compose dialect unescapes double quotes and needs whitespace before comments');
+        passed++;
+    } else {
+        console.log(`  FAIL: Unexpected parse: ${JSON.stringify([composeParsed, dotenvComments, composeComments])}`);
+        failed++;
+    }
+
+    const trickyValues = [
+        '', 'plain', 'with space', ' padded ', 'say "hello"', "it's", 'a#b', '#lead', 'x=y', '=lead',
+        '$HOME $VAR', 'back\\slash', '\\n literal', 'line1\nline2', 'crlf\r\nend', 'tab\there',
+        `it's "both"`, `it's "both" \\ $X`, 'multi\n"quoted"\n$line', '`tick`', 'unicode ✓',
+    ];
+    const roundTripFailures = [];
+    for (const dialect of ['dotenv', 'docker-compose']) {
+        const template = {};
+        trickyValues.forEach((value, i) => {
+            template[`VALUE_${i}`] = {source: 'string', value};
+        });
+        const {content, errors} = await generateEnvContent(template, {dialect});
+        const envPath = path.join(TEMP_DIR, `roundtrip-${dialect}.env`);
+        fs.writeFileSync(envPath, content);
+        const parsed = parseEnvFile(envPath, {dialect});
+        if (errors.length > 0) {
+            roundTripFailures.push(`${dialect} errors: ${JSON.stringify(errors)}`);
+        }
+        trickyValues.forEach((value, i) => {
+            if (parsed[`VALUE_${i}`] !== value) {
+                roundTripFailures.push(`${dialect} ${JSON.stringify(value)} -> ${JSON.stringify(parsed[`VALUE_${i}`])}`);
+            }
+        });
+    }
+
+    // Values a dialect cannot represent are rejected instead of written incorrectly
+    const dotenvRejected = await generateEnvContent({MIXED: {value: `it's "every" \`quote\` \\`}});
+    const composeRejected = await generateEnvContent({TRAILING: {value: 'ends with \\'}}, {dialect: 'docker-compose'});
+    if (dotenvRejected.errors.length !== 1 || !dotenvRejected.errors[0].startsWith('Variable "MIXED" mixes quotes') ||
+        composeRejected.errors.length !== 1 || !composeRejected.errors[0].startsWith('Variable "TRAILING" ends with a backslash')) {
+        roundTripFailures.push(`rejections: ${JSON.stringify([dotenvRejected.errors, composeRejected.errors])}`);
+    }
+    if (roundTripFailures.length === 0) {
+        console.log('  PASS: Written dotenv values read back unchanged in both dialects');
+        passed++;
+    } else {
+        console.log(`  FAIL: Round trip mismatches: ${roundTripFailures.join('; ')}`);
+        failed++;
     }
 
     // Cleanup
@@ -0,0 +1,44 @@
+// Type-checked with `npm run test:types`; nothing here is executed
+import {
+	applyProfile,
+	generateEnvContent,
+	getProfiles,
+	parseTemplateFile,
+	Template,
+	VariableConfig,
+} from '../src/index';
+
+const template: Template = {
+	$schema: 'https://unpkg.com/makeenv/schema/template.schema.json',
+	$extends: 'base.yaml',
+	$include: ['shared.yaml'],
+	$plugins: './plugins/flags.js',
+	$profiles: ['dev', 'prod'],
+	API_URL: {
+		source: 'string',
+		value: 'http://localhost:3000',
+		profiles: {prod: {value: 'https://api.example.com'}},
+	},
+	DB_PASSWORD: {source: 'vault', value: 'secret/db:password', required: true},
+	LEGACY_TOKEN: null,
+	OLD_FLAG: {$delete: true},
+};
+
+const profiles: string[] = getProfiles(template);
+const prod: Template = applyProfile(template, 'prod');
+generateEnvContent(prod, {profile: 'dev'});
+
+const parsed: Template = parseTemplateFile('env.yaml');
+const extended: string | string[] | undefined = parsed.$extends;
+const entry = parsed.API_URL;
+if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+	const config: VariableConfig = entry;
+	const required: boolean | undefined = config.required;
+	void [required, extended, profiles];
+}
+
+// @ts-expect-error directives keep their own types
+const badProfiles: Template = {$profiles: 'prod'};
+// @ts-expect-error variables are objects or null
+const badVariable: Template = {API_URL: 42};
+void [badProfiles, badVariable];